@@ -10,15 +10,17 @@
  * - JSX: HTML-like syntax for creating React elements
  * - CSS Classes: For styling and layout
  * - Component Composition: Used within App component
+ * - Translation: The paragraphs come from the message catalogue (useI18n)
  * 
  * Design Patterns:
  * - Presentational Component: Only renders UI, no business logic
- * - Static Content: Content doesn't change based on props or state
+ * - Static Content: Content doesn't change based on props or state,
+ *   only with the chosen language
  * - Responsive Design: Uses CSS classes for mobile-friendly layout
  */
 
-import React from 'react';
 import './AboutUs.css';
+import { useI18n } from './useI18n';
 
 /**
  * AboutUs Functional Component
@@ -36,6 +38,8 @@ import './AboutUs.css';
  * @returns {JSX.Element} The about us section with company information
  */
 function AboutUs() {
+  const { t } = useI18n();
+
   return (
     <div className="about-us-container">
       {/* 
@@ -43,7 +47,7 @@ function AboutUs() {
         First impression with welcoming message and brand tagline
       */}
       <p className="about-us-description">
-        Welcome to Paradise Nursery, where green meets serenity!
+        {t('about.welcome')}
       </p>
       
       {/* 
@@ -56,10 +60,7 @@ function AboutUs() {
         - Target audience identification
       */}
       <p className="about-us-content">
-        At Paradise Nursery, we are passionate about bringing nature closer to you. Our mission is to provide a wide range of 
-        high-quality plants that not only enhance the beauty of your surroundings but also contribute to a healthier and 
-        more sustainable lifestyle. From air-purifying plants to aromatic fragrant ones, we have something for every 
-        plant enthusiast.
+        {t('about.mission')}
       </p>
       
       {/* 
@@ -73,10 +74,7 @@ function AboutUs() {
         - Inclusive for all skill levels
       */}
       <p className="about-us-content">
-        Our team of experts is dedicated to ensuring that each plant meets our strict standards of quality and care. 
-        Whether you're a seasoned gardener or just starting your green journey, we're here to support you every step of 
-        the way. Feel free to explore our collection, ask questions, and let us help you find the perfect plant for your 
-        home or office.
+        {t('about.quality')}
       </p>
 
       {/* 
@@ -90,8 +88,7 @@ function AboutUs() {
         - Invite customers to visit
       */}
       <p className="about-us-content">
-        Join us in our mission to create a greener, healthier world. Visit Paradise Nursery today and experience the 
-        beauty of nature right at your doorstep.
+        {t('about.callToAction')}
       </p>
     </div>
   );
@@ -0,0 +1,103 @@
+/**
+ * AddressFields Component - Shipping Address Form Fields
+ *
+ * The fields of a shipping address, shared by the checkout shipping step
+ * and the saved addresses on the profile page. The surrounding <form>,
+ * its buttons and validation stay with the parent.
+ *
+ * React Concepts Used:
+ * - Controlled Inputs: Values come from the parent, changes go back through onChange
+ * - Props: values, errors, onChange and an id prefix (so two forms can share a page)
+ * - Lists and Keys: Fields rendered from a config array
+ * - Translation: useI18n() for labels, errors and country names
+ */
+
+import PropTypes from 'prop-types';
+import { SHIPPING_COUNTRIES } from './checkoutValidation';
+import { useI18n } from './useI18n';
+import './Checkout.css';
+
+/**
+ * Address Fields
+ *
+ * Rendered in this order; `required` only affects the label
+ * (the rules themselves live in checkoutValidation.js). Labels are
+ * message ids.
+ */
+const ADDRESS_FIELDS = [
+  { name: 'fullName', label: 'address.fullName', autoComplete: 'name', required: true },
+  { name: 'email', label: 'address.email', type: 'email', autoComplete: 'email', required: true },
+  { name: 'phone', label: 'address.phone', type: 'tel', autoComplete: 'tel' },
+  { name: 'line1', label: 'address.line1', autoComplete: 'address-line1', required: true },
+  { name: 'line2', label: 'address.line2', autoComplete: 'address-line2' },
+  { name: 'city', label: 'address.city', autoComplete: 'address-level2', required: true },
+  { name: 'region', label: 'address.region', autoComplete: 'address-level1' },
+  { name: 'postalCode', label: 'address.postalCode', autoComplete: 'postal-code', required: true },
+];
+
+/**
+ * AddressFields Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.values - Address values
+ * @param {Object<string, Object>} props.errors - Error message per invalid field
+ * @param {Function} props.onChange - Input change handler (reads e.target.name / value)
+ * @param {string} props.idPrefix - Prefix for the input ids, e.g. "checkout"
+ * @returns {JSX.Element} The address inputs
+ */
+function AddressFields({ values, errors, onChange, idPrefix }) {
+  const { t, formatRegion } = useI18n();
+
+  return (
+    <>
+      {ADDRESS_FIELDS.map(field => (
+        <div className="checkout-field" key={field.name}>
+          <label htmlFor={`${idPrefix}-${field.name}`}>
+            {field.required ? t('common.required', { label: t(field.label) }) : t(field.label)}
+          </label>
+          <input
+            id={`${idPrefix}-${field.name}`}
+            name={field.name}
+            type={field.type ?? 'text'}
+            autoComplete={field.autoComplete}
+            value={values[field.name]}
+            onChange={onChange}
+            aria-invalid={Boolean(errors[field.name])}
+            aria-describedby={errors[field.name] ? `${idPrefix}-${field.name}-error` : undefined}
+          />
+          {errors[field.name] && (
+            <span className="checkout-field-error" id={`${idPrefix}-${field.name}-error`}>
+              {t(errors[field.name])}
+            </span>
+          )}
+        </div>
+      ))}
+
+      <div className="checkout-field">
+        <label htmlFor={`${idPrefix}-country`}>{t('common.required', { label: t('address.country') })}</label>
+        <select
+          id={`${idPrefix}-country`}
+          name="country"
+          autoComplete="country"
+          value={values.country}
+          onChange={onChange}
+          aria-invalid={Boolean(errors.country)}
+        >
+          {Object.keys(SHIPPING_COUNTRIES).map(code => (
+            <option key={code} value={code}>{formatRegion(code)}</option>
+          ))}
+        </select>
+        {errors.country && <span className="checkout-field-error">{t(errors.country)}</span>}
+      </div>
+    </>
+  );
+}
+
+AddressFields.propTypes = {
+  values: PropTypes.objectOf(PropTypes.string).isRequired,
+  errors: PropTypes.objectOf(PropTypes.object).isRequired,
+  onChange: PropTypes.func.isRequired,
+  idPrefix: PropTypes.string.isRequired,
+};
+
+export default AddressFields;
@@ -0,0 +1,324 @@
+/**
+ * AdminCatalog Component - Catalog Management for Staff
+ *
+ * Lists every plant, including those taken off sale, and lets admins:
+ * - add a plant or edit one (ProductForm.jsx)
+ * - take a plant off sale and put it back, without deleting it
+ * - delete a plant for good (after confirming)
+ * - export the catalog as JSON or CSV, and import a JSON or CSV file
+ *   (previewed and checked before anything is saved, see catalogCsv.js)
+ *
+ * Changes go through the API (see api.js). The mock API keeps them until
+ * the page is reloaded; the HTTP adapter saves them on the server.
+ *
+ * React Concepts Used:
+ * - useState Hook: Search text and the import being previewed
+ * - useSelector/useDispatch Hooks: All products and the catalog thunks
+ * - Controlled Inputs: Search box; uncontrolled file input for imports
+ * - Conditional Rendering: Import preview, empty search results
+ * - Translation: useI18n() for the labels, prices and import problems
+ *
+ * Redux Integration:
+ * - Reads every product (selectAllProducts), not only those on sale
+ * - Dispatches setProductRetired, deleteProduct and importProducts
+ *   (see CatalogSlice.js); results are announced as toasts
+ */
+
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import {
+  deleteProduct,
+  importProducts,
+  selectAllProducts,
+  selectAttributes,
+  selectCareLevels,
+  selectCategories,
+  selectProductEntities,
+  setProductRetired,
+} from './CatalogSlice';
+import { exportCatalogCsv, exportCatalogJson, readCatalogFile } from './catalogCsv';
+import { validateImport } from './catalogValidation';
+import { nameMessage, serverMessage } from './i18n';
+import PlantImage from './PlantImage';
+import { useI18n } from './useI18n';
+import { productShape } from './propShapes';
+import './Checkout.css';
+import './AdminCatalog.css';
+
+/**
+ * Download File
+ *
+ * Saves text as a file through a temporary object URL
+ *
+ * @param {string} fileName - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ */
+const downloadFile = (fileName, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Import Preview
+ *
+ * What an uploaded file would change, shown before it is saved
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.preview - { fileName, products, problems }
+ * @param {Object<string, Object>} props.entities - Stored products by id
+ * @param {boolean} props.importing - Whether the import is being saved
+ * @param {Function} props.onConfirm - Saves the import
+ * @param {Function} props.onCancel - Discards the import
+ * @returns {JSX.Element} The preview
+ */
+function ImportPreview({ preview, entities, importing, onConfirm, onCancel }) {
+  const { fileName, products, problems } = preview;
+  const { t } = useI18n();
+  const updatedCount = products.filter(product => entities[product?.id]).length;
+
+  return (
+    <section className="admin-import" aria-labelledby="admin-import-title">
+      <h3 id="admin-import-title">{t('admin.import.title', { fileName })}</h3>
+      <p>
+        {t('admin.import.summary', {
+          added: products.length - updatedCount,
+          updated: updatedCount,
+          count: products.length,
+        })}
+      </p>
+
+      {problems.length > 0 && (
+        <>
+          <p className="checkout-error" role="alert">
+            {t('admin.import.problems')}
+          </p>
+          <ul className="admin-import-problems">
+            {problems.map(({ index, id, errors }) => (
+              <li key={index}>
+                <strong>{t(id ? 'admin.import.problemNamedPlant' : 'admin.import.problemPlant', { number: index + 1, id })}</strong>{' '}
+                {Object.values(errors).map(error => t(error)).join(' ')}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className="checkout-actions">
+        <button type="button" className="checkout-secondary" onClick={onCancel}>{t('common.cancel')}</button>
+        <button
+          type="button"
+          className="checkout-primary"
+          disabled={problems.length > 0 || importing}
+          onClick={onConfirm}
+        >
+          {t(importing ? 'admin.import.importing' : 'admin.import.confirm')}
+        </button>
+      </div>
+    </section>
+  );
+}
+
+ImportPreview.propTypes = {
+  preview: PropTypes.shape({
+    fileName: PropTypes.string.isRequired,
+    products: PropTypes.arrayOf(PropTypes.object).isRequired,
+    problems: PropTypes.arrayOf(PropTypes.shape({
+      index: PropTypes.number,
+      id: PropTypes.string,
+      errors: PropTypes.object,
+    })).isRequired,
+  }).isRequired,
+  entities: PropTypes.objectOf(productShape).isRequired,
+  importing: PropTypes.bool.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+/**
+ * AdminCatalog Component
+ *
+ * Rendered for the /admin route (admins only, see RequireAuth.jsx)
+ *
+ * @returns {JSX.Element} The catalog management page
+ */
+function AdminCatalog() {
+  const dispatch = useDispatch();
+  const products = useSelector(selectAllProducts);
+  const entities = useSelector(selectProductEntities);
+  const categories = useSelector(selectCategories);
+  const careLevels = useSelector(selectCareLevels);
+  const attributes = useSelector(selectAttributes);
+  const [query, setQuery] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const { t, formatMoney, formatNumber } = useI18n();
+
+  const search = query.trim().toLowerCase();
+  const shownProducts = search
+    ? products.filter(product => [product.name, product.id, product.sku].some(text => text.toLowerCase().includes(search)))
+    : products;
+
+  const handleDelete = (product) => {
+    if (window.confirm(t('admin.confirmDelete', { name: product.name }))) {
+      dispatch(deleteProduct(product.id));
+    }
+  };
+
+  const handleChooseFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    setImportError(null);
+    try {
+      const imported = readCatalogFile(file.name, await file.text(), entities);
+      setPreview({
+        fileName: file.name,
+        products: imported,
+        problems: validateImport(imported, { categories, careLevels, attributes }),
+      });
+    } catch (error) {
+      setPreview(null);
+      setImportError(error.code ? { id: error.code, values: error.values } : serverMessage(error.message));
+    }
+  };
+
+  const handleConfirmImport = async () => {
+    setImporting(true);
+    try {
+      await dispatch(importProducts(preview.products)).unwrap();
+      setPreview(null);
+    } catch (error) {
+      // The API checks the plants again; show its findings in the preview
+      if (Array.isArray(error.details)) {
+        setPreview({ ...preview, problems: error.details });
+      } else {
+        setImportError(serverMessage(error.message ?? error));
+      }
+    }
+    setImporting(false);
+  };
+
+  return (
+    <div className="admin-catalog">
+      <h2>{t('admin.title')}</h2>
+
+      <div className="admin-toolbar">
+        <Link to="/admin/plants/new" className="checkout-primary">{t('admin.newPlant')}</Link>
+        <button
+          type="button"
+          className="checkout-secondary"
+          onClick={() => downloadFile('paradise-nursery-catalog.json', exportCatalogJson(products), 'application/json')}
+        >
+          {t('admin.exportJson')}
+        </button>
+        <button
+          type="button"
+          className="checkout-secondary"
+          onClick={() => downloadFile('paradise-nursery-catalog.csv', exportCatalogCsv(products), 'text/csv')}
+        >
+          {t('admin.exportCsv')}
+        </button>
+        <label className="checkout-secondary admin-import-button">
+          {t('admin.importFile')}
+          <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleChooseFile} />
+        </label>
+      </div>
+
+      {importError && <p className="checkout-error" role="alert">{t(importError)}</p>}
+
+      {preview && (
+        <ImportPreview
+          preview={preview}
+          entities={entities}
+          importing={importing}
+          onConfirm={handleConfirmImport}
+          onCancel={() => setPreview(null)}
+        />
+      )}
+
+      <div className="checkout-field admin-search">
+        <label htmlFor="admin-search">{t('admin.search')}</label>
+        <input
+          id="admin-search"
+          type="search"
+          placeholder={t('admin.searchPlaceholder')}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+      </div>
+
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th scope="col">{t('admin.column.plant')}</th>
+            <th scope="col">{t('admin.column.sku')}</th>
+            <th scope="col">{t('admin.column.price')}</th>
+            <th scope="col">{t('admin.column.stock')}</th>
+            <th scope="col">{t('admin.column.categories')}</th>
+            <th scope="col">{t('admin.column.status')}</th>
+            <th scope="col">{t('admin.column.actions')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {shownProducts.map(product => (
+            <tr key={product.id} className={product.retired ? 'admin-retired' : ''}>
+              <td>
+                <div className="admin-plant">
+                  <PlantImage className="admin-plant-image" src={product.image} alt="" ratio="square" sizes="48px" />
+                  <div>
+                    <Link to={`/plant/${product.id}`}>{product.name}</Link>
+                    <div className="admin-plant-id">{product.id}</div>
+                  </div>
+                </div>
+              </td>
+              <td>{product.sku}</td>
+              <td>{formatMoney(product.price)}</td>
+              <td>{formatNumber(product.stock)}</td>
+              <td>
+                {product.categories
+                  .map(id => t(nameMessage('category', categories.find(category => category.id === id) ?? { id, name: id })))
+                  .join(t('common.listSeparator'))}
+              </td>
+              <td>
+                <span className={`admin-status ${product.retired ? 'off' : 'on'}`}>
+                  {t(product.retired ? 'admin.status.offSale' : 'admin.status.onSale')}
+                </span>
+              </td>
+              <td className="admin-actions">
+                <Link to={`/admin/plants/${product.id}`} className="checkout-link">{t('common.edit')}</Link>
+                <button
+                  type="button"
+                  className="checkout-link"
+                  onClick={() => dispatch(setProductRetired({ id: product.id, retired: !product.retired }))}
+                >
+                  {t(product.retired ? 'admin.putOnSale' : 'admin.takeOffSale')}
+                </button>
+                <button type="button" className="checkout-link admin-delete" onClick={() => handleDelete(product)}>
+                  {t('admin.delete')}
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {shownProducts.length === 0 && (
+        <p className="admin-empty">
+          {products.length === 0 ? t('admin.empty') : t('admin.noMatches', { query: query.trim() })}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default AdminCatalog;
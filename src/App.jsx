@@ -2,22 +2,58 @@
 /**
  * Paradise Nursery Fresh - Main Application Component
  * 
- * This is the root component of our React application that manages the main
- * navigation between the landing page and the product list page.
+ * This is the root component of our React application. It owns the URL
+ * routes and the main navigation between the landing page and the shop.
+ * 
+ * Routes:
+ * - /                  Landing page (welcome message and about us)
+ * - /plants            All plants, grouped by category
+ * - /plants/:category  Plants in one category
+ * - /plant/:id         A single plant
+ * - /cart              Shopping cart
+ * - /checkout          Checkout flow (shipping, delivery, review, confirmation)
+ * - /wishlist          Plants saved for later
+ * - /orders            Order history (with "Buy again"), signed-in users only
+ * - /account           Profile and saved addresses, signed-in users only
+ * - /signin            Sign in or create an account
+ * - /admin             Catalog management (list, import/export), admins only
+ * - /admin/plants/new  Add a plant, admins only
+ * - /admin/plants/:id  Edit a plant, admins only
  * 
  * React Concepts Used:
  * - Functional Components: Modern way to write React components using functions
- * - useState Hook: For managing component state (showProductList)
+ * - React Router: <Routes>/<Route> map URLs to components
+ * - useLocation/useNavigate Hooks: Reading and changing the current URL
  * - Event Handlers: Functions that respond to user interactions
- * - Conditional Rendering: Showing/hiding components based on state
- * - Props: Passing data and functions to child components
- * - CSS Classes: Dynamic styling based on state
+ * - CSS Classes: Dynamic styling based on the current route
+ * - Notifications: <ToastContainer /> shows toast messages on every page
+ * - Layout Route: <ShopLayout /> wraps every shop view in the navbar, a
+ *   skip link and focus handling (see ShopLayout.jsx)
+ * - useRef/useEffect Hooks: Focusing the landing heading when returning to it
+ * - inert: Whichever of the landing page and the shop panel is hidden
+ *   can't be reached with Tab or by screen readers
+ * - Protected Routes: <RequireAuth> sends guests to /signin first
+ * - Translation: useI18n() gives the landing text in the chosen language
  */
 
-import React, { useState } from 'react';
+import { useEffect, useRef } from 'react';
+import { Navigate, Route, Routes, useLocation, useNavigate } from 'react-router-dom';
 import ProductList from './ProductList';
+import ProductDetail from './ProductDetail';
+import CartItem from './CartItem';
+import Checkout from './Checkout';
+import Wishlist from './Wishlist';
+import OrderHistory from './OrderHistory';
+import Profile from './Profile';
+import SignIn from './SignIn';
+import AdminCatalog from './AdminCatalog';
+import ProductForm from './ProductForm';
+import RequireAuth from './RequireAuth';
+import ShopLayout from './ShopLayout';
+import ToastContainer from './ToastContainer';
 import './App.css';
 import AboutUs from './AboutUs';
+import { useI18n } from './useI18n';
 
 /**
  * Main App Component
@@ -31,40 +67,42 @@ import AboutUs from './AboutUs';
 function App() {
   
   /**
-   * State Management with useState Hook
+   * Current Route
    * 
-   * useState is a React hook that lets you add state to functional components
-   * Returns an array with two elements:
-   * 1. Current state value (showProductList)
-   * 2. Function to update the state (setShowProductList)
+   * The landing page is shown at "/"; every other URL slides the
+   * shop panel up over it. The URL is the single source of truth,
+   * so the back button, bookmarks and shared links all work.
+   */
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { t } = useI18n();
+  const showProductList = location.pathname !== '/';
+
+  /**
+   * Landing Focus
    * 
-   * Initial state: false (landing page is shown by default)
+   * Coming back to the landing page (e.g. with the logo link) moves
+   * focus to its heading; the shop panel it came from is now hidden
    */
-  const [showProductList, setShowProductList] = useState(false);
+  const landingHeadingRef = useRef(null);
+  const wasShowingProductList = useRef(showProductList);
+  useEffect(() => {
+    if (wasShowingProductList.current && !showProductList) {
+      landingHeadingRef.current.focus();
+    }
+    wasShowingProductList.current = showProductList;
+  }, [showProductList]);
 
   /**
    * Event Handler: Navigate to Product List
    * 
    * This function is called when the "Get Started" button is clicked
-   * Updates state to show the product list and hide the landing page
+   * Navigates to /plants, which shows the product list and hides the landing page
    * 
    * React Concept: Event handlers are functions that respond to user interactions
    */
   const handleGetStartedClick = () => {
-    setShowProductList(true); // Update state to show product list
-  };
-
-  /**
-   * Event Handler: Navigate to Home/Landing Page
-   * 
-   * This function is passed as a prop to ProductList component
-   * When called, it returns user to the landing page
-   * 
-   * React Concept: Lifting state up - child components can modify parent state
-   * through callback functions passed as props
-   */
-  const handleHomeClick = () => {
-    setShowProductList(false); // Update state to show landing page
+    navigate('/plants');
   };
 
   /**
@@ -81,14 +119,14 @@ function App() {
         - Template literal: ${showProductList ? 'fade-out' : ''}
         - This adds 'fade-out' class when showProductList is true
       */}
-      <div className={`landing-page ${showProductList ? 'fade-out' : ''}`}>
+      <div className={`landing-page ${showProductList ? 'fade-out' : ''}`} inert={showProductList ? '' : undefined}>
         <div className="background-image"></div>
         <div className="content">
           {/* Main landing content with welcome message */}
           <div className="landing_content">
-            <h1>Welcome To Paradise Nursery</h1>
+            <h1 ref={landingHeadingRef} tabIndex={-1}>{t('landing.welcome')}</h1>
             <div className="divider"></div>
-            <p>Where Green Meets Serenity</p>
+            <p>{t('landing.tagline')}</p>
             
             {/* 
               Get Started Button
@@ -96,7 +134,7 @@ function App() {
               - When clicked, calls handleGetStartedClick to show product list
             */}
             <button className="get-started-button" onClick={handleGetStartedClick}>
-              Get Started
+              {t('landing.getStarted')}
             </button>
           </div>
           
@@ -117,15 +155,37 @@ function App() {
         - Conditionally visible based on showProductList state
         - Template literal adds 'visible' class when showProductList is true
       */}
-      <div className={`product-list-container ${showProductList ? 'visible' : ''}`}>
+      <div className={`product-list-container ${showProductList ? 'visible' : ''}`} inert={showProductList ? undefined : ''}>
         {/* 
-          ProductList Component
-          React Concept: Props - passing data/functions to child components
-          - onHomeClick prop passes our handleHomeClick function to ProductList
-          - This allows ProductList to trigger navigation back to home
+          Shop Routes
+          React Concept: Nested routes - the layout route (ShopLayout) renders
+          the shared Navbar, and its <Outlet /> renders whichever child route
+          matches (once the catalog has loaded, see CatalogGate).
+          The index route keeps the plant list rendered behind the landing
+          page so it is already in place when the panel slides up.
         */}
-        <ProductList onHomeClick={handleHomeClick}/>
+        <Routes>
+          <Route element={<ShopLayout />}>
+            <Route index element={<ProductList />} />
+            <Route path="plants" element={<ProductList />} />
+            <Route path="plants/:category" element={<ProductList />} />
+            <Route path="plant/:id" element={<ProductDetail />} />
+            <Route path="cart" element={<CartItem />} />
+            <Route path="checkout" element={<Checkout />} />
+            <Route path="wishlist" element={<Wishlist />} />
+            <Route path="orders" element={<RequireAuth><OrderHistory /></RequireAuth>} />
+            <Route path="account" element={<RequireAuth><Profile /></RequireAuth>} />
+            <Route path="signin" element={<SignIn />} />
+            <Route path="admin" element={<RequireAuth role="admin"><AdminCatalog /></RequireAuth>} />
+            <Route path="admin/plants/new" element={<RequireAuth role="admin"><ProductForm /></RequireAuth>} />
+            <Route path="admin/plants/:id" element={<RequireAuth role="admin"><ProductForm /></RequireAuth>} />
+            <Route path="*" element={<Navigate to="/plants" replace />} />
+          </Route>
+        </Routes>
       </div>
+
+      {/* Toast notifications (cart, stock and checkout messages) */}
+      <ToastContainer />
     </div>
   );
 }
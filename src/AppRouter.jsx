@@ -0,0 +1,35 @@
+/**
+ * AppRouter Component - Router Selection
+ * 
+ * The app is served from the GitHub Pages sub-path in package.json's
+ * `homepage` (Vite's `base`, exposed as import.meta.env.BASE_URL).
+ * 
+ * - Browser router (default): clean URLs such as /e-plantShopping/plants.
+ *   GitHub Pages has no server-side rewrites, so the build copies
+ *   index.html to 404.html and deep links still load the app.
+ * - Hash router: set VITE_ROUTER_MODE=hash at build time to get URLs
+ *   such as /e-plantShopping/#/plants, which need no server support at all.
+ */
+
+import { BrowserRouter, HashRouter } from 'react-router-dom';
+import PropTypes from 'prop-types';
+
+/**
+ * AppRouter Component
+ * 
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - The routed application
+ * @returns {JSX.Element} The configured router
+ */
+function AppRouter({ children }) {
+  if (import.meta.env.VITE_ROUTER_MODE === 'hash') {
+    return <HashRouter>{children}</HashRouter>;
+  }
+  return <BrowserRouter basename={import.meta.env.BASE_URL}>{children}</BrowserRouter>;
+}
+
+AppRouter.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default AppRouter;
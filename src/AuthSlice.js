@@ -0,0 +1,303 @@
+/**
+ * Auth Redux Slice - Signed-In User and Profile
+ *
+ * Holds the signed-in user (or null for guests) and their profile,
+ * including saved shipping addresses. All account work goes through
+ * the auth provider (auth.js), which thunks receive as `extra.auth`.
+ *
+ * Signing in also starts mirroring the cart to the account
+ * (startCartSync, see cartSync.js); signing out stops it and empties
+ * the cart on this device, since it belongs to the account.
+ *
+ * Redux Toolkit Utilities Used:
+ * - createSlice(): User, session token and request status
+ * - createAsyncThunk(): Sign-up, sign-in, sign-out, session restore and
+ *   profile updates through the auth provider
+ * - nanoid(): Ids for new saved addresses
+ *
+ * Errors are kept as message descriptors (see i18n.js).
+ */
+
+import { createAsyncThunk, createSlice, isAnyOf, nanoid } from '@reduxjs/toolkit';
+import { clearCart } from './CartSlice';
+import { startCartSync, stopCartSync } from './CartSyncSlice';
+import { clearCheckout } from './CheckoutSlice';
+import { serverMessage } from './i18n';
+
+/**
+ * Auth Error Message
+ *
+ * @param {Error} error - Error from the auth provider
+ * @returns {Object} Message descriptor: the error's code, or its text as sent
+ */
+const authErrorMessage = error => (error.code ? { id: error.code } : serverMessage(error.message));
+
+/**
+ * Start Account Session
+ *
+ * Shared by sign-up, sign-in and session restore
+ *
+ * @param {Function} dispatch - Thunk dispatch
+ * @param {Object} user - Signed-in user
+ */
+const startAccountSession = (dispatch, user) => {
+  dispatch(startCartSync(user.id));
+};
+
+/**
+ * Sign Up Thunk
+ *
+ * @param {Object} values - { name, email, password }
+ * @returns {{token: string, user: Object}} The new session
+ */
+export const signUp = createAsyncThunk(
+  'auth/signUp',
+  async (values, { dispatch, rejectWithValue, extra: { auth } }) => {
+    try {
+      const session = await auth.signUp(values);
+      startAccountSession(dispatch, session.user);
+      return session;
+    } catch (error) {
+      return rejectWithValue(authErrorMessage(error));
+    }
+  }
+);
+
+/**
+ * Sign In Thunk
+ *
+ * @param {Object} values - { email, password }
+ * @returns {{token: string, user: Object}} The new session
+ */
+export const signIn = createAsyncThunk(
+  'auth/signIn',
+  async (values, { dispatch, rejectWithValue, extra: { auth } }) => {
+    try {
+      const session = await auth.signIn(values);
+      startAccountSession(dispatch, session.user);
+      return session;
+    } catch (error) {
+      return rejectWithValue(authErrorMessage(error));
+    }
+  }
+);
+
+/**
+ * Sign Out Thunk
+ *
+ * Stops the cart sync first, so emptying the cart here does not empty
+ * the account's cart on the server. The checkout is cleared too, so the
+ * next person on this device does not see the shipping address.
+ */
+export const signOut = createAsyncThunk(
+  'auth/signOut',
+  async (_, { getState, dispatch, extra: { auth } }) => {
+    const { token } = getState().auth;
+    dispatch(stopCartSync());
+    dispatch(clearCart());
+    dispatch(clearCheckout());
+    try {
+      await auth.signOut(token);
+    } catch {
+      // The session is forgotten on this device either way
+    }
+  }
+);
+
+/**
+ * Restore Session Thunk
+ *
+ * Looks up the user behind a saved session token, on startup and when
+ * another tab signs in or out (see authPersistence.js)
+ *
+ * @param {string|null} token - Saved session token (null when signed out)
+ * @returns {{token: string, user: Object}|null} The session, or null when signed out
+ */
+export const restoreSession = createAsyncThunk(
+  'auth/restoreSession',
+  async (token, { dispatch, rejectWithValue, extra: { auth } }) => {
+    if (!token) {
+      // Signed out (possibly in another tab): forget the checkout here too
+      dispatch(stopCartSync());
+      dispatch(clearCheckout());
+      return null;
+    }
+    try {
+      const user = await auth.getSession(token);
+      startAccountSession(dispatch, user);
+      return { token, user };
+    } catch (error) {
+      dispatch(stopCartSync());
+      return rejectWithValue(authErrorMessage(error));
+    }
+  }
+);
+
+/**
+ * Update Profile Thunk
+ *
+ * @param {Object} changes - { name?, addresses?, defaultAddressId? }
+ * @returns {Object} The updated user
+ */
+export const updateProfile = createAsyncThunk(
+  'auth/updateProfile',
+  async (changes, { getState, rejectWithValue, extra: { auth } }) => {
+    try {
+      return await auth.updateProfile(getState().auth.token, changes);
+    } catch (error) {
+      return rejectWithValue(authErrorMessage(error));
+    }
+  }
+);
+
+/**
+ * Save Address Thunk
+ *
+ * Adds a new address (without an id) or replaces the saved one with the
+ * same id. The first address saved becomes the default. Rejects with
+ * the profile update's error message (a descriptor).
+ *
+ * @param {Object} address - Shipping address (see checkoutValidation.js)
+ */
+export const saveAddress = createAsyncThunk(
+  'auth/saveAddress',
+  async (address, { getState, dispatch, rejectWithValue }) => {
+    const addresses = selectSavedAddresses(getState());
+    const saved = { ...address, id: address.id ?? nanoid() };
+    const exists = addresses.some(existing => existing.id === saved.id);
+    try {
+      return await dispatch(updateProfile({
+        addresses: exists
+          ? addresses.map(existing => (existing.id === saved.id ? saved : existing))
+          : [...addresses, saved],
+      })).unwrap();
+    } catch (error) {
+      return rejectWithValue(error);
+    }
+  }
+);
+
+/**
+ * Remove Address Thunk
+ *
+ * @param {string} addressId - Saved address id
+ */
+export const removeAddress = createAsyncThunk(
+  'auth/removeAddress',
+  async (addressId, { getState, dispatch }) => dispatch(updateProfile({
+    addresses: selectSavedAddresses(getState()).filter(address => address.id !== addressId),
+  })).unwrap()
+);
+
+/**
+ * Set Default Address Thunk
+ *
+ * @param {string} addressId - Saved address id
+ */
+export const setDefaultAddress = createAsyncThunk(
+  'auth/setDefaultAddress',
+  async (addressId, { dispatch }) => dispatch(updateProfile({ defaultAddressId: addressId })).unwrap()
+);
+
+/**
+ * Auth Slice Definition
+ *
+ * State shape:
+ * {
+ *   user: Object | null,        // see auth.js for the shape
+ *   token: string | null,       // session token, kept in localStorage
+ *   restoring: boolean,         // a saved session is being checked
+ *   status: 'idle' | 'submitting' | 'failed',   // sign-in / sign-up form
+ *   error: Object | null        // message descriptor
+ * }
+ */
+export const AuthSlice = createSlice({
+  name: 'auth',
+
+  initialState: {
+    user: null,
+    token: null,
+    restoring: false,
+    status: 'idle',
+    error: null,
+  },
+
+  reducers: {
+    /**
+     * Clear Auth Error Reducer
+     *
+     * E.g. when switching between the sign-in and sign-up forms
+     */
+    clearAuthError: (state) => {
+      state.status = 'idle';
+      state.error = null;
+    },
+  },
+
+  extraReducers: (builder) => {
+    builder
+      .addCase(signOut.fulfilled, (state) => {
+        state.user = null;
+        state.token = null;
+      })
+      .addCase(restoreSession.pending, (state) => {
+        state.restoring = true;
+      })
+      .addCase(restoreSession.fulfilled, (state, action) => {
+        state.restoring = false;
+        state.user = action.payload?.user ?? null;
+        state.token = action.payload?.token ?? null;
+      })
+      .addCase(restoreSession.rejected, (state) => {
+        state.restoring = false;
+        state.user = null;
+        state.token = null;
+      })
+      .addCase(updateProfile.fulfilled, (state, action) => {
+        state.user = action.payload;
+      })
+      .addMatcher(isAnyOf(signUp.pending, signIn.pending), (state) => {
+        state.status = 'submitting';
+        state.error = null;
+      })
+      .addMatcher(isAnyOf(signUp.fulfilled, signIn.fulfilled), (state, action) => {
+        state.status = 'idle';
+        state.user = action.payload.user;
+        state.token = action.payload.token;
+      })
+      .addMatcher(isAnyOf(signUp.rejected, signIn.rejected), (state, action) => {
+        state.status = 'failed';
+        state.error = action.payload ?? serverMessage(action.error.message);
+      });
+  },
+});
+
+export const { clearAuthError } = AuthSlice.actions;
+
+/**
+ * No Addresses
+ *
+ * Shared empty list, so selectSavedAddresses returns the same value for guests
+ */
+const NO_ADDRESSES = [];
+
+/**
+ * Auth Selectors
+ */
+export const selectAuth = state => state.auth;
+export const selectCurrentUser = state => state.auth.user;
+export const selectSessionToken = state => state.auth.token;
+export const selectIsAdmin = state => state.auth.user?.role === 'admin';
+export const selectSavedAddresses = state => state.auth.user?.addresses ?? NO_ADDRESSES;
+
+/**
+ * Select Default Address
+ *
+ * @returns {Object|null} The address checkout starts with, if any
+ */
+export const selectDefaultAddress = (state) => {
+  const user = selectCurrentUser(state);
+  return user?.addresses.find(address => address.id === user.defaultAddressId) ?? null;
+};
+
+export default AuthSlice.reducer;
@@ -12,46 +12,163 @@
  * - Event Handlers: Managing user interactions
  * - Array Methods: map() for rendering cart items
  * - Conditional Rendering: Empty cart vs items display
- * - Props: Receiving callback functions from parent
+ * - useState: The promo code being typed and why it was rejected
+ * - useNavigate/useLocation Hooks: Returning to the page the cart was opened from
+ * - useEffect: Ctrl+Z / Ctrl+Shift+Z shortcuts
+ * - useRef: The cart heading, which gets focus when a line (and the
+ *   button that was pressed) disappears, so keyboard users aren't lost
+ * - Accessibility: Every button names its plant ("Increase quantity of
+ *   Snake Plant"); the + button stays focusable at the stock limit
+ *   (aria-disabled) so focus isn't lost when it can't be pressed
+ * - Translation: useI18n() for text, plurals and prices in the chosen locale
  * 
  * Redux Integration:
  * - Reads cart items from store state
+ * - Reads product details (image, description) from the catalog slice
  * - Dispatches updateQuantity actions for +/- buttons
  * - Dispatches removeItem actions for delete functionality
+ * - Moves lines to the wishlist with saveForLater ("Save for later")
+ * - Undoes/redoes cart changes (undoCartChange, redoCartChange); removing
+ *   a line shows a toast with "Undo" (see notificationListeners.js)
+ * - Shows whether the cart has been saved to the account (selectCartSync,
+ *   see cartSync.js)
  * - Calculates totals based on current store state
+ * - Shows (and dismisses) warnings for lines reduced because of low stock
+ * - Applies/removes promo codes and shows the order summary computed by
+ *   selectOrderSummary: subtotal, itemised discounts, shipping and
+ *   estimated tax (see discounts.js and orderSummary.js)
  * 
  * Business Logic:
  * - Price calculations with quantity
- * - Cart total computation
- * - Quantity validation (minimum 1)
+ * - Order summary (subtotal, discounts, shipping, tax, total)
+ * - Quantity validation (minimum 1, maximum the stock available)
  * - Remove items functionality
  */
 
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
-import { removeItem, updateQuantity } from './CartSlice';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import {
+  removeItem,
+  updateQuantity,
+  dismissStockWarnings,
+  applyPromoCode,
+  removePromoCode,
+  undoCartChange,
+  redoCartChange,
+  selectCanRedoCart,
+  selectCanUndoCart,
+  selectCartItems,
+  selectPromoCode,
+  selectStockWarnings,
+  getLineTotal,
+  getMaxLineQuantity,
+  PROMOTIONS
+} from './CartSlice';
+import { selectProductEntities } from './CatalogSlice';
+import { selectCartSync } from './CartSyncSlice';
+import { selectDeliveryMethod, selectOrderSummary, selectShippingAddress } from './CheckoutSlice';
+import { calculateDiscounts } from './discounts';
+import { nameMessage } from './i18n';
+import PlantImage from './PlantImage';
+import { useI18n } from './useI18n';
+import { saveForLater, selectWishlistCount } from './WishlistSlice';
 import './CartItem.css';
 
+/**
+ * Cart Sync Messages
+ * 
+ * Shown under the heading while the cart is mirrored to the account
+ */
+const SYNC_MESSAGES = {
+  loading: 'cart.sync.loading',
+  saving: 'cart.sync.saving',
+  synced: 'cart.sync.synced',
+  offline: 'cart.sync.offline',
+  error: 'cart.sync.error',
+};
+
+/**
+ * Is Text Field
+ * 
+ * Shortcuts are left alone while typing, so Ctrl+Z still undoes text
+ * in the promo code field
+ * 
+ * @param {EventTarget} target - Element the key was pressed in
+ * @returns {boolean} True for inputs, text areas and editable elements
+ */
+const isTextField = (target) =>
+  ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+
 /**
  * CartItem Component
  * 
  * Displays the shopping cart with all added items and provides
  * functionality to modify quantities, remove items, and proceed to checkout
  * 
- * @param {Object} props - Component props
- * @param {Function} props.onContinueShopping - Callback function to return to shopping
+ * Rendered for the /cart route
+ * 
  * @returns {JSX.Element} The cart management interface
  */
-const CartItem = ({ onContinueShopping }) => {
+const CartItem = () => {
   /**
    * Redux State Connection
    * 
    * useSelector connects to Redux store to read cart items
    * This creates a subscription - component re-renders when cart changes
    * 
-   * State path: state.cart.items (defined in store.js and CartSlice.jsx)
+   * State path: state.cart.items (defined in store.js and CartSlice.js)
    */
-  const cart = useSelector(state => state.cart.items);
+  const cart = useSelector(selectCartItems);
+
+  /**
+   * Catalog Lookup
+   * 
+   * Cart lines remember the product id they were added from, so the
+   * catalog stays the source of truth for product details shown here
+   */
+  const products = useSelector(selectProductEntities);
+  const { locale, t, formatMoney, formatNumber, formatPercent, formatRegion } = useI18n();
+
+  /**
+   * Resolve the catalog product behind a cart line
+   * 
+   * Falls back to the line itself for items that are no longer in the catalog
+   * 
+   * @param {Object} item - Cart item
+   * @returns {Object} Catalog product or the cart item
+   */
+  const getProduct = (item) => products[item.id] ?? item;
+
+  /**
+   * Stock Warnings
+   * 
+   * Lines that were lowered (or removed) because the stock ran low
+   * since the cart was saved
+   */
+  const stockWarnings = useSelector(selectStockWarnings);
+
+  /**
+   * Cart Sync Status
+   * 
+   * 'off' unless the cart is mirrored to the account
+   */
+  const { status: syncStatus } = useSelector(selectCartSync);
+
+  /**
+   * Saved for Later
+   * 
+   * Number of plants on the wishlist, linked below the cart lines
+   */
+  const wishlistCount = useSelector(selectWishlistCount);
+
+  /**
+   * Can the line's quantity still go up?
+   * 
+   * @param {Object} item - Cart item
+   * @returns {boolean} False once the line holds all the stock available
+   */
+  const canIncrement = (item) => item.quantity < getMaxLineQuantity(getProduct(item).stock);
   
   /**
    * Redux Action Dispatcher
@@ -62,46 +179,145 @@ const CartItem = ({ onContinueShopping }) => {
   const dispatch = useDispatch();
 
   /**
-   * Calculate Total Cart Amount
+   * Undo / Redo
+   */
+  const canUndo = useSelector(selectCanUndoCart);
+  const canRedo = useSelector(selectCanRedoCart);
+
+  /**
+   * Keyboard Shortcuts
+   * 
+   * Ctrl+Z (Cmd+Z on Mac) undoes the last cart change,
+   * Ctrl+Shift+Z or Ctrl+Y redoes it
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextField(e.target)) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        dispatch(undoCartChange());
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        dispatch(redoCartChange());
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [dispatch]);
+
+  /**
+   * Router Hooks
+   */
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  /**
+   * Order Summary
+   * 
+   * Subtotal, itemised discounts, shipping, tax and total, computed by
+   * the selectOrderSummary selector in integer minor units (no
+   * floating-point rounding errors). Shipping uses the delivery method
+   * chosen at checkout (standard by default) and tax is estimated for
+   * the checkout address (the default country until one is entered).
+   */
+  const {
+    subtotal,
+    discounts,
+    discountTotal,
+    shipping,
+    freeShippingRemaining,
+    taxRate,
+    tax,
+    total,
+    promoCodeError
+  } = useSelector(selectOrderSummary);
+  const deliveryMethod = useSelector(selectDeliveryMethod);
+  const shippingAddress = useSelector(selectShippingAddress);
+  const promoCode = useSelector(selectPromoCode);
+
+  /**
+   * Tax Destination Label
    * 
-   * Computes the total cost of all items in the cart
-   * Uses Array.reduce() to sum up individual item totals
+   * e.g. "CA, United States" or "United Kingdom" (the country named in the chosen language)
+   */
+  const taxDestination = [shippingAddress.region.trim(), formatRegion(shippingAddress.country)]
+    .filter(Boolean)
+    .join(t('common.listSeparator'));
+  const deliveryMethodName = t(nameMessage('delivery', deliveryMethod));
+
+  /**
+   * Promo Code Form State
+   * 
+   * What the user is typing, and why the last code they tried was rejected
+   */
+  const [promoInput, setPromoInput] = useState('');
+  const [promoInputError, setPromoInputError] = useState(null);
+
+  /**
+   * Handle Apply Promo Code
    * 
-   * Logic:
-   * 1. For each item, extract numeric cost (remove "$" symbol)
-   * 2. Multiply cost by quantity
-   * 3. Sum all item totals
-   * 4. Return formatted result to 2 decimal places
+   * Checks the code against the current cart before storing it, so an
+   * unknown, expired or not-yet-qualifying code is explained right away
    * 
-   * @returns {string} Total cart amount formatted to 2 decimal places
+   * @param {Event} e - Form submit event
    */
-  const calculateTotalAmount = () => {
-    return cart.reduce((total, item) => {
-      // Extract numeric value from cost string (e.g., "$15" -> 15)
-      const itemCost = parseFloat(item.cost.replace('$', ''));
-      // Add this item's total (cost * quantity) to running total
-      return total + (itemCost * item.quantity);
-    }, 0).toFixed(2); // Start with 0, format to 2 decimal places
+  const handleApplyPromoCode = (e) => {
+    e.preventDefault();
+    if (!promoInput.trim()) {
+      return;
+    }
+
+    const { promoCodeError: error } = calculateDiscounts({
+      items: cart,
+      products,
+      promotions: PROMOTIONS,
+      promoCode: promoInput,
+      now: new Date(),
+    });
+
+    if (error) {
+      setPromoInputError(error);
+    } else {
+      dispatch(applyPromoCode(promoInput));
+      setPromoInput('');
+      setPromoInputError(null);
+    }
   };
 
   /**
    * Handle Continue Shopping
    * 
    * Event handler for "Continue Shopping" button
-   * Calls parent component's callback to return to product list
+   * Returns to the page the cart was opened from (kept in the route
+   * state by Navbar), so the user's category filter is preserved.
+   * Falls back to all plants when the cart was opened from a direct link.
    * 
    * @param {Event} e - Click event object
    */
   const handleContinueShopping = (e) => {
     e.preventDefault(); // Prevent any default button behavior
-    onContinueShopping(); // Call parent's callback function
+    navigate(location.state?.from ?? '/plants');
   };
 
+  /**
+   * Cart Heading
+   * 
+   * Focused when a line is removed, since the focused button goes with it
+   */
+  const titleRef = useRef(null);
+  const focusTitle = () => titleRef.current?.focus();
+
   /**
    * Handle Quantity Increment
    * 
    * Increases item quantity by 1 when "+" button is clicked
-   * Dispatches updateQuantity action to Redux store
+   * Dispatches updateQuantity action to Redux store, with the
+   * product's stock so the reducer can enforce the limit
    * 
    * Redux Flow:
    * 1. Dispatch updateQuantity action with new quantity
@@ -109,14 +325,18 @@ const CartItem = ({ onContinueShopping }) => {
    * 3. Component re-renders with new quantity
    * 
    * @param {Object} item - Cart item to increment
-   * @param {string} item.name - Item name (used as identifier)
+   * @param {string} item.id - Product id (used as identifier)
    * @param {number} item.quantity - Current quantity
    */
   const handleIncrement = (item) => {
+    if (!canIncrement(item)) {
+      return;
+    }
     // Dispatch action to increase quantity by 1
     dispatch(updateQuantity({
-      name: item.name,
-      quantity: item.quantity + 1
+      id: item.id,
+      quantity: item.quantity + 1,
+      stock: getProduct(item).stock
     }));
   };
 
@@ -131,19 +351,20 @@ const CartItem = ({ onContinueShopping }) => {
    * - If quantity becomes 0 or less, item is removed from cart
    * 
    * @param {Object} item - Cart item to decrement
-   * @param {string} item.name - Item name (used as identifier)  
+   * @param {string} item.id - Product id (used as identifier)
    * @param {number} item.quantity - Current quantity
    */
   const handleDecrement = (item) => {
     if (item.quantity > 1) {
       // Decrease quantity by 1 if greater than 1
       dispatch(updateQuantity({
-        name: item.name,
+        id: item.id,
         quantity: item.quantity - 1
       }));
     } else {
-      // Remove item if quantity would become 0
-      dispatch(removeItem(item.name));
+      // Remove item if quantity would become 0 (the toast offers to undo it)
+      dispatch(removeItem(item.id));
+      focusTitle();
     }
   };
 
@@ -151,14 +372,29 @@ const CartItem = ({ onContinueShopping }) => {
    * Handle Item Removal
    * 
    * Completely removes an item from cart when "Delete" button is clicked
-   * Dispatches removeItem action regardless of quantity
+   * Dispatches removeItem action regardless of quantity (the toast
+   * offers to undo it)
    * 
    * @param {Object} item - Cart item to remove
-   * @param {string} item.name - Item name (used as identifier)
+   * @param {string} item.id - Product id (used as identifier)
    */
   const handleRemove = (item) => {
     // Dispatch action to remove item completely
-    dispatch(removeItem(item.name));
+    dispatch(removeItem(item.id));
+    focusTitle();
+  };
+
+  /**
+   * Handle Save for Later
+   * 
+   * Moves the line (with its quantity) out of the cart and onto the
+   * wishlist, where "Move to Cart" brings it back
+   * 
+   * @param {Object} item - Cart item to save
+   */
+  const handleSaveForLater = (item) => {
+    dispatch(saveForLater(item.id));
+    focusTitle();
   };
 
   /**
@@ -168,15 +404,11 @@ const CartItem = ({ onContinueShopping }) => {
    * Used to display individual item totals in the cart
    * 
    * @param {Object} item - Cart item
-   * @param {string} item.cost - Item cost as string (e.g., "$15")
+   * @param {Object} item.price - Unit price ({ amount, currency } in minor units)
    * @param {number} item.quantity - Item quantity
-   * @returns {string} Item total formatted to 2 decimal places
+   * @returns {string} Item total formatted for display
    */
-  const calculateTotalCost = (item) => {
-    // Extract numeric cost and multiply by quantity
-    const itemCost = parseFloat(item.cost.replace('$', ''));
-    return (itemCost * item.quantity).toFixed(2);
-  };
+  const calculateTotalCost = (item) => formatMoney(getLineTotal(item));
 
   /**
    * Component Render
@@ -190,200 +422,257 @@ const CartItem = ({ onContinueShopping }) => {
         Cart Header with Total Amount
         Shows the sum of all items in the cart
       */}
-      <h2 style={{ color: 'black' }}>
-        Total Cart Amount: ${calculateTotalAmount()}
+      <h2 className="cart-title" ref={titleRef} tabIndex={-1}>
+        {t('cart.title')}
       </h2>
+
+      {syncStatus !== 'off' && (
+        <p className={`cart-sync cart-sync-${syncStatus}`} role="status">
+          {t(SYNC_MESSAGES[syncStatus])}
+        </p>
+      )}
+
+      {/* 
+        Undo / Redo
+        Also available as Ctrl+Z and Ctrl+Shift+Z
+      */}
+      {(canUndo || canRedo) && (
+        <div className="cart-history">
+          <button onClick={() => dispatch(undoCartChange())} disabled={!canUndo} title={t('cart.undoShortcut')}>
+            {t('cart.undo')}
+          </button>
+          <button onClick={() => dispatch(redoCartChange())} disabled={!canRedo} title={t('cart.redoShortcut')}>
+            {t('cart.redo')}
+          </button>
+        </div>
+      )}
+
+      {/* 
+        Stock Warnings
+        Explains why saved quantities went down
+      */}
+      {stockWarnings.length > 0 && (
+        <div className="cart-stock-warning" role="alert">
+          <ul>
+            {stockWarnings.map(warning => (
+              <li key={warning.id}>
+                {t(warning.available === 0 ? 'cart.stockWarning.removed' : 'cart.stockWarning.reduced', warning)}
+              </li>
+            ))}
+          </ul>
+          <button onClick={() => dispatch(dismissStockWarnings())}>{t('common.dismiss')}</button>
+        </div>
+      )}
       
       {/* 
         Cart Items Section
         Conditionally renders either empty cart message or list of items
       */}
-      <div>
+      <div className="cart-items">
         {cart.length === 0 ? (
           /* Empty Cart Message */
-          <div className="empty-cart" style={{ 
-            textAlign: 'center', 
-            padding: '40px', 
-            color: '#666' 
-          }}>
-            <h3>Your cart is empty</h3>
-            <p>Add some beautiful plants to get started!</p>
+          <div className="empty-cart">
+            <h3>{t('cart.empty')}</h3>
+            <p>{t('cart.emptyHint')}</p>
           </div>
         ) : (
           /* Cart Items List */
-          cart.map(item => (
+          <ul className="cart-item-list">
+          {cart.map(item => (
             /*
               Individual Cart Item
               Key prop: React needs unique keys for list items
-              Using item.name as key (assumes unique plant names)
+              Using item.id as key (product ids are unique, names may not be)
             */
-            <div className="cart-item" key={item.name}>
-              {/* Plant Image */}
-              <img 
-                className="cart-item-image" 
-                src={item.image} 
-                alt={item.name}
-                style={{
-                  width: '100px',
-                  height: '100px',
-                  objectFit: 'cover',
-                  borderRadius: '8px'
-                }}
+            <li className="cart-item" key={item.id}>
+              {/* Plant Image (decorative: the name is right beside it) */}
+              <PlantImage
+                className="cart-item-image"
+                src={getProduct(item).image}
+                alt=""
+                ratio="square"
+                sizes="(min-width: 768px) 120px, 88px"
               />
               
               {/* Item Details Section */}
               <div className="cart-item-details">
                 {/* Plant Name */}
-                <div className="cart-item-name" style={{ 
-                  fontWeight: 'bold', 
-                  fontSize: '18px',
-                  marginBottom: '5px'
-                }}>
+                <h3 className="cart-item-name">
                   {item.name}
-                </div>
+                </h3>
                 
                 {/* Unit Price */}
-                <div className="cart-item-cost" style={{ 
-                  color: '#4CAF50', 
-                  fontWeight: 'bold',
-                  marginBottom: '10px'
-                }}>
-                  Unit Price: {item.cost}
+                <div className="cart-item-cost">
+                  {t('cart.unitPrice', { price: item.price })}
                 </div>
                 
                 {/* Quantity Controls */}
-                <div className="cart-item-quantity" style={{ 
-                  display: 'flex', 
-                  alignItems: 'center',
-                  marginBottom: '10px'
-                }}>
+                <div className="cart-item-quantity" role="group" aria-label={t('cart.quantityOf', { name: item.name })}>
                   {/* Decrease Quantity Button */}
                   <button 
                     className="cart-item-button cart-item-button-dec"
                     onClick={() => handleDecrement(item)}
-                    style={{
-                      backgroundColor: '#f44336',
-                      color: 'white',
-                      border: 'none',
-                      padding: '5px 10px',
-                      borderRadius: '4px',
-                      cursor: 'pointer',
-                      fontSize: '16px'
-                    }}
+                    aria-label={t(item.quantity > 1 ? 'cart.decreaseNamed' : 'cart.removeNamed', { name: item.name })}
                   >
-                    -
+                    <span aria-hidden="true">&minus;</span>
                   </button>
                   
                   {/* Current Quantity Display */}
-                  <span 
-                    className="cart-item-quantity-value"
-                    style={{ 
-                      margin: '0 15px',
-                      fontSize: '16px',
-                      fontWeight: 'bold'
-                    }}
-                  >
-                    {item.quantity}
+                  <span className="cart-item-quantity-value">
+                    {formatNumber(item.quantity)}
                   </span>
                   
                   {/* Increase Quantity Button */}
                   <button 
                     className="cart-item-button cart-item-button-inc"
                     onClick={() => handleIncrement(item)}
-                    style={{
-                      backgroundColor: '#4CAF50',
-                      color: 'white',
-                      border: 'none',
-                      padding: '5px 10px',
-                      borderRadius: '4px',
-                      cursor: 'pointer',
-                      fontSize: '16px'
-                    }}
+                    aria-disabled={!canIncrement(item)}
+                    aria-label={t('cart.increaseNamed', { name: item.name })}
                   >
-                    +
+                    <span aria-hidden="true">+</span>
                   </button>
                 </div>
+
+                {/* Stock Limit Reached */}
+                {!canIncrement(item) && getProduct(item).stock !== undefined && (
+                  <div className="cart-item-stock-limit">
+                    {t('cart.stockLimit', { count: getProduct(item).stock })}
+                  </div>
+                )}
                 
                 {/* Item Total Cost */}
-                <div className="cart-item-total" style={{ 
-                  fontSize: '16px',
-                  fontWeight: 'bold',
-                  color: '#2E7D32',
-                  marginBottom: '10px'
-                }}>
-                  Item Total: ${calculateTotalCost(item)}
+                <div className="cart-item-total">
+                  {t('cart.itemTotal', { total: calculateTotalCost(item) })}
                 </div>
                 
                 {/* Delete Item Button */}
                 <button 
                   className="cart-item-delete"
                   onClick={() => handleRemove(item)}
-                  style={{
-                    backgroundColor: '#f44336',
-                    color: 'white',
-                    border: 'none',
-                    padding: '8px 16px',
-                    borderRadius: '4px',
-                    cursor: 'pointer',
-                    fontSize: '14px'
-                  }}
+                  aria-label={t('cart.deleteNamed', { name: item.name })}
+                >
+                  {t('cart.delete')}
+                </button>
+
+                {/* Save for Later Button */}
+                <button
+                  className="cart-item-save"
+                  onClick={() => handleSaveForLater(item)}
+                  aria-label={t('cart.saveForLaterNamed', { name: item.name })}
                 >
-                  Delete
+                  {t('cart.saveForLater')}
                 </button>
               </div>
-            </div>
-          ))
+            </li>
+          ))}
+          </ul>
+        )}
+
+        {/* Link to the plants saved for later */}
+        {wishlistCount > 0 && (
+          <p className="cart-saved-for-later">
+            <Link to="/wishlist">
+              {t('cart.savedForLater', { count: wishlistCount })}
+            </Link>
+          </p>
         )}
       </div>
       
+      {/* 
+        Promo Code and Order Summary
+        Itemised discounts between the subtotal and the total
+      */}
+      {cart.length > 0 && (
+        <div className="cart-summary">
+          <form className="cart-promo" onSubmit={handleApplyPromoCode}>
+            <label htmlFor="promo-code">{t('cart.promoCode')}</label>
+            <div className="cart-promo-row">
+              <input
+                id="promo-code"
+                type="text"
+                value={promoInput}
+                onChange={(e) => {
+                  setPromoInput(e.target.value);
+                  setPromoInputError(null);
+                }}
+                placeholder={t('cart.promoPlaceholder')}
+                autoComplete="off"
+              />
+              <button type="submit">{t('cart.apply')}</button>
+            </div>
+            {promoInputError && <p className="cart-promo-error" role="alert">{t(promoInputError)}</p>}
+          </form>
+
+          {promoCode && (
+            <p className="cart-promo-applied">
+              {promoCodeError
+                ? t('cart.promoNotApplied', { code: <strong>{promoCode}</strong>, reason: promoCodeError })
+                : t('cart.promoApplied', { code: <strong>{promoCode}</strong> })}
+              {' '}
+              <button type="button" onClick={() => dispatch(removePromoCode())}>{t('common.remove')}</button>
+            </p>
+          )}
+
+          <dl className="cart-breakdown">
+            <dt>{t('summary.subtotal')}</dt>
+            <dd>{formatMoney(subtotal)}</dd>
+            {discounts.map(discount => (
+              <React.Fragment key={discount.id}>
+                <dt className="cart-discount">
+                  {t(discount.label)}{discount.code && ` (${discount.code})`}
+                </dt>
+                <dd className="cart-discount">&minus;{formatMoney(discount.amount)}</dd>
+              </React.Fragment>
+            ))}
+            <dt>{t('summary.shippingMethod', { method: deliveryMethodName })}</dt>
+            <dd>{shipping.amount === 0 ? t('summary.free') : formatMoney(shipping)}</dd>
+            <dt>{t('summary.estimatedTax', { rate: formatPercent(taxRate), destination: taxDestination })}</dt>
+            <dd>{formatMoney(tax)}</dd>
+            <dt className="cart-breakdown-total">{t('summary.total')}</dt>
+            <dd className="cart-breakdown-total">{formatMoney(total)}</dd>
+          </dl>
+
+          {freeShippingRemaining && (
+            <p className="cart-free-shipping">
+              {t('cart.freeShippingRemaining', {
+                amount: freeShippingRemaining,
+                method: deliveryMethodName.toLocaleLowerCase(locale)
+              })}
+            </p>
+          )}
+        </div>
+      )}
+
       {/* 
         Cart Actions Section
         Contains navigation and checkout buttons
       */}
-      <div className="continue_shopping_btn" style={{ 
-        marginTop: '30px',
-        textAlign: 'center'
-      }}>
+      <div className="continue_shopping_btn">
         {/* Continue Shopping Button */}
         <button 
-          className="get-started-button"
+          className="cart-continue-button"
           onClick={handleContinueShopping}
-          style={{
-            backgroundColor: '#4CAF50',
-            color: 'white',
-            border: 'none',
-            padding: '12px 24px',
-            borderRadius: '6px',
-            cursor: 'pointer',
-            fontSize: '16px',
-            marginRight: '15px',
-            marginBottom: '10px'
-          }}
         >
-          Continue Shopping
+          {t('cart.continueShopping')}
         </button>
         
         {/* Checkout Button */}
         <button 
-          className="get-started-button1"
-          onClick={() => {
-            // Placeholder for checkout functionality
-            alert(`Proceeding to checkout with total: $${calculateTotalAmount()}`);
-          }}
-          style={{
-            backgroundColor: '#FF9800',
-            color: 'white',
-            border: 'none',
-            padding: '12px 24px',
-            borderRadius: '6px',
-            cursor: 'pointer',
-            fontSize: '16px',
-            marginLeft: '15px'
-          }}
+          className="cart-checkout-button"
+          onClick={() => navigate('/checkout')}
           disabled={cart.length === 0} // Disable if cart is empty
         >
-          Checkout (${calculateTotalAmount()})
+          {t('cart.checkout', { total })}
         </button>
+
+        {/* What the checkout total is made of */}
+        {cart.length > 0 && (
+          <p className="cart-checkout-breakdown">
+            {discounts.length > 0
+              ? t('cart.checkoutBreakdownWithDiscounts', { subtotal, discountTotal, shipping, tax })
+              : t('cart.checkoutBreakdown', { subtotal, shipping, tax })}
+          </p>
+        )}
       </div>
     </div>
   );
@@ -393,7 +682,7 @@ const CartItem = ({ onContinueShopping }) => {
  * Export Component
  * 
  * Makes CartItem available for import in other components
- * Used in ProductList.jsx when showCart state is true
+ * Used in App.jsx as the element of the /cart route
  */
 export default CartItem;
 
@@ -0,0 +1,545 @@
+/**
+ * Cart Redux Slice - Shopping Cart State Management
+ * 
+ * This file contains the Redux slice for managing shopping cart state.
+ * A "slice" is a collection of Redux reducer logic and actions for a 
+ * single feature of our app - in this case, the shopping cart.
+ * 
+ * Redux Toolkit createSlice():
+ * - Automatically generates action creators and action types
+ * - Uses Immer under the hood for immutable updates
+ * - Reduces boilerplate code significantly
+ * 
+ * React Shopping Cart Patterns:
+ * - Each item has: id, name, image, description, price, quantity
+ *   (id is the stable catalog product id from CatalogSlice.js)
+ * - Cart lines are keyed by product id, never by display name, so two
+ *   products that share a name stay on separate lines
+ * - Prevent duplicate items by checking existing items
+ * - Update quantities instead of adding duplicates
+ * - Calculate totals dynamically with the integer money helpers in money.js
+ * - Never hold more of a product than is in stock (stock levels come from
+ *   the catalog with each add/update, see CatalogSlice.js)
+ * - Promotions and an optional promo code are applied to the totals by
+ *   the discount engine in discounts.js
+ * - Adding, removing and changing quantities can be undone and redone
+ *   (the reducer is wrapped with undoable.js, so the store holds
+ *   { past, present, future } and the selectors read `present`)
+ */
+
+import { createAction, createSlice, createSelector } from '@reduxjs/toolkit';
+import catalogData from './data/plants.json';
+import promotionsData from './data/promotions.json';
+import { fetchCatalog, isOnSale } from './CatalogSlice';
+import { normalizePromoCode } from './discounts';
+import { multiplyMoney, parseMoney, sumMoney } from './money';
+import { undoable } from './undoable';
+
+/**
+ * Promotions
+ *
+ * Loaded from data/promotions.json (see discounts.js for the rule format)
+ */
+export const PROMOTIONS = promotionsData.promotions;
+
+/**
+ * Maximum Quantity per Cart Line
+ *
+ * Upper limit even for products with plenty of stock
+ */
+export const MAX_LINE_QUANTITY = 99;
+
+/**
+ * Get Maximum Line Quantity
+ *
+ * @param {number} [stock] - Units in stock (unknown stock is not limited)
+ * @returns {number} Most units of a product one cart line may hold
+ */
+export const getMaxLineQuantity = (stock) =>
+  Math.max(0, Math.min(MAX_LINE_QUANTITY, stock ?? MAX_LINE_QUANTITY));
+
+/**
+ * Migrate Legacy Cart Items
+ * 
+ * Carts saved before cart lines were keyed by product id only carry a
+ * display name. This resolves each line to its catalog product id by name
+ * (case-insensitive) and merges lines that resolve to the same product.
+ * Lines whose name is no longer in the catalog fall back to a slug of
+ * the name so they still render and can be removed.
+ * 
+ * Lines saved with a "$15"-style cost string are converted to a
+ * { amount, currency } price in minor units.
+ * 
+ * Lines that already have an id and a price are kept as they are.
+ * 
+ * @param {Array<Object>} items - Cart items in either the old or new shape
+ * @returns {Array<Object>} Cart items keyed by product id
+ */
+export const migrateLegacyCartItems = (items) => {
+  const idsByName = new Map(
+    catalogData.products.map(product => [product.name.toLowerCase(), product.id])
+  );
+
+  return items.reduce((migrated, item) => {
+    const id = item.id
+      ?? idsByName.get(item.name.toLowerCase())
+      ?? item.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    const { cost, ...line } = item;
+    const price = item.price ?? parseMoney(cost);
+
+    const existingItem = migrated.find(migratedLine => migratedLine.id === id);
+    if (existingItem) {
+      existingItem.quantity += item.quantity;
+    } else {
+      migrated.push({ ...line, id, price });
+    }
+    return migrated;
+  }, []);
+};
+
+/**
+ * Cart Slice Definition
+ * 
+ * createSlice automatically generates:
+ * - Action creators (addItem, removeItem, updateQuantity, hydrateCart, rebaseCart,
+ *   clearCart, reconcileStock, dismissStockWarnings, applyPromoCode, removePromoCode)
+ * - Action types (cart/addItem, cart/removeItem, etc.)
+ * - A reducer function that handles all these actions
+ */
+export const CartSlice = createSlice({
+  name: 'cart', // This becomes the prefix for action types
+
+  /**
+   * Initial State
+   * 
+   * The starting state of our cart when the app loads
+   * State shape: {
+   *   items: Array<CartItem>,
+   *   stockWarnings: Array<StockWarning>,
+   *   promoCode: string | null
+   * }
+   * 
+   * Each CartItem will have:
+   * - id: string (catalog product id)
+   * - name: string
+   * - image: string  
+   * - description: string
+   * - price: { amount: number, currency: string } (amount in minor units, e.g. 1500 = $15.00)
+   * - quantity: number
+   * 
+   * Each StockWarning describes a line that was cut down to the stock
+   * available: { id, name, requested, available }
+   */
+  initialState: {
+    items: [], // Empty array - no items in cart initially
+    stockWarnings: [],
+    promoCode: null,
+  },
+
+  /**
+   * Reducers Object
+   * 
+   * Each reducer is a pure function that:
+   * 1. Receives current state and an action
+   * 2. Returns new state based on the action
+   * 
+   * Redux Toolkit uses Immer, so we can "mutate" state directly
+   * (it's actually creating immutable copies behind the scenes)
+   */
+  reducers: {
+    /**
+     * Add Item to Cart Reducer
+     * 
+     * Handles adding a new plant to the shopping cart
+     * 
+     * Logic:
+     * 1. Check if item already exists in cart (by product id)
+     * 2. If exists: increment quantity (by 1 unless a quantity is given)
+     * 3. If new: add to cart with that quantity
+     * 4. Either way, never go above the stock (or MAX_LINE_QUANTITY);
+     *    an out-of-stock product is not added at all
+     * 
+     * @param {Object} state - Current cart state
+     * @param {Object} action - Action object with payload containing item data
+     * @param {Object} action.payload - The plant item to add
+     * @param {string} action.payload.id - Catalog product id (line key)
+     * @param {number} [action.payload.quantity=1] - How many to add (quantity picker)
+     * @param {number} [action.payload.stock] - Units in stock
+     */
+    addItem: (state, action) => {
+      const { id, name, image, description, price, quantity = 1, stock } = action.payload;
+      
+      // Find if this item already exists in the cart
+      const existingItem = state.items.find(item => item.id === id);
+      const currentQuantity = existingItem?.quantity ?? 0;
+      const newQuantity = Math.min(currentQuantity + quantity, getMaxLineQuantity(stock));
+
+      if (newQuantity <= currentQuantity) {
+        // Out of stock, or the cart already holds all there is
+        return;
+      }
+      
+      if (existingItem) {
+        // Item exists: increment quantity
+        existingItem.quantity = newQuantity;
+      } else {
+        // New item: add to cart with the requested quantity (1 by default)
+        state.items.push({
+          id,
+          name,
+          image,
+          description,
+          price,
+          quantity: newQuantity
+        });
+      }
+    },
+
+    /**
+     * Remove Item from Cart Reducer
+     * 
+     * Completely removes an item from the cart regardless of quantity
+     * 
+     * Usage: removeItem(id) or removeItem(id, 'saved-for-later'); the
+     * reason only changes how the removal is announced (see
+     * notificationListeners.js)
+     * 
+     * @param {Object} state - Current cart state  
+     * @param {Object} action - Action object with payload containing product id
+     * @param {string} action.payload - The product id of the line to remove
+     * @param {string} action.meta.reason - 'removed' or 'saved-for-later'
+     */
+    removeItem: {
+      reducer: (state, action) => {
+        const itemId = action.payload;
+        
+        // Filter out the item with matching id
+        // Array.filter creates new array without the removed item
+        state.items = state.items.filter(item => item.id !== itemId);
+      },
+      prepare: (id, reason = 'removed') => ({ payload: id, meta: { reason } }),
+    },
+
+    /**
+     * Update Item Quantity Reducer
+     * 
+     * Updates the quantity of a specific item in the cart
+     * If quantity becomes 0 or less, removes the item entirely
+     * Quantities above the stock are lowered to the stock
+     * 
+     * @param {Object} state - Current cart state
+     * @param {Object} action - Action object with payload
+     * @param {string} action.payload.id - Product id of the line to update
+     * @param {number} action.payload.quantity - New quantity value
+     * @param {number} [action.payload.stock] - Units in stock
+     */
+    updateQuantity: (state, action) => {
+      const { id, stock } = action.payload;
+      const quantity = Math.min(action.payload.quantity, getMaxLineQuantity(stock));
+      
+      // Find the item to update
+      const itemToUpdate = state.items.find(item => item.id === id);
+      
+      if (itemToUpdate) {
+        if (quantity <= 0) {
+          // If quantity is 0 or negative, remove item from cart
+          state.items = state.items.filter(item => item.id !== id);
+        } else {
+          // Update the quantity
+          itemToUpdate.quantity = quantity;
+        }
+      }
+    },
+
+    /**
+     * Hydrate Cart Reducer
+     * 
+     * Replaces the cart contents with previously saved items.
+     * Saved carts may still be in the old name-keyed shape, so every
+     * line is passed through migrateLegacyCartItems first.
+     * 
+     * @param {Object} state - Current cart state
+     * @param {Object} action - Action object with payload
+     * @param {Array<Object>} action.payload - Saved cart items (old or new shape)
+     */
+    hydrateCart: (state, action) => {
+      state.items = migrateLegacyCartItems(action.payload);
+    },
+
+    /**
+     * Rebase Cart Reducer
+     * 
+     * Replaces the cart contents with the shopper's own changes laid over
+     * the account cart (cart sync: merging on sign-in, resolving a save
+     * conflict). Unlike hydrateCart the items are used as they are, since
+     * they already went through the reducers. The undo history is still
+     * forgotten: its snapshots were taken before the account cart was
+     * laid underneath, so undoing to one would drop the account's lines.
+     * 
+     * @param {Object} state - Current cart state
+     * @param {Object} action - Action object with payload
+     * @param {Array<Object>} action.payload - Cart items
+     */
+    rebaseCart: (state, action) => {
+      state.items = action.payload;
+    },
+
+    /**
+     * Clear Cart Reducer
+     * 
+     * Empties the cart, e.g. once an order has been placed
+     * 
+     * @param {Object} state - Current cart state
+     */
+    clearCart: (state) => {
+      state.items = [];
+      state.stockWarnings = [];
+      state.promoCode = null;
+    },
+
+    /**
+     * Reconcile Stock Reducer
+     * 
+     * Lowers every line that asks for more than is in stock to the stock
+     * available (removing lines that are sold out) and records a warning
+     * for each, so the cart can tell the shopper what changed. Used when
+     * a saved cart is restored and whenever stock levels change.
+     * 
+     * @param {Object} state - Current cart state
+     * @param {Object} action - Action object with payload
+     * @param {Object<string, number>} action.payload - Units in stock by product id
+     *   (lines for products not listed are left alone)
+     */
+    reconcileStock: (state, action) => {
+      const stockLevels = action.payload;
+
+      state.items = state.items.filter(item => {
+        const available = stockLevels[item.id];
+        if (available === undefined || item.quantity <= available) {
+          return true;
+        }
+
+        state.stockWarnings = state.stockWarnings
+          .filter(warning => warning.id !== item.id)
+          .concat({ id: item.id, name: item.name, requested: item.quantity, available: Math.max(0, available) });
+        item.quantity = available;
+        return available > 0;
+      });
+    },
+
+    /**
+     * Dismiss Stock Warnings Reducer
+     * 
+     * @param {Object} state - Current cart state
+     */
+    dismissStockWarnings: (state) => {
+      state.stockWarnings = [];
+    },
+
+    /**
+     * Apply Promo Code Reducer
+     * 
+     * Stores the code entered in the cart (one code at a time). Whether
+     * it actually takes anything off is decided by the discount engine,
+     * so a code stops applying by itself if the cart no longer qualifies.
+     * 
+     * @param {Object} state - Current cart state
+     * @param {Object} action - Action object with payload
+     * @param {string} action.payload - Promo code as typed
+     */
+    applyPromoCode: (state, action) => {
+      state.promoCode = normalizePromoCode(action.payload);
+    },
+
+    /**
+     * Remove Promo Code Reducer
+     * 
+     * @param {Object} state - Current cart state
+     */
+    removePromoCode: (state) => {
+      state.promoCode = null;
+    },
+  },
+
+  /**
+   * Extra Reducers
+   * 
+   * Once the catalog has loaded, check the (saved) cart against today's
+   * stock, the same way reconcileStock does
+   */
+  extraReducers: (builder) => {
+    builder.addCase(fetchCatalog.fulfilled, (state, action) => {
+      const stockLevels = Object.fromEntries(
+        action.payload.products.map(product => [product.id, isOnSale(product) ? product.stock : 0])
+      );
+      CartSlice.caseReducers.reconcileStock(state, reconcileStock(stockLevels));
+    });
+  },
+});
+
+/**
+ * Export Action Creators
+ * 
+ * These are automatically generated by createSlice
+ * Components can import and dispatch these actions:
+ * 
+ * Example usage in components:
+ * import { addItem, removeItem, updateQuantity } from './CartSlice';
+ * 
+ * const dispatch = useDispatch();
+ * dispatch(addItem({ id: "snake-plant", name: "Snake Plant", price: { amount: 1500, currency: "USD" }, ... }));
+ * dispatch(updateQuantity({ id: "snake-plant", quantity: 2, stock: 24 }));
+ * dispatch(removeItem("snake-plant"));
+ */
+export const {
+  addItem,
+  removeItem,
+  updateQuantity,
+  hydrateCart,
+  rebaseCart,
+  clearCart,
+  reconcileStock,
+  dismissStockWarnings,
+  applyPromoCode,
+  removePromoCode
+} = CartSlice.actions;
+
+/**
+ * Undo / Redo Actions
+ * 
+ * Step back and forth through the cart history (see cartReducer below)
+ * 
+ * Example usage:
+ * dispatch(removeItem("snake-plant"));
+ * dispatch(undoCartChange()); // the line is back, in the same position
+ * dispatch(redoCartChange()); // and removed again
+ */
+export const undoCartChange = createAction('cart/undo');
+export const redoCartChange = createAction('cart/redo');
+
+/**
+ * Cart Selectors
+ * 
+ * Components read cart data through these instead of reaching into
+ * state.cart directly, so the state shape can change in one place.
+ * (state.cart is { past, present, future }; the cart itself is `present`.)
+ */
+
+/**
+ * Select Cart Items
+ * 
+ * @param {Object} state - Root Redux state
+ * @returns {Array<Object>} Cart lines in the order they were added
+ */
+export const selectCartItems = state => state.cart.present.items;
+
+/**
+ * Select Total Item Count
+ * 
+ * Sum of quantities across all lines (used by the cart badge)
+ */
+export const selectCartItemCount = createSelector(
+  [selectCartItems],
+  items => items.reduce((total, item) => total + item.quantity, 0)
+);
+
+/**
+ * Select Quantities in Cart
+ * 
+ * @returns {Object<string, number>} Quantity in the cart, by product id
+ */
+export const selectCartQuantities = createSelector(
+  [selectCartItems],
+  items => Object.fromEntries(items.map(item => [item.id, item.quantity]))
+);
+
+/**
+ * Select Stock Warnings
+ * 
+ * @param {Object} state - Root Redux state
+ * @returns {Array<{id: string, name: string, requested: number, available: number}>}
+ *   Lines that were reduced because stock ran low
+ */
+export const selectStockWarnings = state => state.cart.present.stockWarnings;
+
+/**
+ * Get Line Total
+ * 
+ * @param {Object} item - Cart line
+ * @returns {{amount: number, currency: string}} price × quantity
+ */
+export const getLineTotal = item => multiplyMoney(item.price, item.quantity);
+
+/**
+ * Select Cart Total
+ * 
+ * Sum of every line total, in integer minor units
+ */
+export const selectCartTotal = createSelector(
+  [selectCartItems],
+  items => sumMoney(items.map(getLineTotal))
+);
+
+/**
+ * Select Promo Code
+ * 
+ * @param {Object} state - Root Redux state
+ * @returns {string|null} Promo code entered in the cart
+ */
+export const selectPromoCode = state => state.cart.present.promoCode;
+
+/**
+ * Select Undo Count
+ * 
+ * @param {Object} state - Root Redux state
+ * @returns {number} How many cart changes can be undone
+ */
+export const selectCartUndoCount = state => state.cart.past.length;
+
+/**
+ * Select Can Undo / Redo
+ * 
+ * @param {Object} state - Root Redux state
+ * @returns {boolean} True when there is a change to undo / redo
+ */
+export const selectCanUndoCart = state => state.cart.past.length > 0;
+export const selectCanRedoCart = state => state.cart.future.length > 0;
+
+/**
+ * Cart Reducer with Undo History
+ * 
+ * - Adding, removing and quantity changes each create an undo step
+ * - Only the cart lines are kept in the history, so undo never reverts
+ *   a promo code or brings back dismissed warnings
+ * - Replacing the cart (another tab, a placed order, a stock check,
+ *   the catalog loading, a cart sync rebase) forgets the history,
+ *   since the old lines no longer apply
+ * - Saving a line for later forgets it too: the line moved to the
+ *   wishlist, and undoing would put it back in the cart while it
+ *   stays on the wishlist
+ */
+const cartReducer = undoable(CartSlice.reducer, {
+  undoType: undoCartChange.type,
+  redoType: redoCartChange.type,
+  filter: action => [addItem.type, removeItem.type, updateQuantity.type].includes(action.type),
+  clearTypes: [hydrateCart.type, rebaseCart.type, clearCart.type, reconcileStock.type, fetchCatalog.fulfilled.type],
+  clear: action => removeItem.match(action) && action.meta.reason === 'saved-for-later',
+  snapshot: state => state.items,
+  restore: (state, items) => ({ ...state, items }),
+});
+
+/**
+ * Export the Reducer
+ * 
+ * This reducer function will be added to our store
+ * The store will call this reducer whenever cart actions are dispatched
+ * 
+ * Selector Examples (for reading state in components):
+ * const cartItems = useSelector(selectCartItems);
+ * const totalItems = useSelector(selectCartItemCount);
+ * const total = useSelector(selectCartTotal); // { amount, currency }, before discounts
+ * 
+ * Discounts, shipping and tax: see selectOrderSummary in CheckoutSlice.js
+ */
+export default cartReducer;
@@ -0,0 +1,109 @@
+/**
+ * Cart Sync Redux Slice - Status of the Server Copy of the Cart
+ *
+ * For signed-in shoppers the cart is mirrored to the backend by the
+ * cart sync middleware (cartSync.js). This slice only holds what the
+ * UI needs to know about it:
+ * - which server cart is being synced (null when syncing is off)
+ * - whether the latest change has been saved, is being saved or failed
+ *
+ * Syncing starts with startCartSync(cartId) (on sign-in) and stops with
+ * stopCartSync() (on sign-out).
+ *
+ * Redux Toolkit Utilities Used:
+ * - createSlice(): Sync status and reducers
+ */
+
+import { createSlice } from '@reduxjs/toolkit';
+
+/**
+ * Cart Sync Slice Definition
+ *
+ * State shape:
+ * {
+ *   cartId: string | null,
+ *   status: 'off' | 'loading' | 'saving' | 'synced' | 'offline' | 'error',
+ *   version: number | null,   // server version of the last saved cart
+ *   error: string | null
+ * }
+ */
+export const CartSyncSlice = createSlice({
+  name: 'cartSync',
+
+  initialState: {
+    cartId: null,
+    status: 'off',
+    version: null,
+    error: null,
+  },
+
+  reducers: {
+    /**
+     * Start Cart Sync Reducer
+     *
+     * The middleware then loads the server cart and merges the local one into it
+     *
+     * @param {string} action.payload - Server cart id (e.g. the account's cart)
+     */
+    startCartSync: (state, action) => {
+      state.cartId = action.payload;
+      state.status = 'loading';
+      state.version = null;
+      state.error = null;
+    },
+
+    /**
+     * Stop Cart Sync Reducer
+     */
+    stopCartSync: (state) => {
+      state.cartId = null;
+      state.status = 'off';
+      state.version = null;
+      state.error = null;
+    },
+
+    /**
+     * Cart Sync Saving Reducer
+     */
+    cartSyncSaving: (state) => {
+      state.status = 'saving';
+    },
+
+    /**
+     * Cart Sync Succeeded Reducer
+     *
+     * @param {number} action.payload - Server version of the saved cart
+     */
+    cartSyncSucceeded: (state, action) => {
+      state.status = 'synced';
+      state.version = action.payload;
+      state.error = null;
+    },
+
+    /**
+     * Cart Sync Failed Reducer
+     *
+     * @param {Object} action.payload - { offline: boolean, message: string }
+     */
+    cartSyncFailed: (state, action) => {
+      state.status = action.payload.offline ? 'offline' : 'error';
+      state.error = action.payload.message;
+    },
+  },
+});
+
+export const {
+  startCartSync,
+  stopCartSync,
+  cartSyncSaving,
+  cartSyncSucceeded,
+  cartSyncFailed,
+} = CartSyncSlice.actions;
+
+/**
+ * Cart Sync Selectors
+ */
+export const selectCartSync = state => state.cartSync;
+export const selectCartSyncId = state => state.cartSync.cartId;
+
+export default CartSyncSlice.reducer;
@@ -0,0 +1,62 @@
+/**
+ * CatalogGate Component - Catalog Loading and Error States
+ *
+ * The shop views all read plants from the catalog slice, which is
+ * loaded through the API when the app starts (see store.js). This
+ * component renders them only once the catalog is there, and shows a
+ * loading message or an error with a "Try again" button until then.
+ *
+ * React Concepts Used:
+ * - useSelector Hook: Catalog loading status and error
+ * - useDispatch Hook: Retrying the fetchCatalog thunk
+ * - Props: children (the routed view)
+ * - Conditional Rendering: Loading / error / loaded
+ * - Translation: useI18n() for the messages (the error is shown as sent)
+ */
+
+import { useDispatch, useSelector } from 'react-redux';
+import PropTypes from 'prop-types';
+import { fetchCatalog, selectCatalogError, selectCatalogStatus } from './CatalogSlice';
+import { useI18n } from './useI18n';
+import './CatalogGate.css';
+
+/**
+ * CatalogGate Component
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Content that needs the catalog
+ * @returns {JSX.Element} The children, or the loading/error state
+ */
+function CatalogGate({ children }) {
+  const dispatch = useDispatch();
+  const status = useSelector(selectCatalogStatus);
+  const error = useSelector(selectCatalogError);
+  const { t } = useI18n();
+
+  if (status === 'succeeded') {
+    return children;
+  }
+
+  if (status === 'failed') {
+    return (
+      <div className="catalog-gate catalog-gate-error" role="alert">
+        <h2>{t('catalogGate.errorTitle')}</h2>
+        <p>{error}</p>
+        <button onClick={() => dispatch(fetchCatalog())}>{t('common.tryAgain')}</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="catalog-gate" role="status" aria-busy="true">
+      <div className="catalog-gate-spinner" aria-hidden="true"></div>
+      <p>{t('catalogGate.loading')}</p>
+    </div>
+  );
+}
+
+CatalogGate.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default CatalogGate;
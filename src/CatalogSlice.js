@@ -0,0 +1,416 @@
+/**
+ * Catalog Redux Slice - Plant Catalog State Management
+ *
+ * This file owns the plant catalog: every product the nursery sells and
+ * the categories they are grouped under. The catalog is loaded once
+ * through the API layer (api.js: the mock serves data/plants.json, the
+ * HTTP adapter a REST backend), instead of being rebuilt inside a
+ * component on every render. `status` and `error` tell the views
+ * whether it is still loading or could not be loaded (see CatalogGate.jsx).
+ *
+ * Data Model:
+ * - Each product has a stable id (URL/cart friendly slug) and a SKU
+ * - A product appears only once and lists the category ids it belongs to
+ * - Categories are an ordered list of { id, name }
+ * - Products also carry a care level, plant attributes (low light,
+ *   pet-safe, ...) and a popularity score, used for filtering and sorting
+ * - Care information ({ light, watering, toxicity, matureSize }) and an
+ *   optional `gallery` of extra image URLs are shown on the detail page
+ * - `stock` is the number of units available; the cart never holds more
+ *   than that (see CartSlice.js)
+ * - `retired: true` takes a product off sale without deleting it: the
+ *   shop no longer lists or sells it, but past orders and the admin
+ *   screens still find it by id
+ *
+ * Products are created, edited, retired, deleted and imported from the
+ * admin screens (AdminCatalog.jsx) through the API, then updated here.
+ *
+ * Redux Toolkit Utilities Used:
+ * - createAsyncThunk(): Loading the catalog from the API and saving product changes
+ * - createEntityAdapter(): Normalized { ids, entities } storage for products
+ * - createSelector(): Memoized derived data (e.g. products grouped by category)
+ */
+
+import { createAsyncThunk, createSlice, createEntityAdapter, createSelector } from '@reduxjs/toolkit';
+import { nameMessage, translate } from './i18n';
+import { selectLocale } from './LocaleSlice';
+import { buildSearchIndex } from './search';
+
+/**
+ * Low Stock Threshold
+ *
+ * Products with this many units or fewer show an "Only N left" badge
+ */
+export const LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Products Entity Adapter
+ *
+ * Keeps products normalized by id and preserves the order of the data file
+ */
+const productsAdapter = createEntityAdapter();
+
+/**
+ * Fetch Catalog Thunk
+ *
+ * Loads products, categories, attributes and care levels from the API.
+ * Skipped while a request is already in flight.
+ */
+export const fetchCatalog = createAsyncThunk(
+  'catalog/fetchCatalog',
+  (_, { extra: { api } }) => api.fetchCatalog(),
+  {
+    condition: (_, { getState }) => getState().catalog.status !== 'loading',
+  }
+);
+
+/**
+ * Reject With API Error
+ *
+ * Admin thunks reject with { message, details } so forms can show the
+ * server's field errors next to the fields (see api.js)
+ *
+ * @param {Function} rejectWithValue - From the thunk API
+ * @param {Error} error - Error thrown by the API
+ */
+const rejectWithApiError = (rejectWithValue, error) =>
+  rejectWithValue({ message: error.message, details: error.details ?? null });
+
+/**
+ * Create Product Thunk
+ *
+ * @param {Object} product - New product (see the data model above)
+ * @returns {Object} The product as stored
+ */
+export const createProduct = createAsyncThunk(
+  'catalog/createProduct',
+  async (product, { rejectWithValue, extra: { api } }) => {
+    try {
+      return await api.createProduct(product);
+    } catch (error) {
+      return rejectWithApiError(rejectWithValue, error);
+    }
+  }
+);
+
+/**
+ * Update Product Thunk
+ *
+ * @param {Object} product - Edited product; its id picks the product to replace
+ * @returns {Object} The product as stored
+ */
+export const updateProduct = createAsyncThunk(
+  'catalog/updateProduct',
+  async (product, { rejectWithValue, extra: { api } }) => {
+    try {
+      return await api.updateProduct(product.id, product);
+    } catch (error) {
+      return rejectWithApiError(rejectWithValue, error);
+    }
+  }
+);
+
+/**
+ * Set Product Retired Thunk
+ *
+ * Takes a product off sale (or back on sale) without deleting it
+ *
+ * @param {Object} args - { id, retired }
+ */
+export const setProductRetired = createAsyncThunk(
+  'catalog/setProductRetired',
+  async ({ id, retired }, { getState, rejectWithValue, extra: { api } }) => {
+    try {
+      return await api.updateProduct(id, { ...selectProductById(getState(), id), retired });
+    } catch (error) {
+      return rejectWithApiError(rejectWithValue, error);
+    }
+  }
+);
+
+/**
+ * Delete Product Thunk
+ *
+ * @param {string} id - Product id
+ */
+export const deleteProduct = createAsyncThunk(
+  'catalog/deleteProduct',
+  async (id, { rejectWithValue, extra: { api } }) => {
+    try {
+      return await api.deleteProduct(id);
+    } catch (error) {
+      return rejectWithApiError(rejectWithValue, error);
+    }
+  }
+);
+
+/**
+ * Import Products Thunk
+ *
+ * Adds new products and replaces existing ones with the same id
+ *
+ * @param {Array<Object>} products - Products read from a JSON or CSV file (see catalogCsv.js)
+ * @returns {Array<Object>} The whole catalog after the import
+ */
+export const importProducts = createAsyncThunk(
+  'catalog/importProducts',
+  async (products, { rejectWithValue, extra: { api } }) => {
+    try {
+      return await api.importProducts(products);
+    } catch (error) {
+      return rejectWithApiError(rejectWithValue, error);
+    }
+  }
+);
+
+/**
+ * Catalog Slice Definition
+ *
+ * State shape:
+ * {
+ *   ids: string[],               // product ids in catalog order
+ *   entities: { [id]: Product }, // products looked up by id
+ *   categories: Array<{ id, name }>,
+ *   attributes: Array<{ id, name }>,   // e.g. low-light, pet-safe
+ *   careLevels: Array<{ id, name }>,   // e.g. easy, moderate
+ *   status: 'idle' | 'loading' | 'succeeded' | 'failed',
+ *   error: string | null               // why loading failed
+ * }
+ */
+export const CatalogSlice = createSlice({
+  name: 'catalog',
+
+  initialState: productsAdapter.getInitialState({
+    categories: [],
+    attributes: [],
+    careLevels: [],
+    status: 'idle',
+    error: null,
+  }),
+
+  reducers: {
+    /**
+     * Reduce Stock Reducer
+     *
+     * Takes the quantities of a placed order off the products' stock, the
+     * same way the API did, so the shop shows what is left without
+     * loading the whole catalog again
+     *
+     * @param {Array<{id: string, quantity: number}>} action.payload - Ordered lines
+     */
+    reduceStock: (state, action) => {
+      action.payload.forEach(({ id, quantity }) => {
+        const product = state.entities[id];
+        if (typeof product?.stock === 'number') {
+          product.stock = Math.max(0, product.stock - quantity);
+        }
+      });
+    },
+  },
+
+  /**
+   * Extra Reducers
+   *
+   * Track the fetchCatalog thunk's lifecycle and apply saved product changes
+   */
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchCatalog.pending, (state) => {
+        state.status = 'loading';
+        state.error = null;
+      })
+      .addCase(fetchCatalog.fulfilled, (state, action) => {
+        const { products, categories, attributes, careLevels } = action.payload;
+        productsAdapter.setAll(state, products);
+        state.categories = categories;
+        state.attributes = attributes;
+        state.careLevels = careLevels;
+        state.status = 'succeeded';
+      })
+      .addCase(fetchCatalog.rejected, (state, action) => {
+        state.status = 'failed';
+        state.error = action.error.message;
+      })
+      .addCase(createProduct.fulfilled, (state, action) => {
+        productsAdapter.addOne(state, action.payload);
+      })
+      .addCase(updateProduct.fulfilled, (state, action) => {
+        productsAdapter.setOne(state, action.payload);
+      })
+      .addCase(setProductRetired.fulfilled, (state, action) => {
+        productsAdapter.setOne(state, action.payload);
+      })
+      .addCase(deleteProduct.fulfilled, (state, action) => {
+        productsAdapter.removeOne(state, action.meta.arg);
+      })
+      .addCase(importProducts.fulfilled, (state, action) => {
+        productsAdapter.setAll(state, action.payload);
+      });
+  },
+});
+
+export const { reduceStock } = CatalogSlice.actions;
+
+/**
+ * Base Selectors
+ *
+ * Generated by the entity adapter and scoped to state.catalog
+ */
+export const {
+  selectAll: selectAllProducts,
+  selectById: selectProductById,
+  selectEntities: selectProductEntities,
+  selectTotal: selectProductCount,
+} = productsAdapter.getSelectors(state => state.catalog);
+
+/**
+ * Select Catalog Status / Error
+ *
+ * @param {Object} state - Root Redux state
+ * @returns {string} 'idle' | 'loading' | 'succeeded' | 'failed' (the error: a message or null)
+ */
+export const selectCatalogStatus = state => state.catalog.status;
+export const selectCatalogError = state => state.catalog.error;
+
+/**
+ * Select Categories
+ *
+ * @param {Object} state - Root Redux state
+ * @returns {Array<{id: string, name: string}>} Categories in display order
+ */
+export const selectCategories = state => state.catalog.categories;
+
+/**
+ * Select Plant Attributes
+ *
+ * @param {Object} state - Root Redux state
+ * @returns {Array<{id: string, name: string}>} Attributes used as filters (low light, pet-safe, ...)
+ */
+export const selectAttributes = state => state.catalog.attributes;
+
+/**
+ * Select Care Levels
+ *
+ * @param {Object} state - Root Redux state
+ * @returns {Array<{id: string, name: string}>} Care levels from easiest to hardest
+ */
+export const selectCareLevels = state => state.catalog.careLevels;
+
+/**
+ * Is On Sale
+ *
+ * @param {Object|undefined} product - Catalog product
+ * @returns {boolean} True when the product exists and has not been retired
+ */
+export const isOnSale = product => Boolean(product) && !product.retired;
+
+/**
+ * Select Products on Sale
+ *
+ * Every product the shop lists (retired products are left out)
+ */
+export const selectProductsOnSale = createSelector(
+  [selectAllProducts],
+  products => products.filter(isOnSale)
+);
+
+/**
+ * Select Products Grouped by Category
+ *
+ * Builds the { id, name, plants } groups used by the product grid.
+ * A product that belongs to several categories appears in each group,
+ * but it is still the same product object (same id).
+ *
+ * Memoized with createSelector so components get a stable array
+ * until the catalog itself changes.
+ */
+export const selectProductsByCategory = createSelector(
+  [selectCategories, selectProductsOnSale],
+  (categories, products) => categories.map(category => ({
+    ...category,
+    plants: products.filter(product => product.categories.includes(category.id)),
+  }))
+);
+
+/**
+ * Select Search Index
+ *
+ * Tokenized catalog used by the plant search (see search.js), with the
+ * category names of the current language. Rebuilt only when the
+ * products, categories or language change.
+ */
+export const selectSearchIndex = createSelector(
+  [selectProductsOnSale, selectCategories, selectLocale],
+  (products, categories, locale) =>
+    buildSearchIndex(products, categories, category => translate(locale, nameMessage('category', category)))
+);
+
+/**
+ * Select Related Products
+ *
+ * Plants that share at least one category with the given plant, most
+ * shared categories first, then most popular. The plant itself is excluded.
+ *
+ * @param {Object} state - Root Redux state
+ * @param {string} id - Product id
+ * @param {number} [limit=4] - Maximum number of related plants
+ * @returns {Array<Object>} Related products
+ */
+export const selectRelatedProducts = createSelector(
+  [selectProductsOnSale, selectProductById, (state, id, limit = 4) => limit],
+  (products, product, limit) => {
+    if (!product) {
+      return [];
+    }
+
+    return products
+      .filter(other => other.id !== product.id)
+      .map(other => ({
+        other,
+        shared: other.categories.filter(id => product.categories.includes(id)).length,
+      }))
+      .filter(({ shared }) => shared > 0)
+      .sort((a, b) => b.shared - a.shared || b.other.popularity - a.other.popularity)
+      .slice(0, limit)
+      .map(({ other }) => other);
+  }
+);
+
+/**
+ * Select Stock Levels
+ *
+ * Retired products count as out of stock, so carts let go of them
+ *
+ * @returns {Object<string, number>} Units in stock, by product id
+ */
+export const selectStockLevels = createSelector(
+  [selectAllProducts],
+  products => Object.fromEntries(products.map(product => [product.id, isOnSale(product) ? product.stock : 0]))
+);
+
+/**
+ * Get Stock Status
+ *
+ * @param {number} stock - Units in stock
+ * @returns {'out-of-stock'|'low-stock'|'in-stock'} Status used for badges
+ */
+export const getStockStatus = (stock) => {
+  if (stock <= 0) return 'out-of-stock';
+  if (stock <= LOW_STOCK_THRESHOLD) return 'low-stock';
+  return 'in-stock';
+};
+
+/**
+ * Get Product Images
+ *
+ * @param {Object} product - Catalog product
+ * @returns {Array<string>} Main image followed by any gallery images
+ */
+export const getProductImages = (product) => [product.image, ...(product.gallery ?? [])];
+
+/**
+ * Export the Reducer
+ *
+ * Registered under the `catalog` key in store.js
+ */
+export default CatalogSlice.reducer;
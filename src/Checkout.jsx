@@ -0,0 +1,398 @@
+/**
+ * Checkout Component - Multi-Step Checkout Flow
+ *
+ * Replaces the old alert() placeholder with a real checkout:
+ * 1. Shipping address (validated form)
+ * 2. Delivery method
+ * 3. Order review
+ * 4. Confirmation
+ *
+ * The flow's state lives in the checkout slice (CheckoutSlice.js), so the
+ * step and entered values survive moving between the cart and checkout.
+ *
+ * React Concepts Used:
+ * - useState Hook: Draft form values and validation errors for the current step
+ * - useSelector/useDispatch Hooks: Reading and updating checkout and cart state
+ * - Controlled Inputs: Form fields driven by state
+ * - Conditional Rendering: One step component at a time
+ * - Translation: useI18n() in each step for text, prices and dates
+ *
+ * Signed-in users start the shipping step with their default saved
+ * address and can pick any other saved address (see Profile.jsx).
+ */
+
+import { Fragment, useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Link, Navigate, useNavigate } from 'react-router-dom';
+import {
+  CHECKOUT_STEPS,
+  DELIVERY_METHODS,
+  chooseDeliveryMethod,
+  goToStep,
+  placeOrder,
+  resetCheckout,
+  saveShippingAddress,
+  selectCheckout,
+  selectDeliveryMethod,
+  selectOrderSummary,
+} from './CheckoutSlice';
+import { getLineTotal, selectCartItems } from './CartSlice';
+import { selectDefaultAddress, selectSavedAddresses } from './AuthSlice';
+import { formatAddress, validateShippingAddress } from './checkoutValidation';
+import AddressFields from './AddressFields';
+import { calculateShipping } from './orderSummary';
+import { subtractMoney } from './money';
+import { nameMessage } from './i18n';
+import { useI18n } from './useI18n';
+import './Checkout.css';
+
+/**
+ * Step Labels for the Progress Indicator (message ids)
+ */
+const STEP_LABELS = {
+  shipping: 'checkout.step.shipping',
+  delivery: 'checkout.step.delivery',
+  review: 'checkout.step.review',
+  confirmation: 'checkout.step.confirmation',
+};
+
+/**
+ * Delivery Description
+ *
+ * @param {Object} method - Delivery method
+ * @returns {Object} Message descriptor (the data's description by default)
+ */
+const deliveryDescription = method => ({ id: `delivery.${method.id}.description`, defaultMessage: method.description });
+
+/**
+ * To Shipping Address
+ *
+ * @param {Object} address - Saved address
+ * @returns {Object} The address without its saved-address id
+ */
+const toShippingAddress = (address) => {
+  const shippingAddress = { ...address };
+  delete shippingAddress.id;
+  return shippingAddress;
+};
+
+/**
+ * Shipping Step
+ *
+ * Edits a local draft of the address; errors are shown once the
+ * user tries to continue, then update as fields are corrected.
+ * An address not entered yet starts as the default saved address.
+ */
+function ShippingStep() {
+  const dispatch = useDispatch();
+  const { shippingAddress } = useSelector(selectCheckout);
+  const savedAddresses = useSelector(selectSavedAddresses);
+  const defaultAddress = useSelector(selectDefaultAddress);
+  const [draft, setDraft] = useState(() => (
+    !shippingAddress.line1 && defaultAddress ? toShippingAddress(defaultAddress) : shippingAddress
+  ));
+  const [submitted, setSubmitted] = useState(false);
+  const { locale, t } = useI18n();
+
+  const errors = submitted ? validateShippingAddress(draft) : {};
+
+  const handleChange = (e) => {
+    setDraft({ ...draft, [e.target.name]: e.target.value });
+  };
+
+  const handleChooseSaved = (e) => {
+    const address = savedAddresses.find(saved => saved.id === e.target.value);
+    if (address) {
+      setDraft(toShippingAddress(address));
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    dispatch(saveShippingAddress(draft));
+  };
+
+  return (
+    <form className="checkout-form" onSubmit={handleSubmit} noValidate>
+      <h3>{t('checkout.shippingAddress')}</h3>
+
+      {savedAddresses.length > 0 && (
+        <div className="checkout-field">
+          <label htmlFor="checkout-saved-address">{t('checkout.savedAddresses')}</label>
+          <select id="checkout-saved-address" value="" onChange={handleChooseSaved}>
+            <option value="">{t('checkout.useSavedAddress')}</option>
+            {savedAddresses.map(address => (
+              <option key={address.id} value={address.id}>
+                {formatAddress(address, locale).join(t('common.listSeparator'))}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <AddressFields values={draft} errors={errors} onChange={handleChange} idPrefix="checkout" />
+
+      <div className="checkout-actions">
+        <Link to="/cart" className="checkout-secondary">{t('checkout.backToCart')}</Link>
+        <button type="submit" className="checkout-primary">{t('checkout.continueToDelivery')}</button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Delivery Step
+ */
+function DeliveryStep() {
+  const dispatch = useDispatch();
+  const { deliveryMethodId } = useSelector(selectCheckout);
+  const items = useSelector(selectCartItems);
+  const { subtotal, discountTotal } = useSelector(selectOrderSummary);
+  const { t, formatMoney } = useI18n();
+
+  /**
+   * Shipping Cost of a Method for This Cart
+   *
+   * Depends on the number of items and, for methods with a free-shipping
+   * threshold, on the order total after discounts
+   */
+  const getShippingCost = (method) => calculateShipping(method, items, subtractMoney(subtotal, discountTotal));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    dispatch(goToStep('review'));
+  };
+
+  return (
+    <form className="checkout-form" onSubmit={handleSubmit}>
+      <fieldset className="checkout-delivery">
+        <legend>{t('checkout.deliveryMethod')}</legend>
+        {DELIVERY_METHODS.map(method => (
+          <label key={method.id} className="checkout-delivery-option">
+            <input
+              type="radio"
+              name="deliveryMethod"
+              value={method.id}
+              checked={deliveryMethodId === method.id}
+              onChange={() => dispatch(chooseDeliveryMethod(method.id))}
+            />
+            <span className="checkout-delivery-name">{t(nameMessage('delivery', method))}</span>
+            <span className="checkout-delivery-description">{t(deliveryDescription(method))}</span>
+            <span className="checkout-delivery-price">
+              {getShippingCost(method).amount === 0 ? t('summary.free') : formatMoney(getShippingCost(method))}
+            </span>
+          </label>
+        ))}
+      </fieldset>
+
+      <div className="checkout-actions">
+        <button type="button" className="checkout-secondary" onClick={() => dispatch(goToStep('shipping'))}>
+          {t('common.back')}
+        </button>
+        <button type="submit" className="checkout-primary">{t('checkout.reviewOrder')}</button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Review Step
+ *
+ * Last chance to check everything before the order is placed
+ */
+function ReviewStep() {
+  const dispatch = useDispatch();
+  const items = useSelector(selectCartItems);
+  const { subtotal, discounts, shipping, taxRate, tax, total } = useSelector(selectOrderSummary);
+  const deliveryMethod = useSelector(selectDeliveryMethod);
+  const { shippingAddress, status, error } = useSelector(selectCheckout);
+  const { locale, t, formatMoney, formatNumber, formatPercent } = useI18n();
+
+  return (
+    <div className="checkout-review">
+      <h3>{t('checkout.reviewTitle')}</h3>
+
+      <ul className="checkout-lines">
+        {items.map(item => (
+          <li key={item.id}>
+            <span>{item.name} &times; {formatNumber(item.quantity)}</span>
+            <span>{formatMoney(getLineTotal(item))}</span>
+          </li>
+        ))}
+      </ul>
+
+      <div className="checkout-review-columns">
+        <div>
+          <h4>{t('checkout.shipTo')}</h4>
+          {formatAddress(shippingAddress, locale).map((line, index) => <div key={index}>{line}</div>)}
+          <button type="button" className="checkout-link" onClick={() => dispatch(goToStep('shipping'))}>
+            {t('checkout.editAddress')}
+          </button>
+        </div>
+        <div>
+          <h4>{t('checkout.delivery')}</h4>
+          <div>
+            {t('checkout.deliverySummary', {
+              method: nameMessage('delivery', deliveryMethod),
+              description: deliveryDescription(deliveryMethod)
+            })}
+          </div>
+          <button type="button" className="checkout-link" onClick={() => dispatch(goToStep('delivery'))}>
+            {t('checkout.changeDeliveryMethod')}
+          </button>
+        </div>
+      </div>
+
+      <dl className="checkout-totals">
+        <dt>{t('summary.subtotal')}</dt>
+        <dd>{formatMoney(subtotal)}</dd>
+        {discounts.map(discount => (
+          <Fragment key={discount.id}>
+            <dt className="checkout-discount">{t(discount.label)}</dt>
+            <dd className="checkout-discount">&minus;{formatMoney(discount.amount)}</dd>
+          </Fragment>
+        ))}
+        <dt>{t('checkout.delivery')}</dt>
+        <dd>{formatMoney(shipping)}</dd>
+        <dt>{t('checkout.taxRate', { rate: formatPercent(taxRate) })}</dt>
+        <dd>{formatMoney(tax)}</dd>
+        <dt className="checkout-total">{t('summary.total')}</dt>
+        <dd className="checkout-total">{formatMoney(total)}</dd>
+      </dl>
+
+      {/* Also announced as an error toast (see notificationListeners.js) */}
+      {error && <p className="checkout-error">{t(error)}</p>}
+
+      <div className="checkout-actions">
+        <button type="button" className="checkout-secondary" onClick={() => dispatch(goToStep('delivery'))}>
+          {t('common.back')}
+        </button>
+        <button
+          type="button"
+          className="checkout-primary"
+          disabled={status === 'placing'}
+          onClick={() => dispatch(placeOrder())}
+        >
+          {status === 'placing' ? t('checkout.placingOrder') : t('checkout.placeOrder')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Confirmation Step
+ */
+function ConfirmationStep() {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { order } = useSelector(selectCheckout);
+  const { t, formatMoney, formatNumber, formatDate } = useI18n();
+
+  const handleContinueShopping = () => {
+    dispatch(resetCheckout());
+    navigate('/plants');
+  };
+
+  return (
+    <div className="checkout-confirmation">
+      <h3>{t('checkout.thankYou')}</h3>
+      <p>
+        {t('checkout.orderNumber', { orderNumber: <strong>{order.orderNumber}</strong> })}
+        {' '}
+        {t('checkout.confirmationSent', { email: order.shippingAddress.email })}
+      </p>
+      <p>{t('checkout.placedOn', { date: formatDate(order.placedAt, { dateStyle: 'medium', timeStyle: 'short' }) })}</p>
+
+      <ul className="checkout-lines">
+        {order.items.map(item => (
+          <li key={item.id}>
+            <span>{item.name} &times; {formatNumber(item.quantity)}</span>
+            <span>{formatMoney(item.lineTotal)}</span>
+          </li>
+        ))}
+      </ul>
+
+      <dl className="checkout-totals">
+        <dt>{t('summary.subtotal')}</dt>
+        <dd>{formatMoney(order.totals.subtotal)}</dd>
+        {order.discounts.map(discount => (
+          <Fragment key={discount.id}>
+            <dt className="checkout-discount">{t(discount.label)}</dt>
+            <dd className="checkout-discount">&minus;{formatMoney(discount.amount)}</dd>
+          </Fragment>
+        ))}
+        <dt>{t(nameMessage('delivery', order.deliveryMethod))}</dt>
+        <dd>{formatMoney(order.totals.shipping)}</dd>
+        <dt>{t('checkout.tax')}</dt>
+        <dd>{formatMoney(order.totals.tax)}</dd>
+        <dt className="checkout-total">{t('checkout.totalPaid')}</dt>
+        <dd className="checkout-total">{formatMoney(order.totals.total)}</dd>
+      </dl>
+
+      <div className="checkout-actions">
+        <button type="button" className="checkout-primary" onClick={handleContinueShopping}>
+          {t('checkout.continueShopping')}
+        </button>
+        {/* Only orders placed while signed in are kept in a history */}
+        {order.userId && <Link to="/orders">{t('checkout.viewOrderHistory')}</Link>}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Step Components by Step Name
+ */
+const STEP_COMPONENTS = {
+  shipping: ShippingStep,
+  delivery: DeliveryStep,
+  review: ReviewStep,
+  confirmation: ConfirmationStep,
+};
+
+/**
+ * Checkout Component
+ *
+ * Rendered for the /checkout route. Sends the user back to the cart
+ * when there is nothing to check out.
+ *
+ * @returns {JSX.Element} The checkout flow
+ */
+function Checkout() {
+  const { step, status } = useSelector(selectCheckout);
+  const items = useSelector(selectCartItems);
+  const { t } = useI18n();
+
+  // The cart is emptied just before the order resolves, so stay put while placing
+  if (items.length === 0 && step !== 'confirmation' && status !== 'placing') {
+    return <Navigate to="/cart" replace />;
+  }
+
+  const StepComponent = STEP_COMPONENTS[step];
+  const currentIndex = CHECKOUT_STEPS.indexOf(step);
+
+  return (
+    <div className="checkout">
+      <h2>{t('checkout.title')}</h2>
+
+      {/* Progress Indicator */}
+      <ol className="checkout-progress">
+        {CHECKOUT_STEPS.map((name, index) => (
+          <li
+            key={name}
+            className={index === currentIndex ? 'current' : index < currentIndex ? 'done' : ''}
+            aria-current={index === currentIndex ? 'step' : undefined}
+          >
+            {t(STEP_LABELS[name])}
+          </li>
+        ))}
+      </ol>
+
+      <StepComponent />
+    </div>
+  );
+}
+
+export default Checkout;
@@ -0,0 +1,312 @@
+/**
+ * Checkout Redux Slice - Multi-Step Checkout State Management
+ *
+ * Holds the state of the checkout flow while the user moves through it:
+ *
+ *   shipping -> delivery -> review -> confirmation
+ *
+ * Each form step is validated (see checkoutValidation.js) before the
+ * flow moves on. Placing the order turns the cart into an order object,
+ * empties the cart and shows the confirmation step.
+ *
+ * The order summary (subtotal, discounts, shipping, tax and total) is
+ * computed by orderSummary.js from the cart, the chosen delivery method
+ * and the shipping address; the cart uses it as an estimate.
+ *
+ * Redux Toolkit Utilities Used:
+ * - createSlice(): Step, form values and order state
+ * - createAsyncThunk(): Placing the order through the API layer
+ *   (api.js), so the backend can change without changing the components
+ * - createSelector(): Memoized order summary
+ *
+ * Errors are kept as message descriptors (see i18n.js), so they are
+ * shown in whatever language is active.
+ */
+
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
+import {
+  addItem,
+  clearCart,
+  getLineTotal,
+  selectCartItems,
+  selectPromoCode,
+  PROMOTIONS
+} from './CartSlice';
+import { fetchCatalog, reduceStock, selectProductEntities } from './CatalogSlice';
+import { EMPTY_SHIPPING_ADDRESS, validateDeliveryMethod, validateShippingAddress } from './checkoutValidation';
+import { calculateOrderSummary } from './orderSummary';
+import { serverMessage } from './i18n';
+import deliveryMethods from './data/deliveryMethods.json';
+import taxRates from './data/taxRates.json';
+
+/**
+ * Checkout Steps in Order
+ */
+export const CHECKOUT_STEPS = ['shipping', 'delivery', 'review', 'confirmation'];
+
+/**
+ * Delivery Methods
+ *
+ * Loaded from data/deliveryMethods.json
+ */
+export const DELIVERY_METHODS = deliveryMethods;
+
+/**
+ * Tax Rates by Country
+ *
+ * Loaded from data/taxRates.json (see orderSummary.js for the format)
+ */
+export const TAX_RATES = taxRates;
+
+/**
+ * Create Order Number
+ *
+ * Human-friendly, practically unique order reference:
+ * PN-<yyyymmdd>-<6 random base-36 characters>, e.g. PN-20240518-K3F9QZ
+ *
+ * @param {Date} date - Time the order was placed
+ * @returns {string} Order number
+ */
+export const createOrderNumber = (date) => {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = Math.random().toString(36).slice(2, 8).toUpperCase().padEnd(6, '0');
+  return `PN-${day}-${suffix}`;
+};
+
+/**
+ * Place Order Thunk
+ *
+ * Builds the order from the current cart and checkout state, clears the
+ * cart, lowers the catalog's stock and returns the order. Rejects (with
+ * a message) when the cart is empty or a step is no longer valid. When
+ * the API reports that stock ran out, the catalog is loaded again, which
+ * lowers the cart to what is left (see CartSlice.js).
+ *
+ * Order shape:
+ * {
+ *   orderNumber: string,
+ *   userId: string | null,    // account that placed it (null for guests)
+ *   placedAt: string (ISO timestamp),
+ *   items: Array<{ id, name, image, price, quantity, lineTotal }>,
+ *   shippingAddress: Object,
+ *   deliveryMethod: { id, name, description, price },
+ *   discounts: Array<{ id, label, code, amount }>,
+ *   totals: { subtotal, discount, shipping, tax, total }   // all { amount, currency }
+ * }
+ */
+export const placeOrder = createAsyncThunk(
+  'checkout/placeOrder',
+  async (_, { getState, dispatch, rejectWithValue, extra: { api } }) => {
+    const state = getState();
+    const items = selectCartItems(state);
+    const { shippingAddress, deliveryMethodId } = state.checkout;
+
+    if (items.length === 0) {
+      return rejectWithValue({ id: 'checkout.error.emptyCart' });
+    }
+    if (Object.keys(validateShippingAddress(shippingAddress)).length > 0) {
+      return rejectWithValue({ id: 'checkout.error.shippingAddress' });
+    }
+    if (Object.keys(validateDeliveryMethod(deliveryMethodId)).length > 0) {
+      return rejectWithValue({ id: 'checkout.error.deliveryMethod' });
+    }
+
+    const placedAt = new Date();
+    const deliveryMethod = DELIVERY_METHODS.find(method => method.id === deliveryMethodId);
+    const summary = selectOrderSummary(state);
+
+    const order = {
+      orderNumber: createOrderNumber(placedAt),
+      // Read from the state directly: AuthSlice imports this slice
+      userId: state.auth.user?.id ?? null,
+      placedAt: placedAt.toISOString(),
+      items: items.map(item => ({
+        id: item.id,
+        name: item.name,
+        image: item.image,
+        price: item.price,
+        quantity: item.quantity,
+        lineTotal: getLineTotal(item),
+      })),
+      shippingAddress,
+      deliveryMethod,
+      discounts: summary.discounts,
+      totals: {
+        subtotal: summary.subtotal,
+        discount: summary.discountTotal,
+        shipping: summary.shipping,
+        tax: summary.tax,
+        total: summary.total,
+      },
+    };
+
+    let savedOrder;
+    try {
+      savedOrder = await api.createOrder(order);
+    } catch (error) {
+      if (error.status === 409) {
+        dispatch(fetchCatalog());
+      }
+      return rejectWithValue(serverMessage(error.message));
+    }
+
+    dispatch(reduceStock(savedOrder.items));
+    dispatch(clearCart());
+    return savedOrder;
+  }
+);
+
+/**
+ * Checkout Slice Definition
+ *
+ * State shape:
+ * {
+ *   step: 'shipping' | 'delivery' | 'review' | 'confirmation',
+ *   shippingAddress: Object,     // last saved (valid) shipping form values
+ *   deliveryMethodId: string,
+ *   status: 'idle' | 'placing' | 'failed',
+ *   error: Object | null,        // why placing the order failed (message descriptor)
+ *   order: Object | null         // the placed order, shown on confirmation
+ * }
+ */
+export const CheckoutSlice = createSlice({
+  name: 'checkout',
+
+  initialState: {
+    step: 'shipping',
+    shippingAddress: EMPTY_SHIPPING_ADDRESS,
+    deliveryMethodId: DELIVERY_METHODS[0].id,
+    status: 'idle',
+    error: null,
+    order: null,
+  },
+
+  reducers: {
+    /**
+     * Save Shipping Address Reducer
+     *
+     * Stores the shipping form values. Moves on to the delivery step
+     * only when the address is valid.
+     *
+     * @param {Object} action.payload - Shipping form values
+     */
+    saveShippingAddress: (state, action) => {
+      state.shippingAddress = action.payload;
+      if (Object.keys(validateShippingAddress(action.payload)).length === 0) {
+        state.step = 'delivery';
+      }
+    },
+
+    /**
+     * Choose Delivery Method Reducer
+     *
+     * @param {string} action.payload - Delivery method id
+     */
+    chooseDeliveryMethod: (state, action) => {
+      state.deliveryMethodId = action.payload;
+    },
+
+    /**
+     * Go To Step Reducer
+     *
+     * Moves back to an earlier step (or forward to the review step once
+     * delivery is valid). Steps after the current one cannot be skipped to.
+     *
+     * @param {string} action.payload - Step name from CHECKOUT_STEPS
+     */
+    goToStep: (state, action) => {
+      const target = CHECKOUT_STEPS.indexOf(action.payload);
+      const current = CHECKOUT_STEPS.indexOf(state.step);
+      const canAdvance = target === current + 1
+        && state.step === 'delivery'
+        && Object.keys(validateDeliveryMethod(state.deliveryMethodId)).length === 0;
+
+      if (state.step !== 'confirmation' && target >= 0 && (target < current || canAdvance)) {
+        state.step = action.payload;
+        state.error = null;
+      }
+    },
+
+    /**
+     * Reset Checkout Reducer
+     *
+     * Starts a fresh checkout. The shipping address is kept so a
+     * returning customer does not have to type it again.
+     */
+    resetCheckout: (state) => {
+      state.step = 'shipping';
+      state.status = 'idle';
+      state.error = null;
+      state.order = null;
+    },
+
+    /**
+     * Clear Checkout Reducer
+     *
+     * Forgets the whole checkout, shipping address included, e.g. when
+     * the shopper signs out and someone else may use the device next
+     */
+    clearCheckout: () => CheckoutSlice.getInitialState(),
+  },
+
+  /**
+   * Extra Reducers
+   *
+   * Track the placeOrder thunk's lifecycle, and start a new checkout
+   * once the shopper adds something to the cart after an order
+   */
+  extraReducers: (builder) => {
+    builder
+      .addCase(addItem, (state) => {
+        if (state.step === 'confirmation') {
+          CheckoutSlice.caseReducers.resetCheckout(state);
+        }
+      })
+      .addCase(placeOrder.pending, (state) => {
+        state.status = 'placing';
+        state.error = null;
+      })
+      .addCase(placeOrder.fulfilled, (state, action) => {
+        state.status = 'idle';
+        state.order = action.payload;
+        state.step = 'confirmation';
+      })
+      .addCase(placeOrder.rejected, (state, action) => {
+        state.status = 'failed';
+        state.error = action.payload ?? serverMessage(action.error.message);
+      });
+  },
+});
+
+export const { saveShippingAddress, chooseDeliveryMethod, goToStep, resetCheckout, clearCheckout } = CheckoutSlice.actions;
+
+/**
+ * Checkout Selectors
+ */
+export const selectCheckout = state => state.checkout;
+export const selectDeliveryMethod = state =>
+  DELIVERY_METHODS.find(method => method.id === state.checkout.deliveryMethodId);
+export const selectShippingAddress = state => state.checkout.shippingAddress;
+
+/**
+ * Select Order Summary
+ *
+ * Subtotal, itemised discounts, shipping, tax and total for the current
+ * cart, delivery method and shipping address (see calculateOrderSummary()).
+ * Before an address is entered, tax is estimated for the default country.
+ */
+export const selectOrderSummary = createSelector(
+  [selectCartItems, selectProductEntities, selectPromoCode, selectDeliveryMethod, selectShippingAddress],
+  (items, products, promoCode, deliveryMethod, shippingAddress) => calculateOrderSummary({
+    items,
+    products,
+    promotions: PROMOTIONS,
+    promoCode,
+    deliveryMethod,
+    destination: shippingAddress,
+    taxRates: TAX_RATES,
+    now: new Date(),
+  })
+);
+
+export default CheckoutSlice.reducer;
@@ -0,0 +1,242 @@
+/**
+ * FilterPanel Component - Sorting and Faceted Filters for the Plant Grid
+ *
+ * Replaces the old category button bar. Shoppers can combine:
+ * - several categories at once (chips)
+ * - a min/max price range (two sliders)
+ * - plant attributes such as low light or pet-safe (all must match)
+ * - care levels (any may match)
+ * - a sort order
+ *
+ * Every option shows a live count of the plants it would show, given the
+ * other active filters. The panel itself holds no state: it receives the
+ * current filters and reports changes, and ProductList keeps them in the URL.
+ *
+ * React Concepts Used:
+ * - Props: Current filters, facet values and counts, change callback
+ * - Controlled Inputs: Checkboxes, range sliders and select
+ * - Array Methods: map() over facet values
+ * - Translation: useI18n() for labels, counts and prices; facet names are
+ *   translated when the catalogue has them (nameMessage)
+ */
+
+import PropTypes from 'prop-types';
+import { SORT_OPTIONS, EMPTY_FILTERS, countActiveFilters } from './filters';
+import { nameMessage } from './i18n';
+import { useI18n } from './useI18n';
+import { optionShape } from './propShapes';
+import './FilterPanel.css';
+
+/**
+ * Toggle a Value in a List
+ *
+ * @param {Array<string>} list - Selected ids
+ * @param {string} id - Id to add or remove
+ * @returns {Array<string>} New list
+ */
+const toggle = (list, id) => (list.includes(id) ? list.filter(item => item !== id) : [...list, id]);
+
+/**
+ * FilterPanel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Active filters (see filters.js)
+ * @param {Object} props.facetCounts - Live counts from computeFacetCounts()
+ * @param {Array<{id: string, name: string}>} props.categories - Category facet values
+ * @param {Array<{id: string, name: string}>} props.attributes - Attribute facet values
+ * @param {Array<{id: string, name: string}>} props.careLevels - Care level facet values
+ * @param {{min: number, max: number}} props.priceBounds - Catalog price range in minor units
+ * @param {string} props.currency - Currency of catalog prices
+ * @param {number} props.resultCount - Plants matching all active filters
+ * @param {Function} props.onChange - Called with the new filters
+ * @returns {JSX.Element} The filter panel
+ */
+function FilterPanel({
+    filters,
+    facetCounts,
+    categories,
+    attributes,
+    careLevels,
+    priceBounds,
+    currency,
+    resultCount,
+    onChange
+}) {
+    const { t } = useI18n();
+    const update = (changes) => onChange({ ...filters, ...changes });
+
+    /**
+     * Price Slider Values
+     *
+     * The sliders move in whole currency units (100 minor units). A handle
+     * moved back to the end of the range clears that side of the filter.
+     */
+    const step = 100;
+    const sliderMin = Math.floor(priceBounds.min / step) * step;
+    const sliderMax = Math.ceil(priceBounds.max / step) * step;
+    const minPrice = filters.minPrice ?? sliderMin;
+    const maxPrice = filters.maxPrice ?? sliderMax;
+
+    const handleMinPrice = (event) => {
+        const value = Math.min(Number(event.target.value), maxPrice);
+        update({ minPrice: value <= sliderMin ? null : value });
+    };
+
+    const handleMaxPrice = (event) => {
+        const value = Math.max(Number(event.target.value), minPrice);
+        update({ maxPrice: value >= sliderMax ? null : value });
+    };
+
+    return (
+        <aside className="filter-panel" aria-label={t('filters.label')}>
+            <div className="filter-panel-header">
+                <span className="filter-result-count" role="status">
+                    {t('filters.resultCount', { count: resultCount })}
+                </span>
+
+                <label className="filter-sort">
+                    {t('filters.sortBy')}{' '}
+                    <select
+                        value={filters.sort}
+                        onChange={(e) => update({ sort: e.target.value })}
+                    >
+                        {SORT_OPTIONS.map(option => (
+                            <option key={option.id} value={option.id}>
+                                {t({ id: `sort.${option.id}`, defaultMessage: option.label })}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+
+                {countActiveFilters(filters) > 0 && (
+                    <button
+                        className="filter-clear"
+                        onClick={() => onChange({ ...EMPTY_FILTERS, sort: filters.sort })}
+                    >
+                        {t('filters.clear', { count: countActiveFilters(filters) })}
+                    </button>
+                )}
+            </div>
+
+            {/* Categories (any selected category matches) */}
+            <fieldset className="filter-group">
+                <legend>{t('filters.categories')}</legend>
+                <div className="filter-chips">
+                    <button
+                        className={`filter-chip ${filters.categories.length === 0 ? 'active' : ''}`}
+                        aria-pressed={filters.categories.length === 0}
+                        onClick={() => update({ categories: [] })}
+                    >
+                        {t('filters.allCategories')}
+                    </button>
+                    {categories.map(category => (
+                        <button
+                            key={category.id}
+                            className={`filter-chip ${filters.categories.includes(category.id) ? 'active' : ''}`}
+                            aria-pressed={filters.categories.includes(category.id)}
+                            onClick={() => update({ categories: toggle(filters.categories, category.id) })}
+                        >
+                            {t('filters.option', {
+                                name: nameMessage('category', category),
+                                count: facetCounts.categories[category.id]
+                            })}
+                        </button>
+                    ))}
+                </div>
+            </fieldset>
+
+            {/* Price Range */}
+            <fieldset className="filter-group">
+                <legend>{t('filters.price')}</legend>
+                <div className="filter-price">
+                    <label>
+                        {t('filters.minPrice', { price: { amount: minPrice, currency } })}
+                        <input
+                            type="range"
+                            min={sliderMin}
+                            max={sliderMax}
+                            step={step}
+                            value={minPrice}
+                            onChange={handleMinPrice}
+                        />
+                    </label>
+                    <label>
+                        {t('filters.maxPrice', { price: { amount: maxPrice, currency } })}
+                        <input
+                            type="range"
+                            min={sliderMin}
+                            max={sliderMax}
+                            step={step}
+                            value={maxPrice}
+                            onChange={handleMaxPrice}
+                        />
+                    </label>
+                </div>
+            </fieldset>
+
+            {/* Attributes (every selected attribute must match) */}
+            <fieldset className="filter-group">
+                <legend>{t('filters.features')}</legend>
+                {attributes.map(attribute => (
+                    <label key={attribute.id} className="filter-option">
+                        <input
+                            type="checkbox"
+                            checked={filters.attributes.includes(attribute.id)}
+                            onChange={() => update({ attributes: toggle(filters.attributes, attribute.id) })}
+                        />
+                        {t('filters.option', {
+                            name: nameMessage('attribute', attribute),
+                            count: facetCounts.attributes[attribute.id]
+                        })}
+                    </label>
+                ))}
+            </fieldset>
+
+            {/* Care Levels (any selected level matches) */}
+            <fieldset className="filter-group">
+                <legend>{t('filters.careLevel')}</legend>
+                {careLevels.map(careLevel => (
+                    <label key={careLevel.id} className="filter-option">
+                        <input
+                            type="checkbox"
+                            checked={filters.careLevels.includes(careLevel.id)}
+                            onChange={() => update({ careLevels: toggle(filters.careLevels, careLevel.id) })}
+                        />
+                        {t('filters.option', {
+                            name: nameMessage('careLevel', careLevel),
+                            count: facetCounts.careLevels[careLevel.id]
+                        })}
+                    </label>
+                ))}
+            </fieldset>
+        </aside>
+    );
+}
+
+FilterPanel.propTypes = {
+    filters: PropTypes.shape({
+        categories: PropTypes.arrayOf(PropTypes.string).isRequired,
+        careLevels: PropTypes.arrayOf(PropTypes.string).isRequired,
+        attributes: PropTypes.arrayOf(PropTypes.string).isRequired,
+        minPrice: PropTypes.number,
+        maxPrice: PropTypes.number,
+        sort: PropTypes.string.isRequired,
+    }).isRequired,
+    facetCounts: PropTypes.shape({
+        categories: PropTypes.objectOf(PropTypes.number).isRequired,
+        careLevels: PropTypes.objectOf(PropTypes.number).isRequired,
+        attributes: PropTypes.objectOf(PropTypes.number).isRequired,
+    }).isRequired,
+    categories: PropTypes.arrayOf(optionShape).isRequired,
+    attributes: PropTypes.arrayOf(optionShape).isRequired,
+    careLevels: PropTypes.arrayOf(optionShape).isRequired,
+    priceBounds: PropTypes.shape({
+        min: PropTypes.number.isRequired,
+        max: PropTypes.number.isRequired,
+    }).isRequired,
+    currency: PropTypes.string.isRequired,
+    resultCount: PropTypes.number.isRequired,
+    onChange: PropTypes.func.isRequired
+};
+
+export default FilterPanel;
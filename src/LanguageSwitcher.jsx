@@ -0,0 +1,41 @@
+/**
+ * LanguageSwitcher Component - Language Picker in the Navbar
+ *
+ * A select listing every supported language by its own name ("Español",
+ * "العربية"), so visitors can find theirs whatever language is showing.
+ * The choice is saved (see localePersistence.js), and right-to-left
+ * languages flip the page direction.
+ *
+ * React Concepts Used:
+ * - Controlled Select: The value comes from the Redux store
+ * - useSelector/useDispatch Hooks: Reading and setting the locale
+ */
+
+import { useDispatch } from 'react-redux';
+import { setLocale } from './LocaleSlice';
+import { LOCALES } from './i18n';
+import { useI18n } from './useI18n';
+import './LanguageSwitcher.css';
+
+/**
+ * LanguageSwitcher Component
+ *
+ * @returns {JSX.Element} The language select
+ */
+function LanguageSwitcher() {
+  const dispatch = useDispatch();
+  const { locale, t } = useI18n();
+
+  return (
+    <label className="language-switcher">
+      <span className="language-switcher-label">{t('navbar.language')}</span>
+      <select value={locale} onChange={(e) => dispatch(setLocale(e.target.value))}>
+        {LOCALES.map(({ id, name }) => (
+          <option key={id} value={id} lang={id}>{name}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default LanguageSwitcher;
@@ -0,0 +1,65 @@
+/**
+ * Locale Redux Slice - The Language the Shop Is Shown In
+ *
+ * Holds the active locale (language and region, e.g. "es-ES"). Messages,
+ * numbers, prices and dates are all rendered for it (see i18n.js and the
+ * useI18n hook). The choice is saved and restored by localePersistence.js,
+ * which also switches the page between left-to-right and right-to-left.
+ *
+ * Redux Toolkit Utilities Used:
+ * - createSlice(): Locale state and the setLocale reducer
+ */
+
+import { createSlice } from '@reduxjs/toolkit';
+import { DEFAULT_LOCALE, getLocaleInfo, isSupportedLocale } from './i18n';
+
+/**
+ * Locale Slice Definition
+ *
+ * State shape:
+ * {
+ *   current: string   // a locale id from LOCALES (see i18n.js)
+ * }
+ */
+export const LocaleSlice = createSlice({
+  name: 'locale',
+
+  initialState: {
+    current: DEFAULT_LOCALE,
+  },
+
+  reducers: {
+    /**
+     * Set Locale Reducer
+     *
+     * Unsupported locales are ignored
+     *
+     * @param {string} action.payload - Locale id, e.g. "ar-EG"
+     */
+    setLocale: (state, action) => {
+      if (isSupportedLocale(action.payload)) {
+        state.current = action.payload;
+      }
+    },
+  },
+});
+
+export const { setLocale } = LocaleSlice.actions;
+
+/**
+ * Select Locale
+ *
+ * @param {Object} state - Root Redux state
+ * @returns {string} Active locale id
+ */
+export const selectLocale = state => state.locale.current;
+
+/**
+ * Select Text Direction
+ *
+ * @param {Object} state - Root Redux state
+ * @returns {'ltr'|'rtl'} Direction of the active language
+ */
+export const selectTextDirection = state => getLocaleInfo(state.locale.current).dir;
+
+export default LocaleSlice.reducer;
@@ -0,0 +1,55 @@
+/**
+ * MiniCartBar Component - Cart Summary Bar for Small Screens
+ *
+ * On phones the cart icon folds away into the hamburger menu, so this
+ * bar sticks to the bottom of the screen instead: how many items are in
+ * the cart, their total, and a button to open it. It is hidden on wider
+ * screens (see MiniCartBar.css), while the cart is empty, and on the
+ * cart and checkout pages, which show the full summary.
+ *
+ * React Concepts Used:
+ * - useSelector Hook: Reading the cart item count and total
+ * - useLocation Hook: Hiding the bar on the cart and checkout pages
+ * - Conditional Rendering: Nothing is rendered when the bar is not needed
+ * - Translation: useI18n() for the summary in the chosen language
+ */
+
+import { useSelector } from 'react-redux';
+import { Link, useLocation } from 'react-router-dom';
+import { selectCartItemCount, selectCartTotal } from './CartSlice';
+import { useI18n } from './useI18n';
+import './MiniCartBar.css';
+
+/**
+ * Pages With Their Own Cart Summary
+ */
+const HIDDEN_ON = ['/cart', '/checkout'];
+
+/**
+ * MiniCartBar Component
+ *
+ * @returns {JSX.Element|null} The summary bar, or nothing
+ */
+function MiniCartBar() {
+  const itemCount = useSelector(selectCartItemCount);
+  const total = useSelector(selectCartTotal);
+  const location = useLocation();
+  const { t } = useI18n();
+
+  if (itemCount === 0 || HIDDEN_ON.includes(location.pathname)) {
+    return null;
+  }
+
+  return (
+    <aside className="mini-cart-bar" aria-label={t('miniCart.label')}>
+      <span className="mini-cart-summary">
+        {t('miniCart.summary', { count: itemCount, total })}
+      </span>
+      <Link to="/cart" state={{ from: location }} className="mini-cart-link">
+        {t('miniCart.viewCart')}
+      </Link>
+    </aside>
+  );
+}
+
+export default MiniCartBar;
@@ -0,0 +1,176 @@
+/**
+ * Navbar Component - Shop Navigation Bar
+ *
+ * The green navigation bar shown above every shop view (plant grid,
+ * plant details and cart). Extracted from ProductList so that all
+ * routed views share the same navigation.
+ *
+ * On small screens the links and icons fold away behind a hamburger
+ * button; the menu closes again when a link is followed, or with Escape
+ * (which returns focus to the button).
+ *
+ * React Concepts Used:
+ * - useSelector Hook: Reading the cart and wishlist counts for the badges
+ * - useState Hook: Whether the hamburger menu is open
+ * - React Router <Link>: Real links with URLs, so the back button,
+ *   bookmarks and shared links work
+ * - useLocation Hook: Remembering where the user was before opening the cart
+ * - Component Composition: UserMenu (sign in / account menu),
+ *   LanguageSwitcher (the language the shop is shown in) and
+ *   ThemeToggle (light, dark or high-contrast colours)
+ * - Translation: useI18n() for the labels and localized badge numbers
+ */
+
+import { useRef, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Link, useLocation } from 'react-router-dom';
+import { selectCartItemCount } from './CartSlice';
+import { getImageSources } from './imageSources';
+import { selectWishlistCount } from './WishlistSlice';
+import UserMenu from './UserMenu';
+import LanguageSwitcher from './LanguageSwitcher';
+import ThemeToggle from './ThemeToggle';
+import { useI18n } from './useI18n';
+import './Navbar.css';
+
+/**
+ * Logo
+ *
+ * Shown at 44-70px, so the browser can pick the 640px version instead
+ * of the full 1280px one
+ */
+const LOGO = getImageSources('https://cdn.pixabay.com/photo/2020/08/05/13/12/eco-5465432_1280.png');
+
+/**
+ * Navbar Component
+ *
+ * @returns {JSX.Element} The shop navigation bar
+ */
+function Navbar() {
+    /**
+     * Calculate total items in cart for badge display
+     */
+    const totalCartItems = useSelector(selectCartItemCount);
+    const totalWishlistItems = useSelector(selectWishlistCount);
+    const { t, formatNumber } = useI18n();
+
+    /**
+     * Current Location
+     *
+     * Passed to the cart route as `state.from` so "Continue Shopping"
+     * can return to the exact plant list (and category) the user left
+     */
+    const location = useLocation();
+    const cartReturnLocation = location.pathname === '/cart' ? location.state?.from : location;
+
+    /**
+     * Hamburger Menu
+     *
+     * Remembers the page the menu was opened on, so it is closed as
+     * soon as a link leads somewhere else
+     */
+    const [menuOpenedAt, setMenuOpenedAt] = useState(null);
+    const menuOpen = menuOpenedAt === location.pathname;
+    const toggleMenu = () => setMenuOpenedAt(menuOpen ? null : location.pathname);
+    const toggleRef = useRef(null);
+
+    /**
+     * Handle Escape
+     *
+     * @param {KeyboardEvent} e - Key event from anywhere in the navbar
+     */
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape' && menuOpen) {
+            setMenuOpenedAt(null);
+            toggleRef.current.focus();
+        }
+    };
+
+    return (
+        <header className="navbar" onKeyDown={handleKeyDown}>
+            {/* Brand/Logo Section */}
+            <div className="tag">
+                <div className="luxury">
+                    {/* Decorative: the brand name beside it says the same */}
+                    <img
+                        src={LOGO.src}
+                        srcSet={LOGO.srcSet}
+                        sizes="(min-width: 768px) 70px, 44px"
+                        width="70"
+                        height="70"
+                        alt=""
+                    />
+                    <Link to="/">
+                        <div>
+                            <strong className="navbar-brand">{t('navbar.brand')}</strong>
+                            <i>{t('landing.tagline')}</i>
+                        </div>
+                    </Link>
+                </div>
+            </div>
+
+            {/* Hamburger Button (small screens only) */}
+            <button
+                ref={toggleRef}
+                type="button"
+                className="navbar-toggle"
+                onClick={toggleMenu}
+                aria-expanded={menuOpen}
+                aria-controls="navbar-menu"
+                aria-label={t(menuOpen ? 'navbar.closeMenu' : 'navbar.openMenu')}
+            >
+                <span aria-hidden="true">{menuOpen ? '\u2715' : '\u2630'}</span>
+            </button>
+
+            {/* Navigation Links */}
+            <nav id="navbar-menu" className={`navbar-links ${menuOpen ? 'open' : ''}`} aria-label={t('navbar.mainNav')}>
+                <div>
+                    <Link to="/plants" className="navbar-link">{t('navbar.plants')}</Link>
+                </div>
+
+                <div>
+                    <Link to="/orders" className="navbar-link">{t('navbar.orders')}</Link>
+                </div>
+
+                {/* Language, theme, account menu, wishlist heart and cart icon with count badges */}
+                <div className="navbar-actions">
+                    <LanguageSwitcher />
+                    <ThemeToggle />
+                    <UserMenu />
+
+                    <Link to="/wishlist" className="navbar-link" aria-label={t('navbar.wishlist', { count: totalWishlistItems })}>
+                        <div className="navbar-icon navbar-icon-wishlist">
+                            <span aria-hidden="true">&#9825;</span>
+
+                            {totalWishlistItems > 0 && (
+                                <span className="navbar-badge" aria-hidden="true">
+                                    {formatNumber(totalWishlistItems)}
+                                </span>
+                            )}
+                        </div>
+                    </Link>
+
+
+                    <Link to="/cart" state={{ from: cartReturnLocation }} className="navbar-link" aria-label={t('navbar.cart', { count: totalCartItems })}>
+                        <div className="navbar-icon">
+                            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" aria-hidden="true">
+                                <rect width="156" height="156" fill="none"></rect>
+                                <circle cx="80" cy="216" r="12"></circle>
+                                <circle cx="184" cy="216" r="12"></circle>
+                                <path d="M42.3,72H221.7l-26.4,92.4A15.9,15.9,0,0,1,179.9,176H84.1a15.9,15.9,0,0,1-15.4-11.6L32.5,37.8A8,8,0,0,0,24.8,32H8" fill="none" stroke="currentColor" strokeLinecap="round" strokeLinejoin="round" strokeWidth="12"></path>
+                            </svg>
+
+                            {totalCartItems > 0 && (
+                                <span className="navbar-badge" aria-hidden="true">
+                                    {formatNumber(totalCartItems)}
+                                </span>
+                            )}
+                        </div>
+                    </Link>
+                </div>
+            </nav>
+        </header>
+    );
+}
+
+export default Navbar;
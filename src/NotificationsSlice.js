@@ -0,0 +1,141 @@
+/**
+ * Notifications Redux Slice - Toast Messages
+ *
+ * Short messages shown in the corner of the screen by ToastContainer:
+ * "Added Snake Plant to your cart", "Only 3 left in stock", "Your order
+ * could not be placed", ...
+ *
+ * Any part of the app can report through it by dispatching notify().
+ * Announcements (announce: true) are only read out by screen readers,
+ * through the same live region, e.g. the new quantity after a "+" click.
+ * Cart, stock and checkout events are reported automatically by the
+ * listeners in notificationListeners.js.
+ *
+ * Redux Toolkit Utilities Used:
+ * - createSlice(): Notification list and reducers
+ * - prepare callbacks: Ids, timestamps and defaults are created outside
+ *   the reducer so it stays pure
+ * - nanoid(): Unique notification ids
+ */
+
+import { createSlice, nanoid } from '@reduxjs/toolkit';
+
+/**
+ * Most Notifications Shown at Once
+ *
+ * Older ones are dropped when more arrive
+ */
+export const MAX_NOTIFICATIONS = 4;
+
+/**
+ * Default Display Time by Type (milliseconds)
+ *
+ * null keeps the notification until it is dismissed
+ */
+export const NOTIFICATION_DURATIONS = {
+  success: 4000,
+  info: 6000,
+  warning: 8000,
+  error: null,
+};
+
+/**
+ * Notification Keys
+ *
+ * A new notification with the same key replaces the previous one, so
+ * related messages do not pile up
+ */
+export const NOTIFICATION_KEYS = {
+  cartAdd: 'cart-add',
+  cartUndo: 'cart-undo',
+  cartAnnounce: 'cart-announce',
+  checkoutError: 'checkout-error',
+};
+
+/**
+ * Notifications Slice Definition
+ *
+ * State shape:
+ * {
+ *   items: Array<{
+ *     id: string,
+ *     type: 'success' | 'info' | 'warning' | 'error',
+ *     message: Object,                       // message descriptor { id, values } (see i18n.js)
+ *     duration: number | null,               // auto-dismiss after, in ms
+ *     key: string | null,                    // a new notification with the same key replaces the old one
+ *     action: { label, onAction } | null,    // button that dispatches `onAction` (a plain Redux action)
+ *     link: { label, to } | null,            // link to another page (labels are descriptors too)
+ *     announce: boolean,                     // read out by screen readers only, not shown
+ *     createdAt: string
+ *   }>  // oldest first
+ * }
+ */
+export const NotificationsSlice = createSlice({
+  name: 'notifications',
+
+  initialState: {
+    items: [],
+  },
+
+  reducers: {
+    /**
+     * Notify Reducer
+     *
+     * Shows a notification (replacing one with the same key)
+     *
+     * @param {Object} action.payload - { message, type = 'info', duration, key, action, link, announce }
+     */
+    notify: {
+      reducer: (state, action) => {
+        const notification = action.payload;
+        state.items = state.items
+          .filter(item => !notification.key || item.key !== notification.key)
+          .concat(notification)
+          .slice(-MAX_NOTIFICATIONS);
+      },
+      prepare: ({ message, type = 'info', duration, key = null, action = null, link = null, announce = false }) => ({
+        payload: {
+          id: nanoid(),
+          type,
+          message,
+          duration: duration === undefined ? NOTIFICATION_DURATIONS[type] : duration,
+          key,
+          action,
+          link,
+          announce,
+          createdAt: new Date().toISOString(),
+        },
+      }),
+    },
+
+    /**
+     * Dismiss Notification Reducer
+     *
+     * @param {string} action.payload - Notification id
+     */
+    dismissNotification: (state, action) => {
+      state.items = state.items.filter(item => item.id !== action.payload);
+    },
+
+    /**
+     * Dismiss Notifications by Key Reducer
+     *
+     * Hides a notification that no longer applies, e.g. an "Undo" offer
+     * once the cart has changed again
+     *
+     * @param {string} action.payload - Notification key
+     */
+    dismissNotificationsByKey: (state, action) => {
+      state.items = state.items.filter(item => item.key !== action.payload);
+    },
+  },
+});
+
+export const { notify, dismissNotification, dismissNotificationsByKey } = NotificationsSlice.actions;
+
+/**
+ * Notification Selectors
+ */
+export const selectNotifications = state => state.notifications.items;
+
+export default NotificationsSlice.reducer;
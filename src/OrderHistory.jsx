@@ -0,0 +1,212 @@
+/**
+ * OrderHistory Component - Past Orders and "Buy Again"
+ *
+ * Lists every order the account placed, newest first, with the lines, prices and
+ * totals as they were when the order was placed. "Buy again" puts an
+ * order's plants back in the cart at today's prices; anything that has
+ * been discontinued, changed price or is short on stock is listed
+ * under that order.
+ *
+ * React Concepts Used:
+ * - useSelector Hook: Orders, and today's catalog for comparison
+ * - useDispatch Hook: The buyAgain thunk (its return value is the result)
+ * - useEffect Hook: Bringing the history up to date from the server
+ *   (fetchOrders) when the page opens
+ * - useState Hook: The last "Buy again" result for each order
+ * - Conditional Rendering: Loading, load error, empty history, changed
+ *   and discontinued lines
+ * - Array Methods: map() over orders and their lines
+ * - Translation: useI18n() for text, dates and prices in the chosen locale
+ */
+
+import { Fragment, useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { isOnSale, selectProductEntities } from './CatalogSlice';
+import {
+  buyAgain,
+  fetchOrders,
+  hasPriceChanged,
+  selectOrders,
+  selectOrdersError,
+  selectOrdersStatus
+} from './OrdersSlice';
+import { nameMessage } from './i18n';
+import PlantImage from './PlantImage';
+import { useI18n } from './useI18n';
+import './OrderHistory.css';
+
+/**
+ * Describe a Buy Again Warning
+ *
+ * @param {Object} warning - Warning returned by buyAgain
+ * @returns {Object} Message descriptor for the shopper
+ */
+const describeWarning = (warning) => {
+  switch (warning.type) {
+    case 'discontinued':
+      return { id: 'orders.warning.discontinued', values: warning };
+    case 'price-changed':
+      return { id: 'orders.warning.priceChanged', values: warning };
+    case 'limited':
+      return { id: warning.added > 0 ? 'orders.warning.limited' : 'orders.warning.notAdded', values: warning };
+    default:
+      return { id: 'common.serverMessage', values: { message: warning.name } };
+  }
+};
+
+/**
+ * OrderHistory Component
+ *
+ * Rendered for the /orders route
+ *
+ * @returns {JSX.Element} The order history page
+ */
+function OrderHistory() {
+  const dispatch = useDispatch();
+  const orders = useSelector(selectOrders);
+  const status = useSelector(selectOrdersStatus);
+  const error = useSelector(selectOrdersError);
+  const products = useSelector(selectProductEntities);
+  const { t, formatMoney, formatNumber, formatDate, formatRegion } = useI18n();
+
+  /**
+   * Buy Again Results
+   *
+   * { [orderNumber]: { added, warnings } } for the orders bought again
+   * while this page is open
+   */
+  const [results, setResults] = useState({});
+
+  useEffect(() => {
+    dispatch(fetchOrders());
+  }, [dispatch]);
+
+  const handleBuyAgain = (orderNumber) => {
+    const result = dispatch(buyAgain(orderNumber));
+    setResults({ ...results, [orderNumber]: result });
+  };
+
+  /**
+   * Load Error
+   *
+   * Shown above the orders saved on this device, which are still listed
+   */
+  const loadError = status === 'failed' && (
+    <div className="order-history-error" role="alert">
+      <p>{t('orders.loadError')} {t(error)}</p>
+      <button onClick={() => dispatch(fetchOrders())}>{t('common.tryAgain')}</button>
+    </div>
+  );
+
+  if (orders.length === 0 && status === 'loading') {
+    return (
+      <div className="order-history order-history-empty" role="status" aria-busy="true">
+        <p>{t('orders.loading')}</p>
+      </div>
+    );
+  }
+
+  if (orders.length === 0) {
+    return (
+      <div className="order-history order-history-empty">
+        {loadError}
+        <h2>{t('orders.empty')}</h2>
+        <p>{t('orders.emptyHint')}</p>
+        <Link to="/plants">{t('wishlist.browse')}</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="order-history">
+      <h2>{t('orders.title')}</h2>
+      {loadError}
+
+      {orders.map(order => {
+        const result = results[order.orderNumber];
+
+        return (
+          <section className="order" key={order.orderNumber} aria-labelledby={`order-${order.orderNumber}`}>
+            <header className="order-header">
+              <div>
+                <h3 id={`order-${order.orderNumber}`}>{t('orders.order', { orderNumber: order.orderNumber })}</h3>
+                <p className="order-meta">
+                  {t('orders.placed', { date: formatDate(order.placedAt) })}
+                  {' '}&middot; {t(nameMessage('delivery', order.deliveryMethod))}
+                  {' '}&middot; {t('orders.shippedTo', {
+                    city: order.shippingAddress.city,
+                    country: formatRegion(order.shippingAddress.country)
+                  })}
+                </p>
+              </div>
+              <button className="order-buy-again" onClick={() => handleBuyAgain(order.orderNumber)}>
+                {t('orders.buyAgain')}
+              </button>
+            </header>
+
+            {/* Lines at the prices paid, compared with the catalog today */}
+            <ul className="order-lines">
+              {order.items.map(item => {
+                const product = isOnSale(products[item.id]) ? products[item.id] : null;
+
+                return (
+                  <li key={item.id} className="order-line">
+                    <PlantImage className="order-line-image" src={item.image} alt="" ratio="square" sizes="50px" />
+                    <div className="order-line-details">
+                      {product
+                        ? <Link to={`/plant/${item.id}`}>{item.name}</Link>
+                        : <span>{item.name}</span>}
+                      <span className="order-line-quantity">
+                        {formatMoney(item.price)} &times; {formatNumber(item.quantity)}
+                      </span>
+                      {!product && <span className="order-line-note">{t('orders.noLongerAvailable')}</span>}
+                      {product && hasPriceChanged(item.price, product.price) && (
+                        <span className="order-line-note">{t('orders.nowCosts', { price: product.price })}</span>
+                      )}
+                    </div>
+                    <span className="order-line-total">{formatMoney(item.lineTotal)}</span>
+                  </li>
+                );
+              })}
+            </ul>
+
+            <dl className="order-totals">
+              <dt>{t('summary.subtotal')}</dt>
+              <dd>{formatMoney(order.totals.subtotal)}</dd>
+              {order.discounts.map(discount => (
+                <Fragment key={discount.id}>
+                  <dt>{t(discount.label)}</dt>
+                  <dd>&minus;{formatMoney(discount.amount)}</dd>
+                </Fragment>
+              ))}
+              <dt>{t('orders.shipping')}</dt>
+              <dd>{formatMoney(order.totals.shipping)}</dd>
+              <dt>{t('checkout.tax')}</dt>
+              <dd>{formatMoney(order.totals.tax)}</dd>
+              <dt className="order-total">{t('checkout.totalPaid')}</dt>
+              <dd className="order-total">{formatMoney(order.totals.total)}</dd>
+            </dl>
+
+            {/* What happened when this order was bought again */}
+            {result && result.warnings.length > 0 && (
+              <div className="order-buy-again-warnings" role="status">
+                <p>
+                  {result.added > 0 ? t('orders.addedWithChanges') : t('orders.nothingAdded')}
+                </p>
+                <ul>
+                  {result.warnings.map(warning => (
+                    <li key={`${warning.type}-${warning.id}`}>{t(describeWarning(warning))}</li>
+                  ))}
+                </ul>
+                {result.added > 0 && <Link to="/cart">{t('orders.reviewCart')}</Link>}
+              </div>
+            )}
+          </section>
+        );
+      })}
+    </div>
+  );
+}
+
+export default OrderHistory;
@@ -0,0 +1,258 @@
+/**
+ * Orders Redux Slice - Order History and "Buy Again"
+ *
+ * Keeps every order the signed-in account placed through checkout, as
+ * it was at the time of purchase: the lines with their names, prices and quantities, the
+ * discounts, delivery method, shipping address and totals. Orders are
+ * never updated from the catalog, so prices shown in the history are
+ * the prices that were paid.
+ *
+ * "Buy again" adds an order's lines back to the cart at today's prices,
+ * and reports anything that has been discontinued, changed price, or
+ * is not in stock in the quantity ordered.
+ *
+ * The history is kept on the device (see orderPersistence.js) and
+ * brought up to date from the account's orders on the server when the
+ * history page opens (fetchOrders), so orders placed on other devices
+ * show up too.
+ *
+ * Redux Toolkit Utilities Used:
+ * - createSlice(): Order list and reducers
+ * - createAsyncThunk(): Loading the account's orders through the API
+ *   layer (api.js)
+ * - extraReducers: Recording orders when checkout's placeOrder succeeds,
+ *   and forgetting them on sign-out (orderPersistence.js loads the next
+ *   account's history)
+ * - Thunks: Buy again (reads the catalog and the cart, adds many lines)
+ */
+
+import { createAsyncThunk, createSlice } from '@reduxjs/toolkit';
+import { addItem, selectCartQuantities } from './CartSlice';
+import { isOnSale, selectProductById } from './CatalogSlice';
+import { selectCurrentUser, signOut } from './AuthSlice';
+import { placeOrder } from './CheckoutSlice';
+import { serverMessage } from './i18n';
+import { NOTIFICATION_KEYS, notify } from './NotificationsSlice';
+
+/**
+ * Most Orders Kept
+ *
+ * The oldest orders are dropped beyond this, so saved history stays small
+ */
+export const MAX_ORDERS = 50;
+
+/**
+ * Merge Orders
+ *
+ * @param {Array<Object>} saved - Orders kept on this device
+ * @param {Array<Object>} fetched - Orders from the server
+ * @returns {Array<Object>} Both, without duplicates (the server's copy
+ *   wins), newest first and at most MAX_ORDERS
+ */
+const mergeOrders = (saved, fetched) => {
+  const fetchedNumbers = new Set(fetched.map(order => order.orderNumber));
+  return [...fetched, ...saved.filter(order => !fetchedNumbers.has(order.orderNumber))]
+    .sort((a, b) => b.placedAt.localeCompare(a.placedAt))
+    .slice(0, MAX_ORDERS);
+};
+
+/**
+ * Fetch Orders Thunk
+ *
+ * Loads the signed-in account's orders from the API. Skipped for guests
+ * and while a request is already in flight.
+ *
+ * @returns {Array<Object>} The account's orders on the server
+ */
+export const fetchOrders = createAsyncThunk(
+  'orders/fetchOrders',
+  async (_, { getState, rejectWithValue, extra: { api } }) => {
+    try {
+      return await api.fetchOrders(selectCurrentUser(getState()).id);
+    } catch (error) {
+      return rejectWithValue(serverMessage(error.message));
+    }
+  },
+  {
+    condition: (_, { getState }) =>
+      Boolean(selectCurrentUser(getState())) && getState().orders.status !== 'loading',
+  }
+);
+
+/**
+ * Orders Slice Definition
+ *
+ * State shape:
+ * {
+ *   items: Array<Order>,  // newest first; Order as created by placeOrder (CheckoutSlice.js)
+ *   status: 'idle' | 'loading' | 'succeeded' | 'failed',   // fetchOrders
+ *   error: Object | null, // why fetching failed (message descriptor)
+ *   requestId: string | null   // the fetchOrders request still wanted
+ * }
+ */
+export const OrdersSlice = createSlice({
+  name: 'orders',
+
+  initialState: {
+    items: [],
+    status: 'idle',
+    error: null,
+    requestId: null,
+  },
+
+  reducers: {
+    /**
+     * Hydrate Orders Reducer
+     *
+     * Replaces the history with saved orders (the account signed in, or
+     * another tab placed an order)
+     *
+     * @param {Array<Object>} action.payload - Saved orders
+     */
+    hydrateOrders: (state, action) => {
+      state.items = action.payload;
+    },
+
+    /**
+     * Switch Account Orders Reducer
+     *
+     * Shows another account's saved history (or none after signing out).
+     * A fetch still running for the previous account is ignored when it
+     * returns.
+     *
+     * @param {Array<Object>} action.payload - The account's saved orders
+     */
+    switchAccountOrders: (state, action) => {
+      state.items = action.payload;
+      state.status = 'idle';
+      state.error = null;
+      state.requestId = null;
+    },
+  },
+
+  /**
+   * Extra Reducers
+   *
+   * Every order placed by a signed-in account is added to its history
+   * (guests only see theirs on the confirmation step); signing out
+   * empties the history, so the next person can't see it
+   */
+  extraReducers: (builder) => {
+    builder
+      .addCase(placeOrder.fulfilled, (state, action) => {
+        if (action.payload.userId) {
+          state.items = [action.payload, ...state.items].slice(0, MAX_ORDERS);
+        }
+      })
+      .addCase(signOut.fulfilled, (state) => {
+        OrdersSlice.caseReducers.switchAccountOrders(state, { payload: [] });
+      })
+      .addCase(fetchOrders.pending, (state, action) => {
+        state.status = 'loading';
+        state.error = null;
+        state.requestId = action.meta.requestId;
+      })
+      .addCase(fetchOrders.fulfilled, (state, action) => {
+        if (action.meta.requestId === state.requestId) {
+          state.status = 'succeeded';
+          state.requestId = null;
+          state.items = mergeOrders(state.items, action.payload);
+        }
+      })
+      .addCase(fetchOrders.rejected, (state, action) => {
+        if (action.meta.requestId === state.requestId) {
+          state.status = 'failed';
+          state.requestId = null;
+          state.error = action.payload ?? serverMessage(action.error.message);
+        }
+      });
+  },
+});
+
+export const { hydrateOrders, switchAccountOrders } = OrdersSlice.actions;
+
+/**
+ * Order Selectors
+ */
+export const selectOrders = state => state.orders.items;
+export const selectOrdersStatus = state => state.orders.status;
+export const selectOrdersError = state => state.orders.error;
+export const selectOrderByNumber = (state, orderNumber) =>
+  state.orders.items.find(order => order.orderNumber === orderNumber);
+
+/**
+ * Has Price Changed
+ *
+ * @param {Object} paid - Price on the order
+ * @param {Object} current - Catalog price today
+ * @returns {boolean} True when the plant now costs something else
+ */
+export const hasPriceChanged = (paid, current) =>
+  paid.amount !== current.amount || paid.currency !== current.currency;
+
+/**
+ * Buy Again Thunk
+ *
+ * Adds every line of a past order to the cart (through addItem, so the
+ * stock limits apply) at today's catalog price.
+ *
+ * @param {string} orderNumber - Order to buy again
+ * @returns {{added: number, warnings: Array<Object>}|null} How many units were added,
+ *   and a warning for each line that could not be bought as before:
+ *   - { type: 'discontinued', id, name }
+ *   - { type: 'price-changed', id, name, paid, current }
+ *   - { type: 'limited', id, name, requested, added }   (not enough stock)
+ *   null when the order does not exist
+ */
+export const buyAgain = (orderNumber) => (dispatch, getState) => {
+  const order = selectOrderByNumber(getState(), orderNumber);
+  if (!order) {
+    return null;
+  }
+
+  let added = 0;
+  const warnings = [];
+
+  order.items.forEach((line) => {
+    const product = selectProductById(getState(), line.id);
+    if (!isOnSale(product)) {
+      warnings.push({ type: 'discontinued', id: line.id, name: line.name });
+      return;
+    }
+
+    const before = selectCartQuantities(getState())[line.id] ?? 0;
+    dispatch(addItem({
+      id: product.id,
+      name: product.name,
+      image: product.image,
+      description: product.description,
+      price: product.price,
+      quantity: line.quantity,
+      stock: product.stock,
+    }));
+    const lineAdded = (selectCartQuantities(getState())[line.id] ?? 0) - before;
+    added += lineAdded;
+
+    if (lineAdded < line.quantity) {
+      warnings.push({ type: 'limited', id: line.id, name: product.name, requested: line.quantity, added: lineAdded });
+    }
+    if (lineAdded > 0 && hasPriceChanged(line.price, product.price)) {
+      warnings.push({ type: 'price-changed', id: line.id, name: product.name, paid: line.price, current: product.price });
+    }
+  });
+
+  // One summary instead of a toast per line (replaces the "Added ..." toasts)
+  dispatch(notify({
+    type: warnings.length > 0 ? 'warning' : 'success',
+    message: {
+      id: added > 0 ? 'toast.boughtAgain' : 'toast.nothingBoughtAgain',
+      values: { count: added, orderNumber, changed: warnings.length > 0 ? 'yes' : 'no' },
+    },
+    key: NOTIFICATION_KEYS.cartAdd,
+    link: added > 0 ? { label: { id: 'toast.viewCart' }, to: '/cart' } : null,
+  }));
+
+  return { added, warnings };
+};
+
+export default OrdersSlice.reducer;
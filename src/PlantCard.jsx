@@ -0,0 +1,145 @@
+/**
+ * PlantCard Component - One Plant in the Product Grid
+ *
+ * Extracted from ProductList so the same card is used for the category
+ * view and for search results.
+ *
+ * React Concepts Used:
+ * - Props: The plant to show and the search words to highlight
+ * - useSelector Hook: How many of this plant are already in the cart,
+ *   and whether it is on the wishlist
+ * - useDispatch Hook: Adding the plant to the cart, toggling the heart
+ * - Conditional Rendering: "Out of stock" / "Only N left" badges
+ * - Array Methods: map() over highlight segments
+ * - Component Composition: PlantImage loads the photo lazily, at a size
+ *   that fits the card
+ * - Translation: useI18n() for labels and the price in the chosen locale
+ * - useId Hook: Ties the Add button to the plant's name, so screen readers
+ *   announce "Add to Cart, Snake Plant" instead of a bare "Add to Cart"
+ */
+
+import { useId } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { addItem, getMaxLineQuantity, selectCartQuantities } from './CartSlice';
+import { getStockStatus } from './CatalogSlice';
+import PlantImage from './PlantImage';
+import { highlightText } from './search';
+import { selectWishlistIds, toggleWishlistItem } from './WishlistSlice';
+import { useI18n } from './useI18n';
+import { productShape } from './propShapes';
+import './PlantCard.css';
+
+/**
+ * Render Highlighted Text
+ *
+ * Wraps the words that matched the search in <mark> elements
+ *
+ * @param {string} text - Text to display
+ * @param {Array<string>} matchedTokens - Normalized words to highlight
+ * @returns {Array<React.ReactNode>} Text and <mark> elements
+ */
+const renderHighlighted = (text, matchedTokens) =>
+    highlightText(text, matchedTokens).map((segment, index) => (
+        segment.match
+            ? <mark key={index} className="search-highlight">{segment.text}</mark>
+            : segment.text
+    ));
+
+/**
+ * PlantCard Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.plant - Catalog product to display
+ * @param {Array<string>} [props.matchedTokens] - Search words to highlight in the name and description
+ * @returns {JSX.Element} The plant card
+ */
+function PlantCard({ plant, matchedTokens = [] }) {
+    const dispatch = useDispatch();
+    const quantityInCart = useSelector(selectCartQuantities)[plant.id] ?? 0;
+    const isWishlisted = useSelector(selectWishlistIds).has(plant.id);
+    const { t, formatMoney } = useI18n();
+    const nameId = useId();
+
+    /**
+     * Stock
+     * 
+     * The Add button is disabled once the cart holds every unit in stock
+     */
+    const stockStatus = getStockStatus(plant.stock);
+    const canAdd = quantityInCart < getMaxLineQuantity(plant.stock);
+
+    /**
+     * Handle Add to Cart
+     */
+    const handleAddToCart = () => {
+        dispatch(addItem({
+            id: plant.id,
+            name: plant.name,
+            image: plant.image,
+            description: plant.description,
+            price: plant.price,
+            stock: plant.stock
+        }));
+        // Feedback is shown as a toast (see notificationListeners.js)
+    };
+
+    return (
+        <div className="plant-card">
+            {stockStatus !== 'in-stock' && (
+                <span className={`stock-badge ${stockStatus}`}>
+                    {stockStatus === 'out-of-stock' ? t('stock.outOfStock') : t('stock.onlyLeft', { count: plant.stock })}
+                </span>
+            )}
+
+            <button
+                className="wishlist-toggle"
+                onClick={() => dispatch(toggleWishlistItem(plant.id))}
+                aria-pressed={isWishlisted}
+                aria-label={t(isWishlisted ? 'wishlist.removeNamed' : 'wishlist.saveNamed', { name: plant.name })}
+                title={t(isWishlisted ? 'wishlist.remove' : 'wishlist.save')}
+            >
+                {isWishlisted ? '\u2665' : '\u2661'}
+            </button>
+
+            <PlantImage
+                src={plant.image}
+                alt={plant.name}
+                sizes="(min-width: 600px) 400px, 100vw"
+                className="plant-card-image"
+            />
+
+            <h4 className="plant-card-name" id={nameId}>
+                <Link to={`/plant/${plant.id}`}>
+                    {renderHighlighted(plant.name, matchedTokens)}
+                </Link>
+            </h4>
+            <p className="plant-card-description">
+                {renderHighlighted(plant.description, matchedTokens)}
+            </p>
+
+            <div className="plant-card-footer">
+                <span className="plant-card-price">
+                    {formatMoney(plant.price)}
+                </span>
+
+                <button
+                    className="plant-card-add"
+                    onClick={handleAddToCart}
+                    disabled={!canAdd}
+                    aria-describedby={nameId}
+                >
+                    {stockStatus === 'out-of-stock' ? t('plantCard.outOfStock') : canAdd ? t('plantCard.addToCart') : t('plantCard.allInCart')}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+PlantCard.propTypes = {
+    plant: productShape.isRequired,
+    matchedTokens: PropTypes.arrayOf(PropTypes.string)
+};
+
+export default PlantCard;
@@ -0,0 +1,100 @@
+/**
+ * PlantImage Component - A Plant Photo That Loads Gently
+ *
+ * Used for every catalog photo (plant cards, cart lines, the detail page,
+ * the wishlist, past orders and the admin catalog) instead of a bare
+ * <img>:
+ * - Native lazy loading, so photos further down the page are only
+ *   fetched when the visitor scrolls near them
+ * - srcset/sizes, so a 260px card downloads a 640px photo, not 1280px
+ *   (see imageSources.js)
+ * - A fixed aspect ratio with a coloured box, so the layout doesn't jump
+ *   when the photo arrives, and a blurred tiny version of the photo in
+ *   the box while it loads
+ * - A placeholder illustration when the photo can't be loaded
+ *
+ * React Concepts Used:
+ * - Props: The photo, its alt text and how wide it is shown
+ * - useState Hook: Which photo has finished loading, and which failed
+ * - useMemo Hook: Working out the smaller versions once per photo
+ * - Event Handling: onLoad / onError on the <img>
+ */
+
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { getImageSources } from './imageSources';
+import fallbackImage from './assets/plant-fallback.svg';
+import './PlantImage.css';
+
+/**
+ * PlantImage Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.src - Full-size photo URL
+ * @param {string} props.alt - Alt text; "" when the plant's name is right beside the photo
+ * @param {string} [props.sizes] - How wide the photo is shown, for the sizes attribute
+ * @param {string} [props.ratio] - "landscape" (4:3, default) or "square"
+ * @param {boolean} [props.priority] - Load at once, for a photo at the top of the page
+ * @param {string} [props.className] - Extra class for the box, to size and place it
+ * @returns {JSX.Element} The photo in its box
+ */
+function PlantImage({ src, alt, sizes = '100vw', ratio = 'landscape', priority = false, className = '' }) {
+  /**
+   * Load State
+   *
+   * Stored per URL, so a new photo (e.g. another thumbnail in the
+   * gallery) starts out loading again without resetting anything
+   */
+  const [loadedSrc, setLoadedSrc] = useState(null);
+  const [failedSrc, setFailedSrc] = useState(null);
+  const loaded = loadedSrc === src;
+  const failed = !src || failedSrc === src;
+
+  const sources = useMemo(() => getImageSources(src), [src]);
+
+  const classes = [
+    'plant-image',
+    `plant-image-${ratio}`,
+    loaded ? 'loaded' : '',
+    failed ? 'failed' : '',
+    className,
+  ].filter(Boolean).join(' ');
+
+  return (
+    <span className={classes}>
+      {sources.placeholder && !loaded && !failed && (
+        <img
+          className="plant-image-placeholder"
+          loading={priority ? 'eager' : 'lazy'}
+          src={sources.placeholder}
+          alt=""
+          aria-hidden="true"
+        />
+      )}
+
+      {/* loading, sizes and srcSet come before src so the browser reads them before it starts fetching */}
+      <img
+        className="plant-image-photo"
+        loading={priority ? 'eager' : 'lazy'}
+        decoding="async"
+        sizes={failed || !sources.srcSet ? undefined : sizes}
+        srcSet={failed ? undefined : sources.srcSet}
+        src={failed ? fallbackImage : sources.src}
+        alt={alt}
+        onLoad={() => setLoadedSrc(src)}
+        onError={() => setFailedSrc(src)}
+      />
+    </span>
+  );
+}
+
+PlantImage.propTypes = {
+  src: PropTypes.string,
+  alt: PropTypes.string.isRequired,
+  sizes: PropTypes.string,
+  ratio: PropTypes.oneOf(['landscape', 'square']),
+  priority: PropTypes.bool,
+  className: PropTypes.string,
+};
+
+export default PlantImage;
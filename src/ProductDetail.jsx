@@ -0,0 +1,263 @@
+/**
+ * ProductDetail Component - Single Plant Page
+ *
+ * Shows one plant at its own URL (/plant/:id) so a plant can be
+ * opened directly from a bookmark or a shared link, or from its card
+ * in the product grid.
+ *
+ * Sections:
+ * - Image gallery (main image plus thumbnails when there are several)
+ * - Care information: light, watering, toxicity and mature size
+ * - The categories the plant belongs to (linking to those categories)
+ * - Stock status, quantity picker and Add to Cart (never more than is in stock)
+ * - Related plants that share a category with this one
+ *
+ * React Concepts Used:
+ * - useParams Hook: Reading the product id from the URL
+ * - useSelector Hook: Looking the product and related plants up in the catalog slice
+ * - useDispatch Hook: Adding the plant to the cart
+ * - useState Hook: Selected gallery image and quantity
+ * - useEffect Hook: Resetting the page when another plant is opened
+ * - Conditional Rendering: "Plant not found" for unknown ids, a notice for retired plants
+ * - Translation: useI18n() for labels, stock messages and the price; plant
+ *   names, descriptions and care notes are shown as written in the catalog
+ */
+
+import { useEffect, useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Link, useParams } from 'react-router-dom';
+import { addItem, getMaxLineQuantity, selectCartQuantities } from './CartSlice';
+import {
+  getProductImages,
+  getStockStatus,
+  isOnSale,
+  selectCategories,
+  selectProductById,
+  selectRelatedProducts
+} from './CatalogSlice';
+import { nameMessage } from './i18n';
+import { useI18n } from './useI18n';
+import PlantCard from './PlantCard';
+import PlantImage from './PlantImage';
+import './ProductDetail.css';
+
+/**
+ * Smallest Quantity the Picker Allows
+ */
+const MIN_QUANTITY = 1;
+
+/**
+ * Care Information Labels
+ *
+ * Display order and label message ids for the product's `care` fields
+ */
+const CARE_FIELDS = [
+  { key: 'light', label: 'care.light' },
+  { key: 'watering', label: 'care.watering' },
+  { key: 'toxicity', label: 'care.toxicity' },
+  { key: 'matureSize', label: 'care.matureSize' },
+];
+
+/**
+ * Clamp a Quantity to the Picker Limits
+ *
+ * @param {number} value - Requested quantity
+ * @param {number} max - Most units that can still be added
+ * @returns {number} Whole number between MIN_QUANTITY and max
+ */
+const clampQuantity = (value, max) =>
+  Math.min(Math.max(max, MIN_QUANTITY), Math.max(MIN_QUANTITY, Math.floor(value) || MIN_QUANTITY));
+
+/**
+ * ProductDetail Component
+ *
+ * @returns {JSX.Element} The plant detail page
+ */
+function ProductDetail() {
+  const { id } = useParams();
+  const plant = useSelector(state => selectProductById(state, id));
+  const relatedPlants = useSelector(state => selectRelatedProducts(state, id));
+  const categories = useSelector(selectCategories);
+  const quantityInCart = useSelector(selectCartQuantities)[id] ?? 0;
+  const dispatch = useDispatch();
+  const { t, formatMoney } = useI18n();
+
+  /**
+   * Units that can still be added without going over the stock
+   */
+  const availableToAdd = getMaxLineQuantity(plant?.stock) - quantityInCart;
+
+  const [imageIndex, setImageIndex] = useState(0);
+  const [quantity, setQuantity] = useState(MIN_QUANTITY);
+
+  /**
+   * Reset When Another Plant Is Opened
+   *
+   * Related plants link to this same route, so the component stays
+   * mounted and only the id changes
+   */
+  useEffect(() => {
+    setImageIndex(0);
+    setQuantity(MIN_QUANTITY);
+    window.scrollTo?.(0, 0);
+  }, [id]);
+
+  /**
+   * Handle Add to Cart
+   *
+   * Adds the chosen quantity in one go (at most what is left in stock).
+   * The confirmation is shown as a toast (see notificationListeners.js).
+   */
+  const handleAddToCart = () => {
+    const added = clampQuantity(quantity, availableToAdd);
+    dispatch(addItem({
+      id: plant.id,
+      name: plant.name,
+      image: plant.image,
+      description: plant.description,
+      price: plant.price,
+      quantity: added,
+      stock: plant.stock
+    }));
+    setQuantity(MIN_QUANTITY);
+  };
+
+  if (!isOnSale(plant)) {
+    return (
+      <div className="product-detail product-detail-missing">
+        <h2>{plant ? t('productDetail.retiredTitle', { name: plant.name }) : t('productDetail.notFoundTitle')}</h2>
+        <p>{plant ? t('productDetail.retired') : t('productDetail.notFound')}</p>
+        <Link to="/plants">{t('productDetail.browseAll')}</Link>
+      </div>
+    );
+  }
+
+  const images = getProductImages(plant);
+  const stockStatus = getStockStatus(plant.stock);
+  const plantCategories = categories.filter(category => plant.categories.includes(category.id));
+
+  return (
+    <div className="product-detail">
+      <Link to="/plants" className="product-detail-back">{t('productDetail.back')}</Link>
+
+      <div className="product-detail-body">
+        {/* Image Gallery */}
+        <div className="product-detail-gallery">
+          <PlantImage
+            className="product-detail-image"
+            src={images[imageIndex] ?? images[0]}
+            alt={plant.name}
+            sizes="(min-width: 500px) 450px, 100vw"
+            priority
+          />
+
+          {images.length > 1 && (
+            <div className="product-detail-thumbnails">
+              {images.map((image, index) => (
+                <button
+                  key={image}
+                  className={`product-detail-thumbnail ${index === imageIndex ? 'active' : ''}`}
+                  aria-label={t('productDetail.showImage', { index: index + 1, count: images.length })}
+                  aria-pressed={index === imageIndex}
+                  onClick={() => setImageIndex(index)}
+                >
+                  <PlantImage src={image} alt="" ratio="square" sizes="70px" />
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="product-detail-info">
+          <h2>{plant.name}</h2>
+
+          {/* Categories */}
+          <ul className="product-detail-categories">
+            {plantCategories.map(category => (
+              <li key={category.id}>
+                <Link to={`/plants/${category.id}`}>{t(nameMessage('category', category))}</Link>
+              </li>
+            ))}
+          </ul>
+
+          <p className="product-detail-description">{plant.description}</p>
+          <p className="product-detail-price">{formatMoney(plant.price)}</p>
+          <p className={`product-detail-stock ${stockStatus}`}>
+            {stockStatus === 'out-of-stock' && t('stock.outOfStock')}
+            {stockStatus === 'low-stock' && t('productDetail.lowStock', { count: plant.stock })}
+            {stockStatus === 'in-stock' && t('productDetail.inStock')}
+            {quantityInCart > 0 && ` ${t('productDetail.inCart', { count: quantityInCart })}`}
+          </p>
+
+          {/* Quantity Picker and Add to Cart */}
+          <div className="product-detail-purchase">
+            <div className="product-detail-quantity">
+              <button
+                aria-label={t('productDetail.decrease')}
+                disabled={quantity <= MIN_QUANTITY}
+                onClick={() => setQuantity(clampQuantity(quantity - 1, availableToAdd))}
+              >
+                -
+              </button>
+              <input
+                type="number"
+                aria-label={t('productDetail.quantity')}
+                min={MIN_QUANTITY}
+                max={Math.max(availableToAdd, MIN_QUANTITY)}
+                value={quantity}
+                disabled={availableToAdd <= 0}
+                onChange={(e) => setQuantity(clampQuantity(Number(e.target.value), availableToAdd))}
+              />
+              <button
+                aria-label={t('productDetail.increase')}
+                disabled={quantity >= availableToAdd}
+                onClick={() => setQuantity(clampQuantity(quantity + 1, availableToAdd))}
+              >
+                +
+              </button>
+            </div>
+
+            <button
+              className="product-detail-add"
+              onClick={handleAddToCart}
+              disabled={availableToAdd <= 0}
+            >
+              {stockStatus === 'out-of-stock'
+                ? t('plantCard.outOfStock')
+                : availableToAdd > 0 ? t('plantCard.addToCart') : t('plantCard.allInCart')}
+            </button>
+          </div>
+
+          {/* Care Information */}
+          {plant.care && (
+            <>
+              <h3>{t('care.title')}</h3>
+              <dl className="product-detail-care">
+                {CARE_FIELDS.filter(({ key }) => plant.care[key]).map(({ key, label }) => (
+                  <div key={key}>
+                    <dt>{t(label)}</dt>
+                    <dd>{plant.care[key]}</dd>
+                  </div>
+                ))}
+              </dl>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Related Plants */}
+      {relatedPlants.length > 0 && (
+        <section className="product-detail-related">
+          <h3>{t('productDetail.related')}</h3>
+          <div className="plants-grid">
+            {relatedPlants.map(related => (
+              <PlantCard key={related.id} plant={related} />
+            ))}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default ProductDetail;
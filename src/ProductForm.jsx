@@ -0,0 +1,426 @@
+/**
+ * ProductForm Component - Add or Edit a Plant
+ *
+ * The admin form for one product: name, id, SKU, description, price,
+ * stock, images, categories, care level, attributes, care details and
+ * whether it is on sale. New plants get an id suggested from their
+ * name; an existing plant's id never changes (it is in carts, orders
+ * and links).
+ *
+ * React Concepts Used:
+ * - useState Hook: The draft being edited and whether the form was submitted
+ * - useParams Hook: Which plant to edit (none for a new plant)
+ * - useSelector/useDispatch Hooks: Catalog lists and the save thunks
+ * - Controlled Inputs: Text fields, checkboxes and selects driven by state
+ * - key Prop: A fresh form (and draft) for every plant edited
+ * - Translation: useI18n() for labels and field errors
+ *
+ * Redux Integration:
+ * - Dispatches createProduct / updateProduct (see CatalogSlice.js); the
+ *   API checks the product again and its field errors are shown here
+ */
+
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import {
+  createProduct,
+  selectAttributes,
+  selectCareLevels,
+  selectCategories,
+  selectProductById,
+  selectProductEntities,
+  updateProduct,
+} from './CatalogSlice';
+import { MAX_DESCRIPTION_LENGTH, isImageUrl, slugify, validateProduct } from './catalogValidation';
+import { nameMessage, serverMessage } from './i18n';
+import { DEFAULT_CURRENCY, fromMajorUnits, toMajorUnits } from './money';
+import { useI18n } from './useI18n';
+import { productShape } from './propShapes';
+import './Checkout.css';
+import './AdminCatalog.css';
+
+/**
+ * Care Detail Fields
+ *
+ * Same fields (and labels) as the detail page shows (see ProductDetail.jsx)
+ */
+const CARE_FIELDS = [
+  { key: 'light', label: 'care.light' },
+  { key: 'watering', label: 'care.watering' },
+  { key: 'toxicity', label: 'care.toxicity' },
+  { key: 'matureSize', label: 'care.matureSize' },
+];
+
+/**
+ * Empty Draft for a New Plant
+ */
+const EMPTY_DRAFT = {
+  id: '',
+  sku: '',
+  name: '',
+  description: '',
+  price: '',
+  stock: '0',
+  image: '',
+  gallery: '',
+  categories: [],
+  careLevel: '',
+  attributes: [],
+  popularity: '0',
+  onSale: true,
+  care: { light: '', watering: '', toxicity: '', matureSize: '' },
+};
+
+/**
+ * Product to Draft
+ *
+ * Numbers become text so the inputs can hold anything while typing
+ *
+ * @param {Object} product - Stored product
+ * @returns {Object} Form values
+ */
+const toDraft = product => ({
+  ...EMPTY_DRAFT,
+  id: product.id,
+  sku: product.sku,
+  name: product.name,
+  description: product.description ?? '',
+  price: toMajorUnits(product.price).toFixed(2),
+  stock: String(product.stock),
+  image: product.image,
+  gallery: (product.gallery ?? []).join('\n'),
+  categories: product.categories,
+  careLevel: product.careLevel ?? '',
+  attributes: product.attributes ?? [],
+  popularity: String(product.popularity ?? 0),
+  onSale: !product.retired,
+  care: { ...EMPTY_DRAFT.care, ...product.care },
+});
+
+/**
+ * Parse Number Input
+ *
+ * @param {string} value - Input text
+ * @returns {number} The number, or NaN when empty or not a number
+ */
+const parseNumber = value => (value.trim() === '' ? NaN : Number(value));
+
+/**
+ * Draft to Product
+ *
+ * @param {Object} draft - Form values
+ * @param {Object} [existing] - Stored product, for fields the form does not edit
+ * @returns {Object} Product to validate and save
+ */
+const toProduct = (draft, existing) => {
+  const currency = existing?.price.currency ?? DEFAULT_CURRENCY;
+  let price;
+  try {
+    price = fromMajorUnits(parseNumber(draft.price), currency);
+  } catch {
+    // Not a number: reported by validateProduct
+    price = { amount: NaN, currency };
+  }
+
+  const care = Object.fromEntries(
+    CARE_FIELDS.map(({ key }) => [key, draft.care[key].trim()]).filter(([, value]) => value)
+  );
+  const gallery = draft.gallery.split('\n').map(url => url.trim()).filter(Boolean);
+
+  const product = {
+    ...existing,
+    id: draft.id.trim(),
+    sku: draft.sku.trim(),
+    name: draft.name.trim(),
+    description: draft.description.trim(),
+    price,
+    stock: parseNumber(draft.stock),
+    image: draft.image.trim(),
+    categories: draft.categories,
+    careLevel: draft.careLevel,
+    attributes: draft.attributes,
+    popularity: draft.popularity.trim() === '' ? 0 : parseNumber(draft.popularity),
+    retired: !draft.onSale,
+    care,
+    gallery,
+  };
+
+  // Optional fields are left out rather than stored empty
+  ['careLevel', 'retired'].forEach((field) => {
+    if (!product[field]) {
+      delete product[field];
+    }
+  });
+  if (gallery.length === 0) {
+    delete product.gallery;
+  }
+  if (Object.keys(care).length === 0) {
+    delete product.care;
+  }
+  return product;
+};
+
+/**
+ * Product Editor
+ *
+ * @param {Object} props - Component props
+ * @param {Object} [props.product] - Plant to edit; none for a new plant
+ * @returns {JSX.Element} The form
+ */
+function ProductEditor({ product }) {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const categories = useSelector(selectCategories);
+  const careLevels = useSelector(selectCareLevels);
+  const attributes = useSelector(selectAttributes);
+  const entities = useSelector(selectProductEntities);
+  const { t } = useI18n();
+  const isNew = !product;
+
+  const [draft, setDraft] = useState(() => (product ? toDraft(product) : EMPTY_DRAFT));
+  // The id follows the name until it is edited by hand
+  const [idEdited, setIdEdited] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [serverErrors, setServerErrors] = useState({});
+  const [saveError, setSaveError] = useState(null);
+
+  const catalog = { categories, careLevels, attributes, takenIds: isNew ? Object.keys(entities) : [] };
+  const errors = submitted ? { ...serverErrors, ...validateProduct(toProduct(draft, product), catalog) } : {};
+
+  const update = (changes) => {
+    setDraft({ ...draft, ...changes });
+    setServerErrors({});
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    if (name === 'name' && isNew && !idEdited) {
+      update({ name: value, id: slugify(value) });
+    } else {
+      if (name === 'id') {
+        setIdEdited(true);
+      }
+      update({ [name]: value });
+    }
+  };
+
+  const handleToggle = (field, id) => {
+    update({
+      [field]: draft[field].includes(id)
+        ? draft[field].filter(item => item !== id)
+        : [...draft[field], id],
+    });
+  };
+
+  const handleCareChange = (e) => {
+    update({ care: { ...draft.care, [e.target.name]: e.target.value } });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    setSaveError(null);
+    const changes = toProduct(draft, product);
+    if (Object.keys(validateProduct(changes, catalog)).length > 0) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await dispatch(isNew ? createProduct(changes) : updateProduct(changes)).unwrap();
+      navigate('/admin');
+    } catch (error) {
+      setSaving(false);
+      setServerErrors(Array.isArray(error.details) ? {} : error.details ?? {});
+      setSaveError(serverMessage(error.message ?? error));
+    }
+  };
+
+  /**
+   * Field Props
+   *
+   * id, name, value and error wiring shared by the text inputs
+   */
+  const fieldProps = name => ({
+    id: `product-${name}`,
+    name,
+    value: draft[name],
+    onChange: handleChange,
+    'aria-invalid': Boolean(errors[name]),
+    'aria-describedby': errors[name] ? `product-${name}-error` : undefined,
+  });
+
+  const fieldError = name => errors[name] && (
+    <span className="checkout-field-error" id={`product-${name}-error`}>{t(errors[name])}</span>
+  );
+
+  return (
+    <form className="checkout-form product-form" onSubmit={handleSubmit} noValidate>
+      <div className="checkout-field">
+        <label htmlFor="product-name">{t('productForm.name')}</label>
+        <input type="text" {...fieldProps('name')} />
+        {fieldError('name')}
+      </div>
+
+      <div className="checkout-field">
+        <label htmlFor="product-id">{t('productForm.id')}</label>
+        <input type="text" readOnly={!isNew} {...fieldProps('id')} />
+        {fieldError('id')}
+      </div>
+
+      <div className="checkout-field">
+        <label htmlFor="product-sku">{t('admin.column.sku')}</label>
+        <input type="text" {...fieldProps('sku')} />
+        {fieldError('sku')}
+      </div>
+
+      <div className="checkout-field">
+        <label htmlFor="product-description">{t('productForm.description')}</label>
+        <textarea rows="3" maxLength={MAX_DESCRIPTION_LENGTH} {...fieldProps('description')} />
+        {fieldError('description')}
+      </div>
+
+      <div className="product-form-row">
+        <div className="checkout-field">
+          <label htmlFor="product-price">
+            {t('productForm.price', { currency: product?.price.currency ?? DEFAULT_CURRENCY })}
+          </label>
+          <input type="text" inputMode="decimal" {...fieldProps('price')} />
+          {fieldError('price')}
+        </div>
+        <div className="checkout-field">
+          <label htmlFor="product-stock">{t('productForm.stock')}</label>
+          <input type="number" min="0" step="1" {...fieldProps('stock')} />
+          {fieldError('stock')}
+        </div>
+        <div className="checkout-field">
+          <label htmlFor="product-popularity">{t('productForm.popularity')}</label>
+          <input type="number" min="0" step="1" {...fieldProps('popularity')} />
+        </div>
+      </div>
+
+      <div className="checkout-field">
+        <label htmlFor="product-image">{t('productForm.image')}</label>
+        <input type="url" {...fieldProps('image')} />
+        {fieldError('image')}
+        {isImageUrl(draft.image) && (
+          <img className="product-form-preview" src={draft.image} alt={t('productForm.imagePreview', { name: draft.name || { id: 'productForm.unnamed' } })} />
+        )}
+      </div>
+
+      <div className="checkout-field">
+        <label htmlFor="product-gallery">{t('productForm.gallery')}</label>
+        <textarea rows="2" {...fieldProps('gallery')} />
+      </div>
+
+      <fieldset className="product-form-options" aria-invalid={Boolean(errors.categories)}>
+        <legend>{t('admin.column.categories')}</legend>
+        {categories.map(category => (
+          <label key={category.id}>
+            <input
+              type="checkbox"
+              checked={draft.categories.includes(category.id)}
+              onChange={() => handleToggle('categories', category.id)}
+            />
+            {t(nameMessage('category', category))}
+          </label>
+        ))}
+        {fieldError('categories')}
+      </fieldset>
+
+      <div className="checkout-field">
+        <label htmlFor="product-careLevel">{t('productForm.careLevel')}</label>
+        <select {...fieldProps('careLevel')}>
+          <option value="">{t('productForm.notSet')}</option>
+          {careLevels.map(level => (
+            <option key={level.id} value={level.id}>{t(nameMessage('careLevel', level))}</option>
+          ))}
+        </select>
+        {fieldError('careLevel')}
+      </div>
+
+      <fieldset className="product-form-options">
+        <legend>{t('productForm.attributes')}</legend>
+        {attributes.map(attribute => (
+          <label key={attribute.id}>
+            <input
+              type="checkbox"
+              checked={draft.attributes.includes(attribute.id)}
+              onChange={() => handleToggle('attributes', attribute.id)}
+            />
+            {t(nameMessage('attribute', attribute))}
+          </label>
+        ))}
+        {fieldError('attributes')}
+      </fieldset>
+
+      <fieldset className="product-form-care">
+        <legend>{t('productForm.care')}</legend>
+        {CARE_FIELDS.map(({ key, label }) => (
+          <div className="checkout-field" key={key}>
+            <label htmlFor={`product-care-${key}`}>{t(label)}</label>
+            <input
+              id={`product-care-${key}`}
+              type="text"
+              name={key}
+              value={draft.care[key]}
+              onChange={handleCareChange}
+            />
+          </div>
+        ))}
+      </fieldset>
+
+      <label className="product-form-on-sale">
+        <input type="checkbox" checked={draft.onSale} onChange={() => update({ onSale: !draft.onSale })} />
+        {t('productForm.onSale')}
+      </label>
+
+      {saveError && <p className="checkout-error" role="alert">{t(saveError)}</p>}
+
+      <div className="checkout-actions">
+        <Link to="/admin" className="checkout-secondary">{t('common.cancel')}</Link>
+        <button type="submit" className="checkout-primary" disabled={saving}>
+          {t(saving ? 'productForm.saving' : isNew ? 'productForm.add' : 'productForm.save')}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+ProductEditor.propTypes = {
+  product: productShape,
+};
+
+/**
+ * ProductForm Component
+ *
+ * Rendered for /admin/plants/new and /admin/plants/:id (admins only,
+ * see RequireAuth.jsx)
+ *
+ * @returns {JSX.Element} The form, or a message for an unknown id
+ */
+function ProductForm() {
+  const { id } = useParams();
+  const product = useSelector(state => (id ? selectProductById(state, id) : undefined));
+  const { t } = useI18n();
+
+  if (id && !product) {
+    return (
+      <div className="admin-catalog">
+        <h2>{t('productDetail.notFoundTitle')}</h2>
+        <p>{t('productForm.notFound', { id })} <Link to="/admin">{t('productForm.backToCatalog')}</Link></p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-catalog">
+      <h2>{product ? t('productForm.editTitle', { name: product.name }) : t('admin.newPlant')}</h2>
+      <ProductEditor key={id ?? 'new'} product={product} />
+    </div>
+  );
+}
+
+export default ProductForm;
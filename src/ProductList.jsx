@@ -6,398 +6,190 @@
  * cart functionality, and improved user experience.
  * 
  * React Concepts Used:
- * - useState Hook: For local component state (showCart, selectedCategory)
+ * - useState/useMemo Hooks: Search query and memoized search results
+ * - Custom Hook: useDebouncedValue delays the search until typing pauses
+ * - useParams Hook: Reading the selected category from the URL (/plants/:category)
+ * - useSearchParams Hook: Reading the other filters and the sort order from the query string
+ * - useNavigate Hook: Changing the filters by changing the URL
  * - useSelector Hook: For reading data from Redux store
  * - useDispatch Hook: For dispatching actions to Redux store
  * - Event Handlers: For user interactions (navigation, filtering, adding to cart)
- * - Conditional Rendering: Showing different views based on state
- * - Component Props: Receiving onHomeClick from parent component
+ * - Conditional Rendering: Redirecting unknown categories to /plants
  * - Array Methods: map(), filter() for rendering and filtering data
+ * - Translation: useI18n() for headings and plural counts ("1 plant", "6 plants")
  * 
  * Redux Integration:
- * - Connects to cart slice to add items and read cart state
- * - Dispatches addItem actions when users click "Add to Cart"
- * - Reads cart items count for display in cart icon
+ * - Reads the plant catalog (grouped by category) from the catalog slice
+ * - Reads the search index built from the catalog (selectSearchIndex)
+ * - Reads the filter facets (categories, attributes, care levels)
  * 
  * Enhanced Features:
- * - Category filtering/navigation
- * - Show all categories or filter by specific category
- * - Improved Continue Shopping functionality
+ * - Filter panel: several categories, price range, attributes and care
+ *   level at once, each option with a live count (see FilterPanel.jsx)
+ * - Sorting by price, name and popularity
+ * - Filters live in the URL, so any view can be bookmarked and shared
+ * - Plant names link to the plant's own page (/plant/:id)
+ * - Typo-tolerant search over names, descriptions and categories, with
+ *   ranked results, highlighted matches and "did you mean" suggestions
  * - Better visual organization
  */
 
-import React, { useState } from 'react';
-import { useSelector, useDispatch } from 'react-redux';
-import { addItem } from './CartSlice';
+import { useMemo, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Navigate, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import {
+    selectProductsOnSale,
+    selectAttributes,
+    selectCareLevels,
+    selectCategories,
+    selectSearchIndex
+} from './CatalogSlice';
+import {
+    applyFilters,
+    computeFacetCounts,
+    getPriceBounds,
+    parseFilters,
+    serializeFilters,
+    sortProducts
+} from './filters';
+import { DEFAULT_CURRENCY } from './money';
+import { searchProducts, suggestQueries } from './search';
+import { useDebouncedValue } from './useDebouncedValue';
+import { nameMessage } from './i18n';
+import { useI18n } from './useI18n';
+import FilterPanel from './FilterPanel';
+import PlantCard from './PlantCard';
 import './ProductList.css'
-import CartItem from './CartItem';
 
 /**
  * ProductList Component
  * 
- * Enhanced shopping interface with category navigation and filtering
- * Manages navigation between plants view and cart view
+ * Enhanced shopping interface with filtering and sorting.
+ * Rendered for /plants (all categories) and /plants/:category; the other
+ * filters come from the query string, e.g.
+ * /plants/medicinal?attr=pet-safe&max=15&sort=price-asc
  * 
- * @param {Object} props - Component props
- * @param {Function} props.onHomeClick - Callback function to navigate back to home/landing page
  * @returns {JSX.Element} The enhanced product list component
  */
-function ProductList({ onHomeClick }) {
+function ProductList() {
     /**
-     * Local State Management
+     * Filters from the URL
      * 
-     * Enhanced state management for better user experience
+     * /plants                      -> all plants
+     * /plants/medicinal            -> one category
+     * /plants?cat=medicinal,...    -> several categories
+     * ...&min=10&max=20&attr=pet-safe&care=easy&sort=price-asc
      */
-    const [showCart, setShowCart] = useState(false); // Controls cart view visibility
-    const [selectedCategory, setSelectedCategory] = useState('all'); // Controls category filtering
+    const { category: pathCategory } = useParams();
+    const [searchParams] = useSearchParams();
+    const navigate = useNavigate();
+    const { t } = useI18n();
 
     /**
-     * Redux State Connection
+     * Search Query
      * 
-     * useSelector hook connects component to Redux store
-     * Automatically re-renders component when selected state changes
+     * `query` follows the input on every keystroke; the search itself
+     * runs on `debouncedQuery`, once the user pauses typing
      */
-    const cartItems = useSelector(state => state.cart.items);
-    
-    /**
-     * Redux Action Dispatcher
-     * 
-     * useDispatch hook returns function to send actions to Redux store
-     */
-    const dispatch = useDispatch();
+    const [query, setQuery] = useState('');
+    const debouncedQuery = useDebouncedValue(query.trim(), 250);
 
     /**
-     * Calculate total items in cart for badge display
+     * Plant Catalog and Filter Facets
      */
-    const totalCartItems = cartItems.reduce((total, item) => total + item.quantity, 0);
+    const products = useSelector(selectProductsOnSale);
+    const categories = useSelector(selectCategories);
+    const attributes = useSelector(selectAttributes);
+    const careLevels = useSelector(selectCareLevels);
+    const searchIndex = useSelector(selectSearchIndex);
 
-    /**
-     * Plant Categories Data
-     * 
-     * Organized plant data with categories for easy filtering and display
-     */
-    const plantsArray = [
-        {
-            category: "Air Purifying Plants",
-            plants: [
-                {
-                    name: "Snake Plant",
-                    image: "https://cdn.pixabay.com/photo/2021/01/22/06/04/snake-plant-5939187_1280.jpg",
-                    description: "Produces oxygen at night, improving air quality.",
-                    cost: "$15"
-                },
-                {
-                    name: "Spider Plant",
-                    image: "https://cdn.pixabay.com/photo/2018/07/11/06/47/chlorophytum-3530413_1280.jpg",
-                    description: "Filters formaldehyde and xylene from the air.",
-                    cost: "$12"
-                },
-                {
-                    name: "Peace Lily",
-                    image: "https://cdn.pixabay.com/photo/2019/06/12/14/14/peace-lilies-4269365_1280.jpg",
-                    description: "Removes mold spores and purifies the air.",
-                    cost: "$18"
-                },
-                {
-                    name: "Boston Fern",
-                    image: "https://cdn.pixabay.com/photo/2020/04/30/19/52/boston-fern-5114414_1280.jpg",
-                    description: "Adds humidity to the air and removes toxins.",
-                    cost: "$20"
-                },
-                {
-                    name: "Rubber Plant",
-                    image: "https://cdn.pixabay.com/photo/2020/02/15/11/49/flower-4850729_1280.jpg",
-                    description: "Easy to care for and effective at removing toxins.",
-                    cost: "$17"
-                },
-                {
-                    name: "Aloe Vera",
-                    image: "https://cdn.pixabay.com/photo/2018/04/02/07/42/leaf-3283175_1280.jpg",
-                    description: "Purifies the air and has healing properties for skin.",
-                    cost: "$14"
-                }
-            ]
-        },
-        {
-            category: "Aromatic Fragrant Plants",
-            plants: [
-                {
-                    name: "Lavender",
-                    image: "https://images.unsplash.com/photo-1611909023032-2d6b3134ecba?q=80&w=1074&auto=format&fit=crop&ixlib=rb-4.0.3&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D",
-                    description: "Calming scent, used in aromatherapy.",
-                    cost: "$20"
-                },
-                {
-                    name: "Jasmine",
-                    image: "https://images.unsplash.com/photo-1592729645009-b96d1e63d14b?q=80&w=1170&auto=format&fit=crop&ixlib=rb-4.0.3&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D",
-                    description: "Sweet fragrance, promotes relaxation.",
-                    cost: "$18"
-                },
-                {
-                    name: "Rosemary",
-                    image: "https://cdn.pixabay.com/photo/2019/10/11/07/12/rosemary-4541241_1280.jpg",
-                    description: "Invigorating scent, often used in cooking.",
-                    cost: "$15"
-                },
-                {
-                    name: "Mint",
-                    image: "https://cdn.pixabay.com/photo/2016/01/07/18/16/mint-1126282_1280.jpg",
-                    description: "Refreshing aroma, used in teas and cooking.",
-                    cost: "$12"
-                },
-                {
-                    name: "Lemon Balm",
-                    image: "https://cdn.pixabay.com/photo/2019/09/16/07/41/balm-4480134_1280.jpg",
-                    description: "Citrusy scent, relieves stress and promotes sleep.",
-                    cost: "$14"
-                },
-                {
-                    name: "Hyacinth",
-                    image: "https://cdn.pixabay.com/photo/2019/04/07/20/20/hyacinth-4110726_1280.jpg",
-                    description: "Hyacinth is a beautiful flowering plant known for its fragrant.",
-                    cost: "$22"
-                }
-            ]
-        },
-        {
-            category: "Insect Repellent Plants",
-            plants: [
-                {
-                    name: "oregano",
-                    image: "https://cdn.pixabay.com/photo/2015/05/30/21/20/oregano-790702_1280.jpg",
-                    description: "The oregano plants contains compounds that can deter certain insects.",
-                    cost: "$10"
-                },
-                {
-                    name: "Marigold",
-                    image: "https://cdn.pixabay.com/photo/2022/02/22/05/45/marigold-7028063_1280.jpg",
-                    description: "Natural insect repellent, also adds color to the garden.",
-                    cost: "$8"
-                },
-                {
-                    name: "Geraniums",
-                    image: "https://cdn.pixabay.com/photo/2012/04/26/21/51/flowerpot-43270_1280.jpg",
-                    description: "Known for their insect-repelling properties while adding a pleasant scent.",
-                    cost: "$20"
-                },
-                {
-                    name: "Basil",
-                    image: "https://cdn.pixabay.com/photo/2016/07/24/20/48/tulsi-1539181_1280.jpg",
-                    description: "Repels flies and mosquitoes, also used in cooking.",
-                    cost: "$9"
-                },
-                {
-                    name: "Lavender",
-                    image: "https://images.unsplash.com/photo-1611909023032-2d6b3134ecba?q=80&w=1074&auto=format&fit=crop&ixlib=rb-4.0.3&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D",
-                    description: "Calming scent, used in aromatherapy.",
-                    cost: "$20"
-                },
-                {
-                    name: "Catnip",
-                    image: "https://cdn.pixabay.com/photo/2015/07/02/21/55/cat-829681_1280.jpg",
-                    description: "Repels mosquitoes and attracts cats.",
-                    cost: "$13"
-                }
-            ]
-        },
-        {
-            category: "Medicinal Plants",
-            plants: [
-                {
-                    name: "Aloe Vera",
-                    image: "https://cdn.pixabay.com/photo/2018/04/02/07/42/leaf-3283175_1280.jpg",
-                    description: "Soothing gel used for skin ailments.",
-                    cost: "$14"
-                },
-                {
-                    name: "Echinacea",
-                    image: "https://cdn.pixabay.com/photo/2014/12/05/03/53/echinacea-557477_1280.jpg",
-                    description: "Boosts immune system, helps fight colds.",
-                    cost: "$16"
-                },
-                {
-                    name: "Peppermint",
-                    image: "https://cdn.pixabay.com/photo/2017/07/12/12/23/peppermint-2496773_1280.jpg",
-                    description: "Relieves digestive issues and headaches.",
-                    cost: "$13"
-                },
-                {
-                    name: "Lemon Balm",
-                    image: "https://cdn.pixabay.com/photo/2019/09/16/07/41/balm-4480134_1280.jpg",
-                    description: "Calms nerves and promotes relaxation.",
-                    cost: "$14"
-                },
-                {
-                    name: "Chamomile",
-                    image: "https://cdn.pixabay.com/photo/2016/08/19/19/48/flowers-1606041_1280.jpg",
-                    description: "Soothes anxiety and promotes sleep.",
-                    cost: "$15"
-                },
-                {
-                    name: "Calendula",
-                    image: "https://cdn.pixabay.com/photo/2019/07/15/18/28/flowers-4340127_1280.jpg",
-                    description: "Heals wounds and soothes skin irritations.",
-                    cost: "$12"
-                }
-            ]
-        },
-        {
-            category: "Low Maintenance Plants",
-            plants: [
-                {
-                    name: "ZZ Plant",
-                    image: "https://images.unsplash.com/photo-1632207691143-643e2a9a9361?q=80&w=464&auto=format&fit=crop&ixlib=rb-4.0.3&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D",
-                    description: "Thrives in low light and requires minimal watering.",
-                    cost: "$25"
-                },
-                {
-                    name: "Pothos",
-                    image: "https://cdn.pixabay.com/photo/2018/11/15/10/32/plants-3816945_1280.jpg",
-                    description: "Tolerates neglect and can grow in various conditions.",
-                    cost: "$10"
-                },
-                {
-                    name: "Snake Plant",
-                    image: "https://cdn.pixabay.com/photo/2021/01/22/06/04/snake-plant-5939187_1280.jpg",
-                    description: "Needs infrequent watering and is resilient to most pests.",
-                    cost: "$15"
-                },
-                {
-                    name: "Cast Iron Plant",
-                    image: "https://cdn.pixabay.com/photo/2017/02/16/18/04/cast-iron-plant-2072008_1280.jpg",
-                    description: "Hardy plant that tolerates low light and neglect.",
-                    cost: "$20"
-                },
-                {
-                    name: "Succulents",
-                    image: "https://cdn.pixabay.com/photo/2016/11/21/16/05/cacti-1846147_1280.jpg",
-                    description: "Drought-tolerant plants with unique shapes and colors.",
-                    cost: "$18"
-                },
-                {
-                    name: "Aglaonema",
-                    image: "https://cdn.pixabay.com/photo/2014/10/10/04/27/aglaonema-482915_1280.jpg",
-                    description: "Requires minimal care and adds color to indoor spaces.",
-                    cost: "$22"
-                }
-            ]
-        }
-    ];
+    const currency = products[0]?.price.currency ?? DEFAULT_CURRENCY;
+    const priceBounds = useMemo(() => getPriceBounds(products), [products]);
+
+    const filters = useMemo(
+        () => parseFilters(searchParams, pathCategory, currency),
+        [searchParams, pathCategory, currency]
+    );
+    const isUnknownCategory = pathCategory !== undefined
+        && !categories.some(category => category.id === pathCategory);
 
     /**
-     * Get Filtered Categories
-     * 
-     * Returns categories based on current filter selection
-     * If 'all' is selected, returns all categories
-     * Otherwise, returns only the selected category
+     * Search Results
      * 
-     * @returns {Array} Filtered array of categories
+     * Ranked matches for the debounced query. Suggestions are only
+     * computed when the query itself matched nothing.
      */
-    const getFilteredCategories = () => {
-        if (selectedCategory === 'all') {
-            return plantsArray;
-        }
-        return plantsArray.filter(categoryObj => categoryObj.category === selectedCategory);
-    };
+    const searchResults = useMemo(
+        () => searchProducts(searchIndex, debouncedQuery),
+        [searchIndex, debouncedQuery]
+    );
+
+    const suggestions = useMemo(() => (
+        debouncedQuery && searchResults.length === 0 ? suggestQueries(searchIndex, debouncedQuery) : []
+    ), [searchIndex, debouncedQuery, searchResults]);
 
     /**
-     * Inline Styles Objects
+     * Filtered and Sorted Plants
+     * 
+     * Filters apply to the search results while searching, otherwise to
+     * the whole catalog. Facet counts are computed from the same set, so
+     * they always describe what clicking an option would show.
      */
-    const styleObj = {
-        backgroundColor: '#4CAF50',
-        color: '#fff!important',
-        padding: '15px',
-        display: 'flex',
-        justifyContent: 'space-between',
-        alignItems: 'center',
-        fontSize: '20px',
-    };
-
-    const styleObjUl = {
-        display: 'flex',
-        justifyContent: 'space-between',
-        alignItems: 'center',
-        width: '1100px',
-    };
+    const baseProducts = useMemo(
+        () => (debouncedQuery ? searchResults.map(result => result.product) : products),
+        [debouncedQuery, searchResults, products]
+    );
 
-    const styleA = {
-        color: 'white',
-        fontSize: '30px',
-        textDecoration: 'none',
-    };
+    const facetCounts = useMemo(
+        () => computeFacetCounts(baseProducts, filters, { categories, attributes, careLevels }),
+        [baseProducts, filters, categories, attributes, careLevels]
+    );
 
-    /**
-     * Event Handlers
-     */
+    const visibleProducts = useMemo(
+        () => sortProducts(applyFilters(baseProducts, filters), filters.sort),
+        [baseProducts, filters]
+    );
 
-    /**
-     * Handle Home Navigation
-     */
-    const handleHomeClick = (e) => {
-        e.preventDefault();
-        onHomeClick();
-    };
+    const matchedTokensById = useMemo(
+        () => new Map(searchResults.map(result => [result.product.id, result.matchedTokens])),
+        [searchResults]
+    );
 
     /**
-     * Handle Cart View Toggle
+     * Category Sections
      * 
-     * Shows the cart view when cart icon is clicked
+     * With the "Featured" sort and no search, plants are shown grouped by
+     * category (only the selected categories, if any). A plant in several
+     * categories is listed in each group. Empty groups are hidden.
      */
-    const handleCartClick = (e) => {
-        e.preventDefault();
-        setShowCart(true);
-    };
+    const categorySections = useMemo(() => categories
+        .filter(category => filters.categories.length === 0 || filters.categories.includes(category.id))
+        .map(category => ({
+            ...category,
+            plants: visibleProducts.filter(product => product.categories.includes(category.id)),
+        }))
+        .filter(category => category.plants.length > 0),
+    [categories, filters, visibleProducts]);
 
-    /**
-     * Handle Plants View Toggle
-     * 
-     * Shows the plants view when "Plants" link is clicked
-     * Resets to show all categories
-     */
-    const handlePlantsClick = (e) => {
-        e.preventDefault();
-        setShowCart(false);
-        setSelectedCategory('all'); // Reset to show all categories
-    };
+    const showGroupedView = !debouncedQuery && filters.sort === 'featured';
 
     /**
-     * Handle Continue Shopping - FIXED
-     * 
-     * Called from CartItem component via props
-     * Returns user from cart view back to plants view
-     * Ensures proper state management
+     * Event Handlers
      */
-    const handleContinueShopping = () => {
-        setShowCart(false); // Hide cart view
-        // Don't change selectedCategory - keep user's current filter
-    };
 
     /**
-     * Handle Category Selection
+     * Handle Filters Change
      * 
-     * Filters plants by selected category
+     * Writes the new filters to the URL. Category changes add a history
+     * entry (like the old category buttons did); other changes, such as
+     * dragging the price slider, replace the current one.
      * 
-     * @param {string} category - Category name to filter by
-     */
-    const handleCategorySelect = (category) => {
-        setSelectedCategory(category);
-        // Scroll to top of products section for better UX
-        document.querySelector('.product-grid')?.scrollIntoView({ behavior: 'smooth' });
-    };
-
-    /**
-     * Handle Add to Cart
+     * @param {Object} nextFilters - Filters to apply
      */
-    const handleAddToCart = (plant) => {
-        dispatch(addItem({
-            name: plant.name,
-            image: plant.image,
-            description: plant.description,
-            cost: plant.cost
-        }));
-
-        // Show user feedback
-        console.log(`Added ${plant.name} to cart!`);
+    const handleFiltersChange = (nextFilters) => {
+        navigate(serializeFilters(nextFilters, searchParams, currency), {
+            replace: nextFilters.categories === filters.categories
+        });
     };
 
     /**
@@ -405,222 +197,113 @@ function ProductList({ onHomeClick }) {
      */
     return (
         <div>
-            {/* Navigation Bar */}
-            <div className="navbar" style={styleObj}>
-                {/* Brand/Logo Section */}
-                <div className="tag">
-                    <div className="luxury">
-                        <img src="https://cdn.pixabay.com/photo/2020/08/05/13/12/eco-5465432_1280.png" alt="Paradise Nursery Logo" />
-                        <a href="/" onClick={handleHomeClick}>
-                            <div>
-                                <h3 style={{ color: 'white' }}>Paradise Nursery</h3>
-                                <i style={{ color: 'white' }}>Where Green Meets Serenity</i>
-                            </div>
-                        </a>
-                    </div>
-                </div>
+            {/* Unknown category in the URL: fall back to all plants */}
+            {isUnknownCategory && <Navigate to="/plants" replace />}
 
-                {/* Navigation Links */}
-                <div style={styleObjUl}>
-                    <div>
-                        <a href="#" onClick={handlePlantsClick} style={styleA}>Plants</a>
-                    </div>
-                    
-                    {/* Cart icon with item count badge */}
-                    <div>
-                        <a href="#" onClick={handleCartClick} style={styleA}>
-                            <div className="cart-container" style={{ position: 'relative' }}>
-                                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" height="68" width="68">
-                                    <rect width="156" height="156" fill="none"></rect>
-                                    <circle cx="80" cy="216" r="12"></circle>
-                                    <circle cx="184" cy="216" r="12"></circle>
-                                    <path d="M42.3,72H221.7l-26.4,92.4A15.9,15.9,0,0,1,179.9,176H84.1a15.9,15.9,0,0,1-15.4-11.6L32.5,37.8A8,8,0,0,0,24.8,32H8" fill="none" stroke="#faf9f9" strokeLinecap="round" strokeLinejoin="round" strokeWidth="2"></path>
-                                </svg>
-                                
-                                {totalCartItems > 0 && (
-                                    <span style={{
-                                        position: 'absolute',
-                                        top: '5px',
-                                        right: '5px',
-                                        backgroundColor: '#ff4444',
-                                        color: 'white',
-                                        borderRadius: '50%',
-                                        padding: '2px 6px',
-                                        fontSize: '12px',
-                                        fontWeight: 'bold'
-                                    }}>
-                                        {totalCartItems}
-                                    </span>
-                                )}
-                            </div>
-                        </a>
-                    </div>
+            {/* Enhanced Plants View with Filters */}
+            <div className="product-grid">
+                <h2 className="product-list-title">
+                    {t('productList.title')}
+                </h2>
+
+                {/* Search Box */}
+                <div className="plant-search">
+                    <input
+                        type="search"
+                        className="plant-search-input"
+                        placeholder={t('productList.searchPlaceholder')}
+                        aria-label={t('productList.searchLabel')}
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                    />
                 </div>
-            </div>
+                
+                {/* Filters and Sort */}
+                <FilterPanel
+                    filters={filters}
+                    facetCounts={facetCounts}
+                    categories={categories}
+                    attributes={attributes}
+                    careLevels={careLevels}
+                    priceBounds={priceBounds}
+                    currency={currency}
+                    resultCount={visibleProducts.length}
+                    onChange={handleFiltersChange}
+                />
+                
+                {/* Search Results (ranked) */}
+                {debouncedQuery && (
+                    <div className="search-results">
+                        <h3 className="search-results-title">
+                            {t('productList.searchResults', { count: visibleProducts.length, query: debouncedQuery })}
+                        </h3>
 
-            {/* Main Content Area */}
-            {!showCart ? (
-                /* Enhanced Plants View with Category Navigation */
-                <div className="product-grid">
-                    <h2 style={{ textAlign: 'center', margin: '20px 0', fontSize: '2em', color: '#4CAF50' }}>
-                        Our Plant Collection
-                    </h2>
-                    
-                    {/* Category Filter Navigation */}
-                    <div style={{
-                        display: 'flex',
-                        justifyContent: 'center',
-                        flexWrap: 'wrap',
-                        gap: '10px',
-                        margin: '20px 0',
-                        padding: '20px',
-                        backgroundColor: '#f5f5f5',
-                        borderRadius: '8px'
-                    }}>
-                        <button
-                            onClick={() => handleCategorySelect('all')}
-                            style={{
-                                padding: '10px 20px',
-                                border: 'none',
-                                borderRadius: '20px',
-                                cursor: 'pointer',
-                                fontSize: '14px',
-                                fontWeight: 'bold',
-                                backgroundColor: selectedCategory === 'all' ? '#4CAF50' : '#e0e0e0',
-                                color: selectedCategory === 'all' ? 'white' : '#333',
-                                transition: 'all 0.3s ease'
-                            }}
-                        >
-                            All Categories ({plantsArray.reduce((total, cat) => total + cat.plants.length, 0)} plants)
-                        </button>
-                        
-                        {plantsArray.map((categoryObj, index) => (
-                            <button
-                                key={index}
-                                onClick={() => handleCategorySelect(categoryObj.category)}
-                                style={{
-                                    padding: '10px 20px',
-                                    border: 'none',
-                                    borderRadius: '20px',
-                                    cursor: 'pointer',
-                                    fontSize: '14px',
-                                    fontWeight: 'bold',
-                                    backgroundColor: selectedCategory === categoryObj.category ? '#4CAF50' : '#e0e0e0',
-                                    color: selectedCategory === categoryObj.category ? 'white' : '#333',
-                                    transition: 'all 0.3s ease'
-                                }}
-                                onMouseOver={(e) => {
-                                    if (selectedCategory !== categoryObj.category) {
-                                        e.target.style.backgroundColor = '#c8e6c9';
-                                    }
-                                }}
-                                onMouseOut={(e) => {
-                                    if (selectedCategory !== categoryObj.category) {
-                                        e.target.style.backgroundColor = '#e0e0e0';
-                                    }
-                                }}
-                            >
-                                {categoryObj.category} ({categoryObj.plants.length})
-                            </button>
-                        ))}
-                    </div>
-                    
-                    {/* Render Selected Categories */}
-                    {getFilteredCategories().map((category, categoryIndex) => (
-                        <div key={categoryIndex} className="category-section" style={{ marginBottom: '40px' }}>
-                            {/* Category Header */}
-                            <h3 style={{ 
-                                fontSize: '1.5em', 
-                                color: '#2E7D32', 
-                                borderBottom: '2px solid #4CAF50',
-                                paddingBottom: '10px',
-                                marginBottom: '20px'
-                            }}>
-                                {category.category} ({category.plants.length} plants)
-                            </h3>
-                            
-                            {/* Plants Grid for this category */}
-                            <div className="plants-grid" style={{
-                                display: 'grid',
-                                gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
-                                gap: '20px',
-                                padding: '0 20px'
-                            }}>
-                                {category.plants.map((plant, plantIndex) => (
-                                    <div key={plantIndex} className="plant-card" style={{
-                                        border: '1px solid #ddd',
-                                        borderRadius: '8px',
-                                        padding: '15px',
-                                        backgroundColor: '#f9f9f9',
-                                        boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
-                                        transition: 'transform 0.2s ease'
-                                    }}>
-                                        <img 
-                                            src={plant.image} 
-                                            alt={plant.name}
-                                            style={{
-                                                width: '100%',
-                                                height: '200px',
-                                                objectFit: 'cover',
-                                                borderRadius: '4px',
-                                                marginBottom: '10px'
-                                            }}
-                                        />
-                                        
-                                        <h4 style={{ color: '#2E7D32', marginBottom: '8px' }}>
-                                            {plant.name}
-                                        </h4>
-                                        <p style={{ 
-                                            fontSize: '14px', 
-                                            color: '#666', 
-                                            marginBottom: '10px',
-                                            lineHeight: '1.4'
-                                        }}>
-                                            {plant.description}
-                                        </p>
-                                        
-                                        <div style={{ 
-                                            display: 'flex', 
-                                            justifyContent: 'space-between', 
-                                            alignItems: 'center',
-                                            marginTop: '15px'
-                                        }}>
-                                            <span style={{ 
-                                                fontSize: '18px', 
-                                                fontWeight: 'bold', 
-                                                color: '#4CAF50' 
-                                            }}>
-                                                {plant.cost}
-                                            </span>
-                                            
+                        {searchResults.length === 0 && (
+                            <div className="search-no-results">
+                                <p>{t('productList.noResults')}</p>
+                                {suggestions.length > 0 && (
+                                    <p>
+                                        {t('productList.didYouMean')}{' '}
+                                        {suggestions.map(suggestion => (
                                             <button
-                                                onClick={() => handleAddToCart(plant)}
-                                                style={{
-                                                    backgroundColor: '#4CAF50',
-                                                    color: 'white',
-                                                    border: 'none',
-                                                    padding: '8px 16px',
-                                                    borderRadius: '4px',
-                                                    cursor: 'pointer',
-                                                    fontSize: '14px',
-                                                    transition: 'background-color 0.2s ease'
-                                                }}
-                                                onMouseOver={(e) => e.target.style.backgroundColor = '#45a049'}
-                                                onMouseOut={(e) => e.target.style.backgroundColor = '#4CAF50'}
+                                                key={suggestion}
+                                                className="search-suggestion"
+                                                onClick={() => setQuery(suggestion)}
                                             >
-                                                Add to Cart
+                                                {suggestion}
                                             </button>
-                                        </div>
-                                    </div>
+                                        ))}
+                                    </p>
+                                )}
+                            </div>
+                        )}
+
+                        {visibleProducts.length > 0 && (
+                            <div className="plants-grid">
+                                {visibleProducts.map((plant) => (
+                                    <PlantCard key={plant.id} plant={plant} matchedTokens={matchedTokensById.get(plant.id)} />
                                 ))}
                             </div>
+                        )}
+                    </div>
+                )}
+
+                {/* Nothing left after filtering */}
+                {visibleProducts.length === 0 && (!debouncedQuery || searchResults.length > 0) && (
+                    <p className="filter-empty">
+                        {t('productList.noFilterResults')}
+                    </p>
+                )}
+
+                {/* Sorted Plants (one flat grid) */}
+                {!debouncedQuery && !showGroupedView && visibleProducts.length > 0 && (
+                    <div className="plants-grid">
+                        {visibleProducts.map((plant) => (
+                            <PlantCard key={plant.id} plant={plant} />
+                        ))}
+                    </div>
+                )}
+
+                {/* Render Selected Categories */}
+                {showGroupedView && categorySections.map((category) => (
+                    <div key={category.id} className="category-section">
+                        {/* Category Header */}
+                        <h3 className="category-heading">
+                            {t('productList.categoryHeading', {
+                                category: nameMessage('category', category),
+                                count: category.plants.length
+                            })}
+                        </h3>
+                        
+                        {/* Plants Grid for this category */}
+                        <div className="plants-grid">
+                            {category.plants.map((plant) => (
+                                <PlantCard key={plant.id} plant={plant} />
+                            ))}
                         </div>
-                    ))}
-                </div>
-            ) : (
-                /* Cart View with Fixed Continue Shopping */
-                <CartItem onContinueShopping={handleContinueShopping} />
-            )}
+                    </div>
+                ))}
+            </div>
         </div>
     );
 }
@@ -0,0 +1,173 @@
+/**
+ * Profile Component - Account Details and Saved Addresses
+ *
+ * Shows who is signed in and manages the shipping addresses saved to the
+ * account. The default address fills in the checkout shipping step.
+ *
+ * React Concepts Used:
+ * - useState Hook: The address being added or edited and its validation state
+ * - useSelector/useDispatch Hooks: Reading the user, saving addresses, signing out
+ * - Conditional Rendering: Address list vs address form
+ * - Component Composition: AddressFields (shared with the checkout)
+ * - Translation: useI18n() for labels, errors and country names
+ *
+ * Redux Integration:
+ * - Reads the signed-in user (selectCurrentUser)
+ * - Dispatches saveAddress, removeAddress, setDefaultAddress and signOut
+ *   (see AuthSlice.js)
+ */
+
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link, useNavigate } from 'react-router-dom';
+import {
+  removeAddress,
+  saveAddress,
+  selectCurrentUser,
+  setDefaultAddress,
+  signOut,
+} from './AuthSlice';
+import { EMPTY_SHIPPING_ADDRESS, formatAddress, validateShippingAddress } from './checkoutValidation';
+import AddressFields from './AddressFields';
+import { serverMessage } from './i18n';
+import { useI18n } from './useI18n';
+import './Checkout.css';
+import './Profile.css';
+
+/**
+ * Profile Component
+ *
+ * Rendered for the /account route (signed-in users only, see RequireAuth.jsx)
+ *
+ * @returns {JSX.Element} The profile page
+ */
+function Profile() {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const user = useSelector(selectCurrentUser);
+  const { locale, t } = useI18n();
+
+  /**
+   * Address Form State
+   *
+   * draft is null while no address is being added or edited
+   */
+  const [draft, setDraft] = useState(null);
+  const [submitted, setSubmitted] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const errors = draft && submitted ? validateShippingAddress(draft) : {};
+
+  const handleAddAddress = () => {
+    setDraft({ ...EMPTY_SHIPPING_ADDRESS, fullName: user.name, email: user.email });
+    setSubmitted(false);
+    setSaveError(null);
+  };
+
+  const handleEditAddress = (address) => {
+    setDraft(address);
+    setSubmitted(false);
+    setSaveError(null);
+  };
+
+  const handleChange = (e) => {
+    setDraft({ ...draft, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (Object.keys(validateShippingAddress(draft)).length > 0) {
+      return;
+    }
+    try {
+      await dispatch(saveAddress(draft)).unwrap();
+      setDraft(null);
+    } catch (error) {
+      setSaveError(error.id ? error : serverMessage(error.message));
+    }
+  };
+
+  const handleSignOut = async () => {
+    await dispatch(signOut());
+    navigate('/plants');
+  };
+
+  return (
+    <div className="profile">
+      <h2>{t('userMenu.account')}</h2>
+
+      <section className="profile-details">
+        <div>
+          <strong>{user.name}</strong>
+          <div>{user.email}</div>
+        </div>
+        <div className="profile-details-actions">
+          <Link to="/orders">{t('userMenu.orders')}</Link>
+          <button type="button" className="checkout-secondary" onClick={handleSignOut}>
+            {t('userMenu.signOut')}
+          </button>
+        </div>
+      </section>
+
+      <section>
+        <h3>{t('checkout.savedAddresses')}</h3>
+
+        {draft ? (
+          <form className="checkout-form" onSubmit={handleSubmit} noValidate>
+            <AddressFields values={draft} errors={errors} onChange={handleChange} idPrefix="profile" />
+
+            {saveError && <p className="checkout-error" role="alert">{t(saveError)}</p>}
+
+            <div className="checkout-actions">
+              <button type="button" className="checkout-secondary" onClick={() => setDraft(null)}>
+                {t('common.cancel')}
+              </button>
+              <button type="submit" className="checkout-primary">{t('profile.saveAddress')}</button>
+            </div>
+          </form>
+        ) : (
+          <>
+            {user.addresses.length === 0 ? (
+              <p className="profile-empty">
+                {t('profile.noAddresses')}
+              </p>
+            ) : (
+              <ul className="profile-addresses">
+                {user.addresses.map(address => (
+                  <li key={address.id} className="profile-address">
+                    <div>
+                      {formatAddress(address, locale).map((line, index) => <div key={index}>{line}</div>)}
+                      {address.id === user.defaultAddressId && (
+                        <span className="profile-address-default">{t('profile.default')}</span>
+                      )}
+                    </div>
+                    <div className="profile-address-actions">
+                      <button type="button" className="checkout-link" onClick={() => handleEditAddress(address)}>
+                        {t('common.edit')}
+                      </button>
+                      {address.id !== user.defaultAddressId && (
+                        <button type="button" className="checkout-link" onClick={() => dispatch(setDefaultAddress(address.id))}>
+                          {t('profile.makeDefault')}
+                        </button>
+                      )}
+                      <button type="button" className="checkout-link" onClick={() => dispatch(removeAddress(address.id))}>
+                        {t('common.remove')}
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <button type="button" className="checkout-primary profile-add" onClick={handleAddAddress}>
+              {t('profile.addAddress')}
+            </button>
+          </>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default Profile;
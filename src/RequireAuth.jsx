@@ -0,0 +1,66 @@
+/**
+ * RequireAuth Component - Routes for Signed-In Users Only
+ *
+ * Wraps account routes (order history, profile). Guests are sent to the
+ * sign-in page, which brings them back here afterwards. With
+ * role="admin", signed-in customers are told the page is for staff.
+ *
+ * React Concepts Used:
+ * - useSelector Hook: The signed-in user and whether a saved session is being checked
+ * - React Router <Navigate>: Redirecting with the current location in `state.from`
+ * - Props: children (the protected view)
+ * - Translation: useI18n() for the messages
+ */
+
+import { useSelector } from 'react-redux';
+import { Navigate, useLocation } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { selectAuth } from './AuthSlice';
+import { useI18n } from './useI18n';
+import './CatalogGate.css';
+
+/**
+ * RequireAuth Component
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Content for signed-in users
+ * @param {string} [props.role] - Role the user needs, e.g. "admin"
+ * @returns {JSX.Element} The children, a loading state or a redirect
+ */
+function RequireAuth({ children, role }) {
+  const { user, restoring } = useSelector(selectAuth);
+  const location = useLocation();
+  const { t } = useI18n();
+
+  if (user && role && user.role !== role) {
+    return (
+      <div className="catalog-gate" role="alert">
+        <h2>{t('requireAuth.staffOnly')}</h2>
+        <p>{t('requireAuth.staffOnlyHint')}</p>
+      </div>
+    );
+  }
+
+  if (user) {
+    return children;
+  }
+
+  // A saved session is still being checked: don't send the user away yet
+  if (restoring) {
+    return (
+      <div className="catalog-gate" role="status" aria-busy="true">
+        <div className="catalog-gate-spinner" aria-hidden="true"></div>
+        <p>{t('requireAuth.restoring')}</p>
+      </div>
+    );
+  }
+
+  return <Navigate to="/signin" replace state={{ from: location, required: true }} />;
+}
+
+RequireAuth.propTypes = {
+  children: PropTypes.node.isRequired,
+  role: PropTypes.string,
+};
+
+export default RequireAuth;
@@ -0,0 +1,116 @@
+/**
+ * ShopLayout Component - Shared Frame Around Every Shop View
+ *
+ * The layout route in App.jsx: a skip link, the navbar, the routed view
+ * inside <main>, the mini-cart bar and the cart announcer.
+ *
+ * Keyboard and screen reader support:
+ * - "Skip to main content" is the first thing Tab reaches; it jumps past
+ *   the navbar straight to the view
+ * - When the view changes (plants, a plant, the cart, checkout...),
+ *   focus moves to the new view's heading, so keyboard users start at
+ *   the top of it and screen readers announce it. Changing the category
+ *   filter keeps focus where it is.
+ *
+ * React Concepts Used:
+ * - React Router <Outlet />: Renders the matched child route
+ * - useRef Hook: The <main> element, and the view focus was last moved for
+ * - useEffect Hook: Moving focus after the new view has rendered
+ * - useLocation Hook: Knowing when the view changes
+ */
+
+import { useEffect, useRef } from 'react';
+import { Outlet, useLocation } from 'react-router-dom';
+import Navbar from './Navbar';
+import CatalogGate from './CatalogGate';
+import MiniCartBar from './MiniCartBar';
+import { useI18n } from './useI18n';
+import './ShopLayout.css';
+
+/**
+ * Get View
+ *
+ * @param {string} pathname - Current URL path
+ * @returns {string} The view it shows: the first path segment, e.g.
+ *   "plants" for /plants and /plants/:category
+ */
+const getView = pathname => pathname.split('/')[1];
+
+/**
+ * Focus View Heading
+ *
+ * Focuses the view's first heading (made focusable for this), or the
+ * <main> element itself when the view has none yet (e.g. still loading)
+ *
+ * @param {HTMLElement} main - The <main> element
+ */
+const focusViewHeading = (main) => {
+  const heading = main.querySelector('h1, h2');
+  if (!heading) {
+    main.focus();
+    return;
+  }
+  if (!heading.hasAttribute('tabindex')) {
+    heading.setAttribute('tabindex', '-1');
+  }
+  heading.focus();
+};
+
+/**
+ * ShopLayout Component
+ *
+ * @returns {JSX.Element} The navbar, the routed view and the cart helpers
+ */
+function ShopLayout() {
+  const location = useLocation();
+  const mainRef = useRef(null);
+  const { t } = useI18n();
+  const view = getView(location.pathname);
+  const focusedView = useRef(view);
+
+  /**
+   * Move Focus to the New View
+   *
+   * Not on the first render (focus stays at the top of the page), nor
+   * for the landing page, which sits outside the shop (see App.jsx)
+   */
+  useEffect(() => {
+    if (focusedView.current === view) {
+      return;
+    }
+    focusedView.current = view;
+    if (location.pathname !== '/') {
+      focusViewHeading(mainRef.current);
+    }
+  }, [view, location.pathname]);
+
+  /**
+   * Handle Skip Link
+   *
+   * Focuses <main> directly, since "#main-content" in the URL would be
+   * read as a route when the app uses hash URLs
+   *
+   * @param {Event} e - Click event
+   */
+  const handleSkip = (e) => {
+    e.preventDefault();
+    mainRef.current.focus();
+  };
+
+  return (
+    <>
+      <a href="#main-content" className="skip-link" onClick={handleSkip}>
+        {t('a11y.skipToContent')}
+      </a>
+      <Navbar />
+      <main id="main-content" className="shop-main" ref={mainRef} tabIndex={-1}>
+        <CatalogGate>
+          <Outlet />
+        </CatalogGate>
+      </main>
+      <MiniCartBar />
+    </>
+  );
+}
+
+export default ShopLayout;
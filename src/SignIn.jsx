@@ -0,0 +1,142 @@
+/**
+ * SignIn Component - Sign In or Create an Account
+ *
+ * One page with two modes: signing in to an existing account or
+ * creating a new one. Afterwards the user goes back to the page they
+ * came from (e.g. order history, see RequireAuth.jsx).
+ *
+ * React Concepts Used:
+ * - useState Hook: Mode, form values and whether the form was submitted
+ * - useSelector/useDispatch Hooks: Auth status and the signIn/signUp thunks
+ * - useLocation Hook: Where to return after signing in (`state.from`)
+ * - Controlled Inputs: Form fields driven by state
+ * - React Router <Navigate>: Leaving the page once signed in
+ * - Translation: useI18n() for labels and errors
+ *
+ * Redux Integration:
+ * - Dispatches signIn / signUp (see AuthSlice.js); a saved guest cart is
+ *   merged into the account's cart once signed in (see cartSync.js)
+ * - Shows the provider's error (wrong password, email taken) from the slice
+ */
+
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Navigate, useLocation } from 'react-router-dom';
+import { clearAuthError, selectAuth, signIn, signUp } from './AuthSlice';
+import { MIN_PASSWORD_LENGTH, validateSignIn, validateSignUp } from './authValidation';
+import { useI18n } from './useI18n';
+import './Checkout.css';
+import './SignIn.css';
+
+/**
+ * Form Fields per Mode
+ *
+ * Labels are message descriptors
+ */
+const FIELDS = {
+  signIn: [
+    { name: 'email', label: { id: 'address.email' }, type: 'email', autoComplete: 'email' },
+    { name: 'password', label: { id: 'signIn.password' }, type: 'password', autoComplete: 'current-password' },
+  ],
+  signUp: [
+    { name: 'name', label: { id: 'signUp.name' }, autoComplete: 'name' },
+    { name: 'email', label: { id: 'address.email' }, type: 'email', autoComplete: 'email' },
+    {
+      name: 'password',
+      label: { id: 'signUp.password', values: { min: MIN_PASSWORD_LENGTH } },
+      type: 'password',
+      autoComplete: 'new-password',
+    },
+  ],
+};
+
+/**
+ * SignIn Component
+ *
+ * Rendered for the /signin route
+ *
+ * @returns {JSX.Element} The sign-in / sign-up form
+ */
+function SignIn() {
+  const dispatch = useDispatch();
+  const location = useLocation();
+  const { user, status, error } = useSelector(selectAuth);
+  const [mode, setMode] = useState('signIn');
+  const [values, setValues] = useState({ name: '', email: '', password: '' });
+  const [submitted, setSubmitted] = useState(false);
+  const { t } = useI18n();
+
+  if (user) {
+    return <Navigate to={location.state?.from ?? '/plants'} replace />;
+  }
+
+  const validate = mode === 'signIn' ? validateSignIn : validateSignUp;
+  const errors = submitted ? validate(values) : {};
+
+  const handleChange = (e) => {
+    setValues({ ...values, [e.target.name]: e.target.value });
+  };
+
+  const handleSwitchMode = () => {
+    setMode(mode === 'signIn' ? 'signUp' : 'signIn');
+    setSubmitted(false);
+    dispatch(clearAuthError());
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (Object.keys(validate(values)).length > 0) {
+      return;
+    }
+    dispatch(mode === 'signIn' ? signIn(values) : signUp(values));
+  };
+
+  return (
+    <div className="sign-in">
+      <h2>{mode === 'signIn' ? t('userMenu.signIn') : t('signUp.title')}</h2>
+
+      {location.state?.required && (
+        <p className="sign-in-note">{t('signIn.required')}</p>
+      )}
+
+      <form className="checkout-form" onSubmit={handleSubmit} noValidate>
+        {FIELDS[mode].map(field => (
+          <div className="checkout-field" key={field.name}>
+            <label htmlFor={`sign-in-${field.name}`}>{t(field.label)}</label>
+            <input
+              id={`sign-in-${field.name}`}
+              name={field.name}
+              type={field.type ?? 'text'}
+              autoComplete={field.autoComplete}
+              value={values[field.name]}
+              onChange={handleChange}
+              aria-invalid={Boolean(errors[field.name])}
+              aria-describedby={errors[field.name] ? `sign-in-${field.name}-error` : undefined}
+            />
+            {errors[field.name] && (
+              <span className="checkout-field-error" id={`sign-in-${field.name}-error`}>
+                {t(errors[field.name])}
+              </span>
+            )}
+          </div>
+        ))}
+
+        {error && <p className="checkout-error" role="alert">{t(error)}</p>}
+
+        <div className="checkout-actions">
+          <button type="button" className="checkout-link" onClick={handleSwitchMode}>
+            {mode === 'signIn' ? t('signIn.switchToSignUp') : t('signUp.switchToSignIn')}
+          </button>
+          <button type="submit" className="checkout-primary" disabled={status === 'submitting'}>
+            {status === 'submitting'
+              ? t('common.pleaseWait')
+              : mode === 'signIn' ? t('userMenu.signIn') : t('signUp.submit')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default SignIn;
@@ -0,0 +1,73 @@
+/**
+ * ThemeProvider Component - Applies the Colour Theme
+ *
+ * Wraps the whole app (see main.jsx). Works out which theme to show from
+ * the saved preference and the operating system's settings, puts it on
+ * <html data-theme="..."> so the design tokens in ThemeProvider.css
+ * switch, and shares it with components through useTheme().
+ *
+ * React Concepts Used:
+ * - Context: ThemeContext.Provider makes the theme available to any component
+ * - useState Hook: The theme the operating system currently asks for
+ * - useEffect Hook: Following changes to the system settings
+ * - useLayoutEffect Hook: Applying the theme before the browser paints,
+ *   so the page never flashes in the wrong colours
+ * - useMemo Hook: A stable context value between renders
+ *
+ * Redux Integration:
+ * - Reads the theme preference (see ThemeSlice.js)
+ */
+
+import { useEffect, useLayoutEffect, useMemo, useState } from 'react';
+import { useSelector } from 'react-redux';
+import PropTypes from 'prop-types';
+import { selectThemePreference } from './ThemeSlice';
+import { getSystemTheme, resolveTheme, watchSystemTheme } from './theme';
+import { ThemeContext } from './useTheme';
+import './ThemeProvider.css';
+
+/**
+ * Apply Theme to the Document
+ *
+ * @param {string} themeId - Theme id, e.g. "dark"
+ */
+const applyToDocument = (themeId) => {
+  if (typeof document === 'undefined') {
+    return;
+  }
+  document.documentElement.dataset.theme = themeId;
+};
+
+/**
+ * ThemeProvider Component
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - The app
+ * @returns {JSX.Element} The children, with the theme applied
+ */
+function ThemeProvider({ children }) {
+  const preference = useSelector(selectThemePreference);
+  const [systemTheme, setSystemTheme] = useState(getSystemTheme);
+
+  useEffect(() => watchSystemTheme(setSystemTheme), []);
+
+  const theme = resolveTheme(preference, systemTheme);
+
+  useLayoutEffect(() => {
+    applyToDocument(theme.id);
+  }, [theme.id]);
+
+  const value = useMemo(() => ({ preference, theme, systemTheme }), [preference, theme, systemTheme]);
+
+  return (
+    <ThemeContext.Provider value={value}>
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+
+ThemeProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default ThemeProvider;
@@ -0,0 +1,56 @@
+/**
+ * Theme Redux Slice - The Colour Theme the Visitor Chose
+ *
+ * Holds the theme preference: "system" (follow the operating system) or
+ * one of the themes in theme.js. ThemeProvider.jsx turns it into the
+ * theme shown; themePersistence.js saves it between visits.
+ *
+ * Redux Toolkit Utilities Used:
+ * - createSlice(): Theme state and the setThemePreference reducer
+ */
+
+import { createSlice } from '@reduxjs/toolkit';
+import { SYSTEM_THEME, isThemePreference } from './theme';
+
+/**
+ * Theme Slice Definition
+ *
+ * State shape:
+ * {
+ *   preference: string   // "system" or a theme id from THEMES (see theme.js)
+ * }
+ */
+export const ThemeSlice = createSlice({
+  name: 'theme',
+
+  initialState: {
+    preference: SYSTEM_THEME,
+  },
+
+  reducers: {
+    /**
+     * Set Theme Preference Reducer
+     *
+     * Unknown themes are ignored
+     *
+     * @param {string} action.payload - "system", "light", "dark" or "high-contrast"
+     */
+    setThemePreference: (state, action) => {
+      if (isThemePreference(action.payload)) {
+        state.preference = action.payload;
+      }
+    },
+  },
+});
+
+export const { setThemePreference } = ThemeSlice.actions;
+
+/**
+ * Select Theme Preference
+ *
+ * @param {Object} state - Root Redux state
+ * @returns {string} "system" or a theme id
+ */
+export const selectThemePreference = state => state.theme.preference;
+
+export default ThemeSlice.reducer;
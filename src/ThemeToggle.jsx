@@ -0,0 +1,55 @@
+/**
+ * ThemeToggle Component - Colour Theme Picker in the Navbar
+ *
+ * A select offering "System" (follow the operating system's light, dark
+ * or high contrast setting) and each theme in theme.js. The system
+ * option names the theme the system currently asks for, e.g. "System (Dark)".
+ * The choice is saved (see themePersistence.js).
+ *
+ * React Concepts Used:
+ * - Controlled Select: The value comes from the Redux store
+ * - useDispatch Hook: Setting the theme preference
+ * - Context: useTheme() for the preference and the system's theme
+ */
+
+import { useDispatch } from 'react-redux';
+import { setThemePreference } from './ThemeSlice';
+import { SYSTEM_THEME, THEME_PREFERENCES } from './theme';
+import { useTheme } from './useTheme';
+import { useI18n } from './useI18n';
+import './ThemeToggle.css';
+
+/**
+ * ThemeToggle Component
+ *
+ * @returns {JSX.Element} The theme select
+ */
+function ThemeToggle() {
+  const dispatch = useDispatch();
+  const { preference, systemTheme } = useTheme();
+  const { t } = useI18n();
+
+  /**
+   * Option Label
+   *
+   * @param {string} id - "system" or a theme id
+   * @returns {string} The option's text
+   */
+  const optionLabel = id => (id === SYSTEM_THEME
+    ? t('theme.system', { theme: { id: `theme.${systemTheme}` } })
+    : t(`theme.${id}`));
+
+  return (
+    <label className="theme-toggle">
+      <span className="theme-toggle-label">{t('theme.label')}</span>
+      <span className="theme-toggle-icon" aria-hidden="true">&#9680;</span>
+      <select value={preference} onChange={(e) => dispatch(setThemePreference(e.target.value))}>
+        {THEME_PREFERENCES.map(id => (
+          <option key={id} value={id}>{optionLabel(id)}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default ThemeToggle;
@@ -0,0 +1,156 @@
+/**
+ * ToastContainer Component - On-Screen Notifications
+ *
+ * Shows the notifications from NotificationsSlice as a stack of toasts
+ * in the bottom-right corner, on every page.
+ *
+ * Accessibility:
+ * - Toasts are rendered inside live regions, so screen readers announce
+ *   them: errors in an assertive region (role="alert"), everything else
+ *   in a polite one (role="status"). This is the app's only live region
+ *   for cart and checkout events; announcements (see NotificationsSlice)
+ *   are rendered in it as visually hidden text
+ * - Auto-dismiss pauses while the pointer is over a toast or focus is
+ *   inside it, so there is time to read it and reach its buttons
+ *
+ * React Concepts Used:
+ * - useSelector Hook: The notifications to show
+ * - useDispatch Hook: Dismissing notifications and running their actions
+ * - useEffect Hook: Auto-dismiss timers
+ * - useState Hook: Whether a toast is paused
+ * - Component Composition: One <Toast> per notification
+ * - Translation: Messages are stored as descriptors and translated here,
+ *   so a toast already on screen follows a language switch
+ */
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { dismissNotification, selectNotifications } from './NotificationsSlice';
+import { useI18n } from './useI18n';
+import { messageShape } from './propShapes';
+import './ToastContainer.css';
+
+/**
+ * Icons by Notification Type
+ */
+const TOAST_ICONS = {
+  success: '✓',
+  info: 'ℹ',
+  warning: '!',
+  error: '✕',
+};
+
+/**
+ * Toast Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.notification - Notification from NotificationsSlice
+ * @returns {JSX.Element} One toast
+ */
+function Toast({ notification }) {
+  const dispatch = useDispatch();
+  const { id, type, message, duration, action, link, announce } = notification;
+  const [paused, setPaused] = useState(false);
+  const { t } = useI18n();
+
+  const dismiss = () => dispatch(dismissNotification(id));
+
+  /**
+   * Auto-dismiss (restarts after a pause)
+   */
+  useEffect(() => {
+    if (duration === null || paused) {
+      return undefined;
+    }
+    const timer = setTimeout(() => dispatch(dismissNotification(id)), duration);
+    return () => clearTimeout(timer);
+  }, [dispatch, id, duration, paused]);
+
+  /**
+   * Handle Action Button
+   *
+   * Dispatches the notification's action, then hides the toast
+   */
+  const handleAction = () => {
+    dispatch(action.onAction);
+    dismiss();
+  };
+
+  if (announce) {
+    return <p className="visually-hidden">{t(message)}</p>;
+  }
+
+  return (
+    <div
+      className={`toast toast-${type}`}
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      onFocus={() => setPaused(true)}
+      onBlur={() => setPaused(false)}
+    >
+      <span className="toast-icon" aria-hidden="true">{TOAST_ICONS[type]}</span>
+      <span className="toast-message">{t(message)}</span>
+
+      {action && (
+        <button className="toast-action" onClick={handleAction}>
+          {t(action.label)}
+        </button>
+      )}
+      {link && (
+        <Link className="toast-action" to={link.to} onClick={dismiss}>
+          {t(link.label)}
+        </Link>
+      )}
+
+      <button className="toast-close" onClick={dismiss} aria-label={t('toast.dismiss')}>
+        &times;
+      </button>
+    </div>
+  );
+}
+
+Toast.propTypes = {
+  notification: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    type: PropTypes.oneOf(['success', 'info', 'warning', 'error']).isRequired,
+    message: messageShape.isRequired,
+    duration: PropTypes.number,
+    action: PropTypes.shape({
+      label: messageShape.isRequired,
+      onAction: PropTypes.object.isRequired,
+    }),
+    link: PropTypes.shape({
+      label: messageShape.isRequired,
+      to: PropTypes.string.isRequired,
+    }),
+    announce: PropTypes.bool,
+  }).isRequired,
+};
+
+/**
+ * ToastContainer Component
+ *
+ * Rendered once, by App
+ *
+ * @returns {JSX.Element} The notification stack
+ */
+function ToastContainer() {
+  const notifications = useSelector(selectNotifications);
+  const errors = notifications.filter(notification => notification.type === 'error');
+  const messages = notifications.filter(notification => notification.type !== 'error');
+
+  return (
+    <div className="toast-container">
+      <div role="alert" aria-live="assertive" className="toast-region">
+        {errors.map(notification => <Toast key={notification.id} notification={notification} />)}
+      </div>
+      <div role="status" aria-live="polite" className="toast-region">
+        {messages.map(notification => <Toast key={notification.id} notification={notification} />)}
+      </div>
+    </div>
+  );
+}
+
+export default ToastContainer;
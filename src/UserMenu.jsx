@@ -0,0 +1,114 @@
+/**
+ * UserMenu Component - Account Menu in the Navbar
+ *
+ * Guests see a "Sign in" link. Signed-in users see their name, which
+ * opens a small menu with their account, order history and "Sign out";
+ * admins also get a link to the catalog management screen.
+ *
+ * React Concepts Used:
+ * - useState Hook: Whether the menu is open
+ * - useEffect Hook: Closing the menu on outside clicks and Escape
+ * - useRef Hook: The menu element, to tell inside from outside clicks,
+ *   and the button, which gets focus back when Escape closes the menu
+ * - useSelector/useDispatch Hooks: The signed-in user and the signOut thunk
+ * - Translation: useI18n() for the menu labels
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { selectAuth, signOut } from './AuthSlice';
+import { useI18n } from './useI18n';
+import './UserMenu.css';
+
+/**
+ * UserMenu Component
+ *
+ * @returns {JSX.Element} The sign-in link or the account menu
+ */
+function UserMenu() {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { user, restoring } = useSelector(selectAuth);
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+  const buttonRef = useRef(null);
+  const { t } = useI18n();
+
+  /**
+   * Close on Outside Click and Escape
+   */
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+
+    const handlePointerDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setOpen(false);
+        buttonRef.current?.focus();
+      }
+    };
+
+    document.addEventListener('pointerdown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('pointerdown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [open]);
+
+  const handleSignOut = async () => {
+    setOpen(false);
+    await dispatch(signOut());
+    navigate('/plants');
+  };
+
+  if (!user) {
+    return restoring ? null : (
+      <Link
+        to="/signin"
+        state={location.pathname === '/signin' ? location.state : { from: location }}
+        className="user-menu-sign-in"
+      >
+        {t('userMenu.signIn')}
+      </Link>
+    );
+  }
+
+  return (
+    <div className="user-menu" ref={menuRef}>
+      <button
+        ref={buttonRef}
+        type="button"
+        className="user-menu-button"
+        aria-expanded={open}
+        aria-controls="user-menu-list"
+        onClick={() => setOpen(!open)}
+      >
+        {user.name} <span aria-hidden="true">&#9662;</span>
+      </button>
+
+      {open && (
+        <ul id="user-menu-list" className="user-menu-list">
+          <li><Link to="/account" onClick={() => setOpen(false)}>{t('userMenu.account')}</Link></li>
+          <li><Link to="/orders" onClick={() => setOpen(false)}>{t('userMenu.orders')}</Link></li>
+          {user.role === 'admin' && (
+            <li><Link to="/admin" onClick={() => setOpen(false)}>{t('userMenu.admin')}</Link></li>
+          )}
+          <li>
+            <button type="button" onClick={handleSignOut}>{t('userMenu.signOut')}</button>
+          </li>
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default UserMenu;
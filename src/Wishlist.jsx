@@ -0,0 +1,99 @@
+/**
+ * Wishlist Component - Plants Saved for Later
+ *
+ * Lists the plants the shopper hearted or saved from the cart, most
+ * recently saved first. Each can be moved (back) into the cart with
+ * its saved quantity, or removed.
+ *
+ * React Concepts Used:
+ * - useSelector Hook: Wishlist entries and the catalog products behind them
+ * - useDispatch Hook: Moving entries to the cart and removing them
+ * - Conditional Rendering: Empty wishlist, sold-out plants
+ * - Array Methods: map() over the saved plants
+ * - Translation: useI18n() for text and prices in the chosen locale
+ */
+
+import { useSelector, useDispatch } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { getMaxLineQuantity, selectCartQuantities } from './CartSlice';
+import { getStockStatus, isOnSale, selectProductEntities } from './CatalogSlice';
+import { moveToCart, removeFromWishlist, selectWishlistItems } from './WishlistSlice';
+import PlantImage from './PlantImage';
+import { useI18n } from './useI18n';
+import './Wishlist.css';
+
+/**
+ * Wishlist Component
+ *
+ * Rendered for the /wishlist route
+ *
+ * @returns {JSX.Element} The wishlist page
+ */
+function Wishlist() {
+  const dispatch = useDispatch();
+  const entries = useSelector(selectWishlistItems);
+  const products = useSelector(selectProductEntities);
+  const quantitiesInCart = useSelector(selectCartQuantities);
+  const { t, formatMoney, formatNumber } = useI18n();
+
+  /**
+   * Saved plants still on sale, with their saved quantity
+   */
+  const savedPlants = entries
+    .filter(entry => isOnSale(products[entry.id]))
+    .map(entry => ({ ...entry, product: products[entry.id] }));
+
+  if (savedPlants.length === 0) {
+    return (
+      <div className="wishlist wishlist-empty">
+        <h2>{t('wishlist.empty')}</h2>
+        <p>{t('wishlist.emptyHint')}</p>
+        <Link to="/plants">{t('wishlist.browse')}</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="wishlist">
+      <h2>{t('wishlist.title', { count: savedPlants.length })}</h2>
+
+      <ul className="wishlist-items">
+        {savedPlants.map(({ id, quantity, product }) => {
+          const stockStatus = getStockStatus(product.stock);
+          const canMove = (quantitiesInCart[id] ?? 0) < getMaxLineQuantity(product.stock);
+
+          return (
+            <li key={id} className="wishlist-item">
+              <PlantImage className="wishlist-item-image" src={product.image} alt="" ratio="square" sizes="90px" />
+
+              <div className="wishlist-item-details">
+                <Link to={`/plant/${id}`} className="wishlist-item-name">{product.name}</Link>
+                <div className="wishlist-item-price">
+                  {formatMoney(product.price)}
+                  {quantity > 1 && <span> &times; {formatNumber(quantity)}</span>}
+                </div>
+                {stockStatus === 'out-of-stock' && <div className="wishlist-item-stock">{t('stock.outOfStock')}</div>}
+                {stockStatus === 'low-stock' && <div className="wishlist-item-stock">{t('stock.onlyLeft', { count: product.stock })}</div>}
+              </div>
+
+              <div className="wishlist-item-actions">
+                <button
+                  className="wishlist-move"
+                  disabled={!canMove}
+                  onClick={() => dispatch(moveToCart(id))}
+                >
+                  {t('wishlist.moveToCart')}
+                </button>
+                <button className="wishlist-remove" onClick={() => dispatch(removeFromWishlist(id))}>
+                  {t('common.remove')}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default Wishlist;
@@ -0,0 +1,169 @@
+/**
+ * Wishlist Redux Slice - Saved Plants and "Save for Later"
+ *
+ * Holds the plants a shopper wants to keep an eye on:
+ * - hearted from a plant card (quantity 1)
+ * - or moved out of the cart with "Save for later" (keeps the cart quantity)
+ *
+ * Entries only store the product id, so names, images, prices and
+ * stock always come from the catalog.
+ *
+ * Redux Toolkit Utilities Used:
+ * - createSlice(): Wishlist entries and reducers
+ * - createSelector(): Memoized lookups for the heart toggles
+ * - Thunks: Moving lines between the cart and the wishlist in one step
+ */
+
+import { createSlice, createSelector } from '@reduxjs/toolkit';
+import { addItem, removeItem, selectCartItems } from './CartSlice';
+import { isOnSale, selectProductById } from './CatalogSlice';
+
+/**
+ * Wishlist Slice Definition
+ *
+ * State shape:
+ * {
+ *   items: Array<{ id: string, quantity: number, savedAt: string }>  // most recent first
+ * }
+ */
+export const WishlistSlice = createSlice({
+  name: 'wishlist',
+
+  initialState: {
+    items: [],
+  },
+
+  reducers: {
+    /**
+     * Add to Wishlist Reducer
+     *
+     * Adds a plant, or updates its saved quantity when it is already there
+     *
+     * @param {Object} action.payload - { id, quantity = 1, savedAt }
+     */
+    addToWishlist: {
+      reducer: (state, action) => {
+        const { id, quantity, savedAt } = action.payload;
+        const existingItem = state.items.find(item => item.id === id);
+
+        if (existingItem) {
+          existingItem.quantity = Math.max(existingItem.quantity, quantity);
+        } else {
+          state.items.unshift({ id, quantity, savedAt });
+        }
+      },
+      // The timestamp is created here so the reducer stays pure
+      prepare: ({ id, quantity = 1 }) => ({
+        payload: { id, quantity, savedAt: new Date().toISOString() },
+      }),
+    },
+
+    /**
+     * Remove from Wishlist Reducer
+     *
+     * @param {string} action.payload - Product id
+     */
+    removeFromWishlist: (state, action) => {
+      state.items = state.items.filter(item => item.id !== action.payload);
+    },
+
+    /**
+     * Hydrate Wishlist Reducer
+     *
+     * Replaces the wishlist with saved entries (another tab changed it)
+     *
+     * @param {Array<Object>} action.payload - Saved entries
+     */
+    hydrateWishlist: (state, action) => {
+      state.items = action.payload;
+    },
+  },
+});
+
+export const { addToWishlist, removeFromWishlist, hydrateWishlist } = WishlistSlice.actions;
+
+/**
+ * Wishlist Selectors
+ */
+export const selectWishlistItems = state => state.wishlist.items;
+export const selectWishlistCount = state => state.wishlist.items.length;
+
+/**
+ * Select Wishlisted Ids
+ *
+ * @returns {Set<string>} Ids of wishlisted products (for the heart toggles)
+ */
+export const selectWishlistIds = createSelector(
+  [selectWishlistItems],
+  items => new Set(items.map(item => item.id))
+);
+
+/**
+ * Toggle Wishlist Thunk
+ *
+ * Hearts or un-hearts a plant
+ *
+ * @param {string} id - Product id
+ */
+export const toggleWishlistItem = (id) => (dispatch, getState) => {
+  if (selectWishlistIds(getState()).has(id)) {
+    dispatch(removeFromWishlist(id));
+  } else {
+    dispatch(addToWishlist({ id }));
+  }
+};
+
+/**
+ * Save for Later Thunk
+ *
+ * Moves a cart line to the wishlist, keeping its quantity
+ *
+ * @param {string} id - Product id of the cart line
+ */
+export const saveForLater = (id) => (dispatch, getState) => {
+  const line = selectCartItems(getState()).find(item => item.id === id);
+  if (!line) {
+    return;
+  }
+
+  dispatch(addToWishlist({ id, quantity: line.quantity }));
+  dispatch(removeItem(id, 'saved-for-later'));
+};
+
+/**
+ * Move to Cart Thunk
+ *
+ * Moves a wishlist entry back into the cart with its saved quantity
+ * (limited by stock, see CartSlice.js). The entry stays on the
+ * wishlist when nothing could be added, e.g. the plant is sold out.
+ *
+ * @param {string} id - Product id
+ * @returns {boolean} True when the plant was added to the cart
+ */
+export const moveToCart = (id) => (dispatch, getState) => {
+  const state = getState();
+  const product = selectProductById(state, id);
+  const entry = selectWishlistItems(state).find(item => item.id === id);
+  if (!isOnSale(product) || !entry) {
+    return false;
+  }
+
+  const cartBefore = selectCartItems(state);
+  dispatch(addItem({
+    id: product.id,
+    name: product.name,
+    image: product.image,
+    description: product.description,
+    price: product.price,
+    quantity: entry.quantity,
+    stock: product.stock,
+  }));
+
+  const added = selectCartItems(getState()) !== cartBefore;
+  if (added) {
+    dispatch(removeFromWishlist(id));
+  }
+  return added;
+};
+
+export default WishlistSlice.reducer;
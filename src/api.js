@@ -0,0 +1,276 @@
+/**
+ * API - Data Access for the Catalog, Carts and Orders
+ *
+ * One interface, two implementations, so the rest of the app does not
+ * depend on where the data comes from:
+ * - createMockApi(): data seeded from data/plants.json, with catalog edits
+ *   saved in this browser. Used by default, so the static GitHub Pages
+ *   build needs no server.
+ * - createHttpApi(): a REST backend. Set VITE_API_MODE=http (and
+ *   optionally VITE_API_URL) at build time. `npm run dev` serves a
+ *   stand-in backend at <base>/api (see mockServer.js).
+ *
+ * The API is handed to thunks as the thunk middleware's extra argument
+ * (see store.js): createAsyncThunk('...', (arg, { extra: { api } }) => api.fetchCatalog()).
+ *
+ * Interface (every method returns a Promise):
+ * - fetchCatalog()                 -> { products, categories, attributes, careLevels }
+ * - fetchCart(cartId)              -> { id, items, version }   (version 0 for a new cart)
+ * - saveCart(cartId, { items, version })
+ *                                  -> { id, items, version: version + 1 }
+ *                                     Rejects with a 409 ApiError whose `details` is the
+ *                                     current cart when `version` is out of date
+ * - fetchOrders(userId)            -> Array<Order> placed by that account, newest first
+ * - createOrder(order)             -> Order as stored. Takes the ordered quantities off the
+ *                                     products' stock; rejects with a 409 ApiError whose
+ *                                     `details` is [{ id, stock }] when there is not enough
+ * - createProduct(product)         -> Product as stored (409 when the id is taken)
+ * - updateProduct(id, product)     -> Product as stored (404 when there is no such product)
+ * - deleteProduct(id)              -> { id }
+ * - importProducts(products)       -> Array<Product>, the whole catalog after adding new
+ *                                     and replacing existing products (by id)
+ *   Invalid products are rejected with a 400 ApiError: `details` holds the field errors
+ *   (see catalogValidation.js), or for imports [{ index, id, errors }]
+ *
+ * REST routes used by the HTTP adapter (and served by mockServer.js):
+ *   GET /catalog, GET /carts/:id, PUT /carts/:id, GET /orders?userId=, POST /orders,
+ *   POST /products, PUT /products/:id, DELETE /products/:id, POST /products/import
+ * Errors are returned as { error: string, details?: any } with a 4xx/5xx status.
+ */
+
+import catalogData from './data/plants.json';
+import { validateImport, validateProduct } from './catalogValidation';
+import { createPersistedStorage } from './persistence';
+
+/**
+ * API Error
+ *
+ * Thrown (as a rejected promise) by both adapters
+ *
+ * @property {number} status - HTTP status (0 when the server could not be reached)
+ * @property {*} details - Extra data from the server, e.g. the current cart on a conflict
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, details = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Create Mock API
+ *
+ * Keeps carts and orders in memory. Catalog changes made in the admin
+ * screens are saved in `storage` as well, so they survive a reload (in
+ * Node, e.g. mockServer.js, there is no localStorage and they last as
+ * long as the process). Every result is a copy, so callers can never
+ * change the stored data by accident.
+ *
+ * @param {Object} [options] - Mock options
+ * @param {Object} [options.catalog] - Catalog data (defaults to data/plants.json)
+ * @param {number} [options.latencyMs=0] - Simulated network delay
+ * @param {Storage} [options.storage] - Where catalog changes are kept (defaults to localStorage)
+ * @returns {Object} API implementing the interface above
+ */
+export const createMockApi = ({ catalog = catalogData, latencyMs = 0, storage } = {}) => {
+  const carts = new Map();
+  const orders = [];
+
+  const catalogStorage = createPersistedStorage({
+    key: 'paradise-nursery:mock-catalog',
+    version: 1,
+    throttleMs: 0,
+    maxBytes: 1024 * 1024,
+    validate: data => Array.isArray(data?.products),
+    storage,
+  });
+
+  // Only the products can be edited; categories, attributes and care levels come from the seed
+  const storedCatalog = { ...structuredClone(catalog), ...catalogStorage.load() };
+
+  const saveCatalog = () => catalogStorage.save({ products: storedCatalog.products });
+
+  const respond = (value) => new Promise(resolve => {
+    setTimeout(() => resolve(structuredClone(value)), latencyMs);
+  });
+
+  const fail = (message, status, details) => new Promise((resolve, reject) => {
+    setTimeout(() => reject(new ApiError(message, { status, details: structuredClone(details) })), latencyMs);
+  });
+
+  const getCart = (cartId) => carts.get(cartId) ?? { id: cartId, items: [], version: 0 };
+
+  const findProductIndex = (id) => storedCatalog.products.findIndex(product => product.id === id);
+
+  return {
+    fetchCatalog: () => respond(storedCatalog),
+
+    fetchCart: (cartId) => respond(getCart(cartId)),
+
+    saveCart: (cartId, { items, version }) => {
+      const current = getCart(cartId);
+      if (!Array.isArray(items)) {
+        return fail('Cart items must be an array.', 400);
+      }
+      if (version !== current.version) {
+        return fail('The cart was changed somewhere else.', 409, current);
+      }
+      const saved = { id: cartId, items: structuredClone(items), version: current.version + 1 };
+      carts.set(cartId, saved);
+      return respond(saved);
+    },
+
+    fetchOrders: (userId) => respond(orders.filter(order => order.userId === userId)),
+
+    createOrder: (order) => {
+      if (!order?.orderNumber || !Array.isArray(order.items) || order.items.length === 0) {
+        return fail('An order needs an order number and at least one item.', 400);
+      }
+
+      // Products with an unknown stock (or no longer in the catalog) are not limited
+      const lines = order.items.map(item => ({ item, product: storedCatalog.products[findProductIndex(item.id)] }));
+      const shortages = lines
+        .filter(({ item, product }) => typeof product?.stock === 'number' && item.quantity > product.stock)
+        .map(({ product }) => ({ id: product.id, stock: product.stock }));
+      if (shortages.length > 0) {
+        return fail('Some plants in your order are no longer in stock in that quantity.', 409, shortages);
+      }
+
+      lines.forEach(({ item, product }) => {
+        if (typeof product?.stock === 'number') {
+          product.stock -= item.quantity;
+        }
+      });
+      saveCatalog();
+      orders.unshift(structuredClone(order));
+      return respond(order);
+    },
+
+    createProduct: (product) => {
+      if (findProductIndex(product?.id) !== -1) {
+        return fail('Another plant already uses this id.', 409);
+      }
+      const errors = validateProduct(product ?? {}, storedCatalog);
+      if (Object.keys(errors).length > 0) {
+        return fail('Please correct the highlighted fields.', 400, errors);
+      }
+      storedCatalog.products.push(structuredClone(product));
+      saveCatalog();
+      return respond(product);
+    },
+
+    updateProduct: (id, product) => {
+      const index = findProductIndex(id);
+      if (index === -1) {
+        return fail('This plant no longer exists.', 404);
+      }
+      const errors = validateProduct({ ...product, id }, storedCatalog);
+      if (Object.keys(errors).length > 0) {
+        return fail('Please correct the highlighted fields.', 400, errors);
+      }
+      storedCatalog.products[index] = structuredClone({ ...product, id });
+      saveCatalog();
+      return respond(storedCatalog.products[index]);
+    },
+
+    deleteProduct: (id) => {
+      const index = findProductIndex(id);
+      if (index === -1) {
+        return fail('This plant no longer exists.', 404);
+      }
+      storedCatalog.products.splice(index, 1);
+      saveCatalog();
+      return respond({ id });
+    },
+
+    importProducts: (products) => {
+      if (!Array.isArray(products) || products.length === 0) {
+        return fail('The import has no plants in it.', 400);
+      }
+      const problems = validateImport(products, storedCatalog);
+      if (problems.length > 0) {
+        return fail(`${problems.length} of the imported plants are not valid.`, 400, problems);
+      }
+      products.forEach((product) => {
+        const index = findProductIndex(product.id);
+        if (index === -1) {
+          storedCatalog.products.push(structuredClone(product));
+        } else {
+          storedCatalog.products[index] = structuredClone(product);
+        }
+      });
+      saveCatalog();
+      return respond(storedCatalog.products);
+    },
+  };
+};
+
+/**
+ * Create HTTP API
+ *
+ * @param {Object} options - HTTP options
+ * @param {string} options.baseUrl - URL the REST routes are relative to (no trailing slash)
+ * @param {Function} [options.fetch] - fetch implementation (defaults to the browser's)
+ * @returns {Object} API implementing the interface above
+ */
+export const createHttpApi = ({ baseUrl, fetch: fetchImpl = (...args) => globalThis.fetch(...args) }) => {
+  /**
+   * Request
+   *
+   * @param {string} path - Route, e.g. "/catalog"
+   * @param {Object} [options] - { method, body }
+   * @returns {Promise<*>} Parsed JSON response
+   */
+  const request = async (path, { method = 'GET', body } = {}) => {
+    let response;
+    try {
+      response = await fetchImpl(`${baseUrl}${path}`, {
+        method,
+        headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch {
+      throw new ApiError('Could not reach the server. Please check your connection and try again.');
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new ApiError(data?.error ?? `The server responded with an error (${response.status}).`, {
+        status: response.status,
+        details: data?.details ?? null,
+      });
+    }
+    return data;
+  };
+
+  return {
+    fetchCatalog: () => request('/catalog'),
+    fetchCart: (cartId) => request(`/carts/${encodeURIComponent(cartId)}`),
+    saveCart: (cartId, cart) => request(`/carts/${encodeURIComponent(cartId)}`, { method: 'PUT', body: cart }),
+    fetchOrders: (userId) => request(`/orders?userId=${encodeURIComponent(userId)}`),
+    createOrder: (order) => request('/orders', { method: 'POST', body: order }),
+    createProduct: (product) => request('/products', { method: 'POST', body: product }),
+    updateProduct: (id, product) => request(`/products/${encodeURIComponent(id)}`, { method: 'PUT', body: product }),
+    deleteProduct: (id) => request(`/products/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+    importProducts: (products) => request('/products/import', { method: 'POST', body: products }),
+  };
+};
+
+/**
+ * Create API
+ *
+ * Picks the implementation from the build-time environment:
+ * - VITE_API_MODE: 'http' for the REST backend, anything else for the mock
+ * - VITE_API_URL: REST base URL (defaults to <base>/api, served by `npm run dev`)
+ * - VITE_MOCK_LATENCY: simulated delay of the mock, in ms (to try loading states)
+ *
+ * @returns {Object} The API the store hands to thunks
+ */
+export const createApi = () => {
+  if (import.meta.env.VITE_API_MODE === 'http') {
+    return createHttpApi({ baseUrl: import.meta.env.VITE_API_URL ?? `${import.meta.env.BASE_URL}api` });
+  }
+  return createMockApi({ latencyMs: Number(import.meta.env.VITE_MOCK_LATENCY ?? 0) });
+};
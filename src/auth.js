@@ -0,0 +1,285 @@
+/**
+ * Auth - Pluggable Authentication Provider
+ *
+ * Accounts, sessions and profiles sit behind one small interface, so a
+ * real identity service can replace the local mock without changing the
+ * auth slice or the components:
+ * - createMockAuthProvider(): accounts kept in this browser's localStorage.
+ *   Used by default; good enough to try the account features, but it
+ *   is not secure (anyone with access to the browser can read it).
+ *
+ * The provider is handed to thunks next to the API, as the thunk
+ * middleware's extra argument (see store.js):
+ * createAsyncThunk('...', (arg, { extra: { auth } }) => auth.signIn(arg)).
+ *
+ * Interface (every method returns a Promise and rejects with an AuthError;
+ * a `code` names the message to show for it, see i18n.js):
+ * - signUp({ name, email, password })      -> { token, user }   (409 when the email is taken)
+ * - signIn({ email, password })            -> { token, user }   (401 when the details are wrong)
+ * - signOut(token)                         -> undefined
+ * - getSession(token)                      -> user              (401 when the session is over)
+ * - updateProfile(token, { name, addresses, defaultAddressId })
+ *                                          -> user
+ *
+ * User shape:
+ * { id, name, email, role: 'customer' | 'admin', addresses: Array<Address & { id }>, defaultAddressId: string | null }
+ * (Address as in checkoutValidation.js). Admins can manage the catalog (see AdminCatalog.jsx).
+ */
+
+import { nanoid } from '@reduxjs/toolkit';
+import { createPersistedStorage } from './persistence';
+
+/**
+ * Auth Error
+ *
+ * @property {number} status - HTTP-like status (400 invalid, 401 signed out, 409 conflict, 503 unavailable)
+ * @property {string|null} code - Message id for the error, e.g. "auth.error.emailTaken"
+ */
+export class AuthError extends Error {
+  constructor(message, { status = 400, code = null } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Admin Email of the Mock Provider
+ *
+ * The mock creates this account itself when it is given an admin
+ * password (VITE_MOCK_ADMIN_PASSWORD, see createAuthProvider). Signing
+ * up never makes an admin, whatever the email.
+ */
+export const MOCK_ADMIN_EMAIL = 'admin@paradise-nursery.test';
+
+/**
+ * Normalize Email
+ *
+ * Emails are compared without case or surrounding spaces
+ *
+ * @param {string} email - Email as typed
+ * @returns {string} Normalized email
+ */
+const normalizeEmail = email => String(email ?? '').trim().toLowerCase();
+
+/**
+ * Hash Password
+ *
+ * Salted SHA-256, so the mock never stores passwords as typed.
+ * Browsers only offer crypto.subtle on secure pages (HTTPS or
+ * localhost), so e.g. `vite preview --host` opened over the local
+ * network gets an AuthError instead of a TypeError.
+ *
+ * @param {string} password - Password as typed
+ * @param {string} salt - Per-account salt
+ * @returns {Promise<string>} Hex digest
+ */
+const hashPassword = async (password, salt) => {
+  if (!globalThis.crypto?.subtle) {
+    throw new AuthError('Accounts need a secure connection. Open the shop over HTTPS or on localhost.', {
+      status: 503,
+      code: 'auth.error.insecureContext',
+    });
+  }
+  const bytes = new TextEncoder().encode(`${salt}:${password}`);
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Create Mock Auth Provider
+ *
+ * @param {Object} [options] - Mock options
+ * @param {Storage} [options.storage] - Where accounts and sessions are kept (defaults to localStorage)
+ * @param {number} [options.latencyMs=0] - Simulated network delay
+ * @param {{email: string, password: string}|null} [options.admin] - Admin account to create
+ *   (or reset to this password); none when null
+ * @returns {Object} Auth provider implementing the interface above
+ */
+export const createMockAuthProvider = ({ storage, latencyMs = 0, admin = null } = {}) => {
+  const db = createPersistedStorage({
+    key: 'paradise-nursery:accounts',
+    version: 1,
+    throttleMs: 0,
+    validate: data => Array.isArray(data?.accounts) && data.sessions !== null && typeof data.sessions === 'object',
+    storage,
+  });
+
+  // Kept in memory as well, so the mock also works without localStorage
+  let data = db.load() ?? { accounts: [], sessions: {} };
+
+  const read = () => {
+    data = db.load() ?? data;
+    return data;
+  };
+
+  const write = () => {
+    db.save(data);
+    db.flush();
+  };
+
+  /**
+   * Public User
+   *
+   * @param {Object} account - Stored account
+   * @returns {Object} The account without its password hash and salt
+   */
+  const toUser = ({ id, name, email, role, addresses, defaultAddressId }) => structuredClone({
+    id,
+    name,
+    email,
+    role: role ?? 'customer',
+    addresses,
+    defaultAddressId,
+  });
+
+  /**
+   * Create the Admin Account
+   *
+   * An account someone already signed up with under the admin email is
+   * replaced, so it cannot be used to reach the admin screens
+   */
+  const createAdmin = async () => {
+    if (!admin) {
+      return;
+    }
+    const email = normalizeEmail(admin.email);
+    const existing = read().accounts.find(account => account.email === email);
+    if (existing?.role === 'admin' && existing.passwordHash === await hashPassword(admin.password, existing.salt)) {
+      return;
+    }
+
+    const salt = nanoid();
+    const passwordHash = await hashPassword(admin.password, salt);
+    data.accounts = data.accounts.filter(account => account !== existing);
+    data.sessions = Object.fromEntries(
+      Object.entries(data.sessions).filter(([, accountId]) => accountId !== existing?.id)
+    );
+    data.accounts.push({
+      id: nanoid(),
+      name: 'Admin',
+      email,
+      role: 'admin',
+      salt,
+      passwordHash,
+      addresses: [],
+      defaultAddressId: null,
+    });
+    write();
+  };
+
+  // A failed admin setup (e.g. no crypto.subtle) must not fail every other call
+  const adminReady = createAdmin().catch(() => {});
+
+  const delay = async () => {
+    await adminReady;
+    await new Promise(resolve => setTimeout(resolve, latencyMs));
+  };
+
+  const findSessionAccount = (token) => {
+    const { accounts, sessions } = read();
+    const account = accounts.find(candidate => candidate.id === sessions[token]);
+    if (!account) {
+      throw new AuthError('Your session has ended. Please sign in again.', { status: 401, code: 'auth.error.sessionEnded' });
+    }
+    return account;
+  };
+
+  const startSession = (account) => {
+    const token = nanoid(32);
+    data.sessions[token] = account.id;
+    write();
+    return { token, user: toUser(account) };
+  };
+
+  return {
+    signUp: async ({ name, email, password }) => {
+      await delay();
+      const { accounts } = read();
+      const normalizedEmail = normalizeEmail(email);
+      if (!String(name ?? '').trim() || !normalizedEmail || !password) {
+        throw new AuthError('Please enter your name, email and a password.', { code: 'auth.error.missingDetails' });
+      }
+      if (accounts.some(account => account.email === normalizedEmail)) {
+        throw new AuthError('An account with this email already exists. Please sign in instead.', {
+          status: 409,
+          code: 'auth.error.emailTaken',
+        });
+      }
+
+      const salt = nanoid();
+      const account = {
+        id: nanoid(),
+        name: name.trim(),
+        email: normalizedEmail,
+        salt,
+        passwordHash: await hashPassword(password, salt),
+        role: 'customer',
+        addresses: [],
+        defaultAddressId: null,
+      };
+      accounts.push(account);
+      return startSession(account);
+    },
+
+    signIn: async ({ email, password }) => {
+      await delay();
+      const account = read().accounts.find(candidate => candidate.email === normalizeEmail(email));
+      if (!account || account.passwordHash !== await hashPassword(password ?? '', account.salt)) {
+        throw new AuthError('That email and password do not match an account.', { status: 401, code: 'auth.error.wrongDetails' });
+      }
+      return startSession(account);
+    },
+
+    signOut: async (token) => {
+      await delay();
+      delete read().sessions[token];
+      write();
+    },
+
+    getSession: async (token) => {
+      await delay();
+      return toUser(findSessionAccount(token));
+    },
+
+    updateProfile: async (token, changes) => {
+      await delay();
+      const account = findSessionAccount(token);
+      if (changes.name !== undefined) {
+        account.name = String(changes.name).trim() || account.name;
+      }
+      if (changes.addresses !== undefined) {
+        account.addresses = structuredClone(changes.addresses);
+      }
+      if (changes.defaultAddressId !== undefined) {
+        account.defaultAddressId = changes.defaultAddressId;
+      }
+      if (!account.addresses.some(address => address.id === account.defaultAddressId)) {
+        account.defaultAddressId = account.addresses[0]?.id ?? null;
+      }
+      write();
+      return toUser(account);
+    },
+  };
+};
+
+/**
+ * Create Auth Provider
+ *
+ * Only the local mock exists for now; a provider for a real identity
+ * service would be chosen here (like createApi in api.js)
+ * - VITE_MOCK_LATENCY: simulated delay of the mock, in ms
+ * - VITE_MOCK_ADMIN_PASSWORD: creates the admin account (MOCK_ADMIN_EMAIL)
+ *   with this password. It ends up in the built JavaScript, so only set it
+ *   for local demos, never for a public build.
+ *
+ * @returns {Object} The auth provider the store hands to thunks
+ */
+export const createAuthProvider = () => {
+  const adminPassword = import.meta.env.VITE_MOCK_ADMIN_PASSWORD;
+  return createMockAuthProvider({
+    latencyMs: Number(import.meta.env.VITE_MOCK_LATENCY ?? 0),
+    admin: adminPassword ? { email: MOCK_ADMIN_EMAIL, password: adminPassword } : null,
+  });
+};
@@ -0,0 +1,70 @@
+/**
+ * Auth Persistence - Stay Signed In Across Visits and Tabs
+ *
+ * Saves the session token (never the password or profile) to
+ * localStorage, restores the session when the app starts and follows
+ * sign-ins and sign-outs made in other tabs.
+ *
+ * Schema Versions:
+ * - v1: { token: string | null }
+ *
+ * Usage (see store.js):
+ * const store = configureStore({ reducer, preloadedState: { auth: loadSession() } });
+ * watchSession(store);
+ */
+
+import { createPersistedStorage, watchSlice } from './persistence';
+import { AuthSlice, restoreSession, selectSessionToken } from './AuthSlice';
+
+/**
+ * Current Session Schema Version
+ */
+export const SESSION_SCHEMA_VERSION = 1;
+
+/**
+ * Session Storage
+ */
+const tokenStorage = createPersistedStorage({
+  key: 'paradise-nursery:session',
+  version: SESSION_SCHEMA_VERSION,
+  throttleMs: 0,
+  validate: data => data?.token === null || typeof data?.token === 'string',
+});
+
+/**
+ * Load Session
+ *
+ * @returns {Object|undefined} Auth state holding the saved token (still to
+ *   be checked, see watchSession), or undefined when signed out
+ */
+export const loadSession = () => {
+  const token = tokenStorage.load()?.token;
+  return token ? { ...AuthSlice.getInitialState(), token, restoring: true } : undefined;
+};
+
+/**
+ * Watch Session
+ *
+ * Checks the saved session with the auth provider, saves the token
+ * whenever it changes and applies sign-ins and sign-outs from other tabs
+ *
+ * @param {Object} store - Redux store with an `auth` slice
+ * @returns {Function} Function that disconnects the store from storage
+ */
+export const watchSession = (store) => {
+  const token = selectSessionToken(store.getState());
+  if (token) {
+    store.dispatch(restoreSession(token));
+  }
+
+  return watchSlice(store, {
+    storage: tokenStorage,
+    select: selectSessionToken,
+    toData: current => ({ token: current }),
+    // Another tab signed in or out: check its session here too
+    hydrate: (data) => {
+      const saved = data?.token ?? null;
+      return saved !== selectSessionToken(store.getState()) ? restoreSession(saved) : null;
+    },
+  });
+};
@@ -0,0 +1,63 @@
+/**
+ * Auth Validation - Pure Validation Rules for the Sign-In and Sign-Up Forms
+ *
+ * Like checkoutValidation.js, each validator returns an errors object
+ * keyed by field name; an empty object means the form is valid. Errors
+ * are message descriptors ({ id, values }, see i18n.js).
+ */
+
+import { EMAIL_PATTERN } from './checkoutValidation';
+
+/**
+ * Shortest Password Accepted on Sign-Up
+ */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Validate Sign-In
+ *
+ * @param {Object} values - { email, password }
+ * @returns {Object<string, Object>} Error message per invalid field
+ */
+export const validateSignIn = (values) => {
+  const errors = {};
+
+  if (!EMAIL_PATTERN.test((values.email ?? '').trim())) {
+    errors.email = { id: 'signIn.error.email' };
+  }
+
+  if (!values.password) {
+    errors.password = { id: 'signIn.error.password' };
+  }
+
+  return errors;
+};
+
+/**
+ * Validate Sign-Up
+ *
+ * Rules:
+ * - name is required
+ * - email must look like an email address
+ * - password needs at least MIN_PASSWORD_LENGTH characters
+ *
+ * @param {Object} values - { name, email, password }
+ * @returns {Object<string, Object>} Error message per invalid field
+ */
+export const validateSignUp = (values) => {
+  const errors = {};
+
+  if (!(values.name ?? '').trim()) {
+    errors.name = { id: 'signUp.error.name' };
+  }
+
+  if (!EMAIL_PATTERN.test((values.email ?? '').trim())) {
+    errors.email = { id: 'address.error.emailInvalid' };
+  }
+
+  if ((values.password ?? '').length < MIN_PASSWORD_LENGTH) {
+    errors.password = { id: 'signUp.error.password', values: { min: MIN_PASSWORD_LENGTH } };
+  }
+
+  return errors;
+};
@@ -0,0 +1,86 @@
+/**
+ * Cart Persistence - Keep the Cart Across Reloads and Tabs
+ *
+ * Saves the `cart` slice to localStorage and restores it when the app starts,
+ * using the versioned storage helper from persistence.js.
+ *
+ * Schema Versions:
+ * - v1: lines keyed by plant name with "$15"-style cost strings
+ * - v2: lines keyed by catalog product id with { amount, currency } prices
+ *
+ * Usage (see store.js):
+ * const store = configureStore({ reducer, preloadedState: { cart: loadCart() } });
+ * watchCart(store);
+ */
+
+import { createPersistedStorage, watchSlice } from './persistence';
+import { CartSlice, hydrateCart, migrateLegacyCartItems, selectCartItems } from './CartSlice';
+import { createHistory } from './undoable';
+
+/**
+ * Current Cart Schema Version
+ */
+export const CART_SCHEMA_VERSION = 2;
+
+/**
+ * Is Valid Cart Line
+ *
+ * @param {Object} item - Saved cart line
+ * @returns {boolean} True when the line has everything the cart needs to render it
+ */
+const isValidCartLine = (item) =>
+  item !== null
+  && typeof item === 'object'
+  && typeof item.id === 'string'
+  && typeof item.name === 'string'
+  && Number.isInteger(item.quantity)
+  && item.quantity > 0
+  && Number.isInteger(item.price?.amount)
+  && typeof item.price?.currency === 'string';
+
+/**
+ * Cart Storage
+ *
+ * One localStorage key holding { version, data: { items } }
+ */
+const cartStorage = createPersistedStorage({
+  key: 'paradise-nursery:cart',
+  version: CART_SCHEMA_VERSION,
+  migrations: {
+    // v1 -> v2: key lines by product id and convert cost strings to prices
+    2: data => ({ items: migrateLegacyCartItems(data.items) }),
+  },
+  validate: data => Array.isArray(data?.items) && data.items.every(isValidCartLine),
+});
+
+/**
+ * Load Cart
+ *
+ * Only the items are saved; the rest of the cart state (and the undo
+ * history) starts fresh.
+ *
+ * @returns {Object|undefined} Cart state with the saved items, or undefined
+ *   (the slice's empty initial state is used) when nothing usable is stored
+ */
+export const loadCart = () => {
+  const data = cartStorage.load();
+  return data && createHistory({ ...CartSlice.getInitialState(), items: data.items });
+};
+
+/**
+ * Watch Cart
+ *
+ * Connects a store to cart storage:
+ * 1. Saves the cart (throttled) whenever it changes
+ * 2. Flushes a pending save when the page is being hidden or closed
+ * 3. Applies cart changes made in other tabs
+ *
+ * @param {Object} store - Redux store with a `cart` slice
+ * @returns {Function} Function that disconnects the store from storage
+ */
+export const watchCart = (store) => watchSlice(store, {
+  storage: cartStorage,
+  select: selectCartItems,
+  toData: items => ({ items }),
+  hydrate: data => hydrateCart(data?.items ?? []),
+});
@@ -0,0 +1,273 @@
+/**
+ * Cart Sync - Mirror the Cart to the Backend
+ *
+ * Redux middleware that keeps the cart of a signed-in shopper in sync
+ * with the server cart (api.js: fetchCart / saveCart):
+ *
+ * - Optimistic updates: cart reducers run locally first, so the UI
+ *   updates immediately; the new cart is saved in the background
+ *   (one request at a time; changes made meanwhile are sent next).
+ * - Rollback: when the server rejects a change, the cart goes back to
+ *   the last version the server accepted and a notification explains why.
+ * - Conflicts: every save sends the server version it is based on. When
+ *   another device saved first (409), the local changes not yet saved
+ *   are replayed on top of the server's cart and saved again, so edits
+ *   from both devices are kept.
+ * - Merge on sign-in: startCartSync(cartId) loads the account cart and
+ *   merges the guest cart into it (see mergeCartItems).
+ * - Offline: network errors keep the local cart; it is saved with the
+ *   next change.
+ *
+ * The middleware receives the API explicitly, so it can be tested
+ * against the mock API or the stand-in server (mockServer.js):
+ * configureStore({ reducer, middleware: getDefault => getDefault().concat(createCartSyncMiddleware({ api })) });
+ */
+
+import {
+  addItem,
+  CartSlice,
+  getMaxLineQuantity,
+  hydrateCart,
+  rebaseCart,
+  removeItem,
+  selectCartItems,
+  updateQuantity,
+} from './CartSlice';
+import { selectStockLevels } from './CatalogSlice';
+import {
+  cartSyncFailed,
+  cartSyncSaving,
+  cartSyncSucceeded,
+  selectCartSyncId,
+  startCartSync,
+  stopCartSync,
+} from './CartSyncSlice';
+import { notify } from './NotificationsSlice';
+import { serverMessage } from './i18n';
+
+/**
+ * Conflicts Resolved in a Row Before Giving Up
+ *
+ * After that the server's cart is taken as it is
+ */
+const MAX_CONFLICT_RETRIES = 3;
+
+/**
+ * Same Items
+ *
+ * @param {Array<Object>} a - Cart lines
+ * @param {Array<Object>} b - Cart lines
+ * @returns {boolean} True when both hold the same products in the same quantities and order
+ */
+const sameItems = (a, b) =>
+  a.length === b.length && a.every((item, index) => item.id === b[index].id && item.quantity === b[index].quantity);
+
+/**
+ * Merge Cart Items
+ *
+ * Merges the local (guest) cart into the account cart on sign-in.
+ * A product in both keeps the larger quantity (not the sum), so signing
+ * in again on the same device never doubles the cart. Quantities stay
+ * within the stock.
+ *
+ * @param {Array<Object>} accountItems - Lines of the server cart
+ * @param {Array<Object>} localItems - Lines of the local cart
+ * @param {Object<string, number>} stockLevels - Units in stock by product id
+ * @returns {Array<Object>} Account lines first, then lines only in the local cart
+ */
+export const mergeCartItems = (accountItems, localItems, stockLevels) => {
+  const merged = accountItems.map(item => ({ ...item }));
+
+  localItems.forEach((line) => {
+    const existing = merged.find(item => item.id === line.id);
+    if (existing) {
+      existing.quantity = Math.max(existing.quantity, line.quantity);
+    } else {
+      merged.push({ ...line });
+    }
+  });
+
+  return merged
+    .map(item => ({ ...item, quantity: Math.min(item.quantity, getMaxLineQuantity(stockLevels[item.id])) }))
+    .filter(item => item.quantity > 0);
+};
+
+/**
+ * Replay Changes
+ *
+ * Applies cart actions to a list of lines with the cart reducer itself,
+ * so a rebased change behaves exactly like the original one
+ *
+ * @param {Array<Object>} items - Starting lines (the server's cart)
+ * @param {Array<Object>} changes - Cart actions to apply in order
+ * @returns {Array<Object>} Resulting lines
+ */
+const replayChanges = (items, changes) =>
+  changes.reduce(
+    (state, change) => CartSlice.reducer(state, change),
+    { ...CartSlice.getInitialState(), items }
+  ).items;
+
+/**
+ * Line Changes
+ *
+ * Changes to single lines are replayed as they are when resolving a
+ * conflict; anything else (undo, clear, stock checks, ...) is replayed
+ * as "the cart became this"
+ */
+const LINE_CHANGES = [addItem.type, updateQuantity.type, removeItem.type];
+
+/**
+ * Create Cart Sync Middleware
+ *
+ * @param {Object} options - Middleware options
+ * @param {Object} options.api - Data access layer (see api.js)
+ * @returns {Function} Redux middleware
+ */
+export const createCartSyncMiddleware = ({ api }) => (store) => {
+  let confirmed = null;   // { items, version } last accepted by the server
+  let pending = [];       // local changes not yet accepted, as replayable actions
+  let inFlight = false;
+  let conflicts = 0;
+
+  const isCurrent = (cartId) => selectCartSyncId(store.getState()) === cartId;
+
+  /**
+   * Flush
+   *
+   * Saves the current cart if there are unsaved changes
+   */
+  const flush = async () => {
+    const cartId = selectCartSyncId(store.getState());
+    if (!cartId || !confirmed || inFlight || pending.length === 0) {
+      return;
+    }
+
+    inFlight = true;
+    const sentCount = pending.length;
+    let sendAgain = false;
+    store.dispatch(cartSyncSaving());
+
+    try {
+      const saved = await api.saveCart(cartId, {
+        items: selectCartItems(store.getState()),
+        version: confirmed.version,
+      });
+      if (!isCurrent(cartId)) {
+        return;
+      }
+
+      confirmed = { items: saved.items, version: saved.version };
+      pending = pending.slice(sentCount);
+      conflicts = 0;
+      sendAgain = pending.length > 0;
+      store.dispatch(cartSyncSucceeded(saved.version));
+    } catch (error) {
+      if (!isCurrent(cartId)) {
+        return;
+      }
+
+      if (error.status === 409 && error.details) {
+        // Another device saved first: rebase the unsaved changes on its cart
+        const server = error.details;
+        confirmed = { items: server.items, version: server.version };
+        conflicts += 1;
+
+        if (conflicts <= MAX_CONFLICT_RETRIES) {
+          store.dispatch(rebaseCart(replayChanges(server.items, pending)));
+          sendAgain = true;
+        } else {
+          pending = [];
+          conflicts = 0;
+          store.dispatch(hydrateCart(server.items));
+          store.dispatch(cartSyncSucceeded(server.version));
+          store.dispatch(notify({
+            type: 'warning',
+            message: { id: 'toast.cartConflict' },
+          }));
+        }
+      } else if (!error.status) {
+        // Offline: keep the local cart and try again with the next change
+        store.dispatch(cartSyncFailed({ offline: true, message: error.message }));
+      } else {
+        // Rejected: undo the unsaved changes
+        pending = [];
+        store.dispatch(hydrateCart(confirmed.items));
+        store.dispatch(cartSyncFailed({ offline: false, message: error.message }));
+        store.dispatch(notify({
+          type: 'error',
+          message: { id: 'toast.cartChangeUndone', values: { reason: serverMessage(error.message) } },
+        }));
+      }
+    } finally {
+      inFlight = false;
+    }
+
+    if (sendAgain) {
+      flush();
+    }
+  };
+
+  /**
+   * Start
+   *
+   * Loads the server cart and merges the local cart into it
+   *
+   * @param {string} cartId - Server cart id
+   */
+  const start = async (cartId) => {
+    confirmed = null;
+    pending = [];
+    conflicts = 0;
+
+    try {
+      const server = await api.fetchCart(cartId);
+      if (!isCurrent(cartId)) {
+        return;
+      }
+
+      confirmed = { items: server.items, version: server.version };
+      const localItems = selectCartItems(store.getState());
+      const merged = mergeCartItems(server.items, localItems, selectStockLevels(store.getState()));
+
+      if (!sameItems(merged, localItems)) {
+        store.dispatch(rebaseCart(merged));
+      }
+      if (sameItems(merged, server.items)) {
+        store.dispatch(cartSyncSucceeded(server.version));
+        return;
+      }
+
+      if (server.items.length > 0 && localItems.length > 0) {
+        store.dispatch(notify({ type: 'info', message: { id: 'toast.cartMerged' } }));
+      }
+      pending = [hydrateCart(merged)];
+      flush();
+    } catch (error) {
+      if (isCurrent(cartId)) {
+        store.dispatch(cartSyncFailed({ offline: !error.status, message: error.message }));
+      }
+    }
+  };
+
+  return next => action => {
+    const itemsBefore = selectCartItems(store.getState());
+    const result = next(action);
+
+    if (startCartSync.match(action)) {
+      start(action.payload);
+    } else if (stopCartSync.match(action)) {
+      confirmed = null;
+      pending = [];
+    } else if (hydrateCart.match(action) || rebaseCart.match(action)) {
+      // Cart replaced from the server or another tab: nothing to save
+    } else if (confirmed && selectCartItems(store.getState()) !== itemsBefore) {
+      pending.push(LINE_CHANGES.includes(action.type)
+        ? action
+        : hydrateCart(selectCartItems(store.getState())));
+      flush();
+    }
+
+    return result;
+  };
+};
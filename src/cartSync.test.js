@@ -0,0 +1,142 @@
+import { configureStore } from '@reduxjs/toolkit';
+import { describe, expect, it, vi } from 'vitest';
+import cartReducer, {
+  addItem,
+  removeItem,
+  selectCanUndoCart,
+  selectCartItems,
+  undoCartChange,
+  updateQuantity,
+} from './CartSlice';
+import catalogReducer, { fetchCatalog, selectProductsOnSale } from './CatalogSlice';
+import cartSyncReducer, { selectCartSync, startCartSync } from './CartSyncSlice';
+import notificationsReducer, { selectNotifications } from './NotificationsSlice';
+import { ApiError, createMockApi } from './api';
+import { createCartSyncMiddleware } from './cartSync';
+
+const CART_ID = 'user-1';
+
+/**
+ * Store with the cart synced through the given API
+ */
+const createStore = async (api) => {
+  const store = configureStore({
+    reducer: {
+      cart: cartReducer,
+      catalog: catalogReducer,
+      cartSync: cartSyncReducer,
+      notifications: notificationsReducer,
+    },
+    middleware: getDefault => getDefault({ thunk: { extraArgument: { api } } })
+      .concat(createCartSyncMiddleware({ api })),
+  });
+  await store.dispatch(fetchCatalog());
+  return store;
+};
+
+/**
+ * Signs in and waits until the account cart is loaded
+ */
+const startSync = async (store) => {
+  store.dispatch(startCartSync(CART_ID));
+  await vi.waitFor(() => expect(selectCartSync(store.getState()).status).toBe('synced'));
+};
+
+const cartLine = (store, index) => {
+  const product = selectProductsOnSale(store.getState())[index];
+  return { id: product.id, name: product.name, price: product.price, stock: product.stock };
+};
+
+const quantities = items => items.map(item => [item.id, item.quantity]);
+
+describe('cart sync', () => {
+  it('updates the cart before the save finishes', async () => {
+    const backend = createMockApi();
+    let finishSave;
+    const api = {
+      ...backend,
+      saveCart: (...args) => new Promise((resolve) => {
+        finishSave = () => resolve(backend.saveCart(...args));
+      }),
+    };
+    const store = await createStore(api);
+    await startSync(store);
+    const line = cartLine(store, 0);
+
+    store.dispatch(addItem(line));
+
+    expect(quantities(selectCartItems(store.getState()))).toEqual([[line.id, 1]]);
+    expect(selectCartSync(store.getState()).status).toBe('saving');
+
+    finishSave();
+    await vi.waitFor(() => expect(selectCartSync(store.getState()).status).toBe('synced'));
+    expect(quantities((await backend.fetchCart(CART_ID)).items)).toEqual([[line.id, 1]]);
+  });
+
+  it('rolls back to the saved cart when the server rejects a change', async () => {
+    const backend = createMockApi();
+    let reject = false;
+    const api = {
+      ...backend,
+      saveCart: (...args) => (reject
+        ? Promise.reject(new ApiError('Not enough stock.', { status: 400 }))
+        : backend.saveCart(...args)),
+    };
+    const store = await createStore(api);
+    await startSync(store);
+    const line = cartLine(store, 0);
+    store.dispatch(addItem(line));
+    await vi.waitFor(() => expect(selectCartSync(store.getState()).version).toBe(1));
+
+    reject = true;
+    store.dispatch(updateQuantity({ id: line.id, quantity: 3 }));
+    await vi.waitFor(() => expect(selectCartSync(store.getState()).status).toBe('error'));
+
+    expect(quantities(selectCartItems(store.getState()))).toEqual([[line.id, 1]]);
+    expect(selectNotifications(store.getState())).toContainEqual(expect.objectContaining({
+      type: 'error',
+      message: expect.objectContaining({ id: 'toast.cartChangeUndone' }),
+    }));
+  });
+
+  it('replays unsaved changes on the server cart after a conflict', async () => {
+    const backend = createMockApi();
+    const phone = await createStore(backend);
+    const laptop = await createStore(backend);
+    await startSync(phone);
+    await startSync(laptop);
+    const [first, second] = [cartLine(phone, 0), cartLine(phone, 1)];
+
+    // The phone saves first, so the laptop's save is based on an old version
+    await backend.saveCart(CART_ID, { items: [{ ...first, quantity: 2 }], version: 0 });
+    laptop.dispatch(addItem(second));
+
+    await vi.waitFor(async () => expect((await backend.fetchCart(CART_ID)).version).toBe(2));
+    await vi.waitFor(() => expect(selectCartSync(laptop.getState()).status).toBe('synced'));
+
+    const expected = [[first.id, 2], [second.id, 1]];
+    expect(quantities(selectCartItems(laptop.getState()))).toEqual(expected);
+    expect(quantities((await backend.fetchCart(CART_ID)).items)).toEqual(expected);
+  });
+
+  it('does not undo into the cart from before a conflict', async () => {
+    const backend = createMockApi();
+    const store = await createStore(backend);
+    await startSync(store);
+    const [first, second] = [cartLine(store, 0), cartLine(store, 1)];
+    store.dispatch(addItem(first));
+    await vi.waitFor(() => expect(selectCartSync(store.getState()).version).toBe(1));
+
+    // Another device adds a line while this one removes its own
+    await backend.saveCart(CART_ID, { items: [{ ...first, quantity: 1 }, { ...second, quantity: 1 }], version: 1 });
+    store.dispatch(removeItem(first.id));
+    expect(selectCanUndoCart(store.getState())).toBe(true);
+    await vi.waitFor(() => expect(selectCartSync(store.getState()).version).toBe(3));
+
+    expect(quantities(selectCartItems(store.getState()))).toEqual([[second.id, 1]]);
+    expect(selectCanUndoCart(store.getState())).toBe(false);
+
+    store.dispatch(undoCartChange());
+    expect(quantities(selectCartItems(store.getState()))).toEqual([[second.id, 1]]);
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * Catalog Import/Export - Products as JSON or CSV Files
+ *
+ * Lets the merchandising team edit the catalog in a spreadsheet:
+ * - exportCatalogJson() / exportCatalogCsv() turn products into file contents
+ * - readCatalogFile() turns an uploaded .json or .csv file back into products
+ *
+ * JSON holds products exactly as stored. CSV holds one product per row
+ * with the columns below; lists (categories, attributes, gallery) are
+ * separated by "|", prices are in major units (12.50) and `on_sale` is
+ * "yes" or "no". Fields CSV has no column for (care details) are kept
+ * from the existing product with the same id.
+ *
+ * Rows are only converted here; whether a product is valid is decided by
+ * catalogValidation.js (before saving and again by the API).
+ */
+
+import { DEFAULT_CURRENCY, fromMajorUnits, toMajorUnits } from './money';
+
+/**
+ * Catalog File Error
+ *
+ * Thrown when a file cannot be read as a catalog at all
+ *
+ * @property {string} code - Message id for the error, e.g. "import.error.notJson"
+ * @property {Object} values - Values for the message
+ */
+export class CatalogFileError extends Error {
+  constructor(message, { code, values = {} }) {
+    super(message);
+    this.name = 'CatalogFileError';
+    this.code = code;
+    this.values = values;
+  }
+}
+
+/**
+ * CSV Columns in Export Order
+ *
+ * `id` is required when importing; missing columns keep the existing value
+ */
+export const CSV_COLUMNS = [
+  'id',
+  'sku',
+  'name',
+  'description',
+  'price',
+  'currency',
+  'stock',
+  'on_sale',
+  'categories',
+  'care_level',
+  'attributes',
+  'popularity',
+  'image',
+  'gallery',
+];
+
+const LIST_SEPARATOR = '|';
+
+/**
+ * Escape CSV Field
+ *
+ * Quotes fields containing commas, quotes or line breaks (RFC 4180)
+ *
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe text
+ */
+const escapeCsvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Parse CSV
+ *
+ * Handles quoted fields, doubled quotes, and \n or \r\n line endings.
+ * Blank lines are skipped.
+ *
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some(value => value !== '')) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Export Catalog as JSON
+ *
+ * @param {Array<Object>} products - Products to export
+ * @returns {string} Pretty-printed JSON: { products: [...] }
+ */
+export const exportCatalogJson = (products) => `${JSON.stringify({ products }, null, 2)}\n`;
+
+/**
+ * Export Catalog as CSV
+ *
+ * @param {Array<Object>} products - Products to export
+ * @returns {string} CSV with a header row
+ */
+export const exportCatalogCsv = (products) => {
+  const rows = products.map(product => [
+    product.id,
+    product.sku,
+    product.name,
+    product.description,
+    toMajorUnits(product.price).toFixed(2),
+    product.price.currency,
+    product.stock,
+    product.retired ? 'no' : 'yes',
+    (product.categories ?? []).join(LIST_SEPARATOR),
+    product.careLevel,
+    (product.attributes ?? []).join(LIST_SEPARATOR),
+    product.popularity,
+    product.image,
+    (product.gallery ?? []).join(LIST_SEPARATOR),
+  ]);
+
+  return `${[CSV_COLUMNS, ...rows].map(row => row.map(escapeCsvField).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Split List Field
+ *
+ * @param {string} value - "a|b|c"
+ * @returns {Array<string>} Trimmed, non-empty items
+ */
+const splitList = value => value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+
+/**
+ * Parse Number Field
+ *
+ * @param {string} value - Text from the file
+ * @returns {number} The number, or NaN (reported by the validation) when it is not one
+ */
+const parseNumber = value => (value.trim() === '' ? NaN : Number(value));
+
+/**
+ * CSV Row to Product
+ *
+ * @param {Object<string, string>} row - Field values by column name
+ * @param {Object|undefined} existing - Stored product with the same id
+ * @returns {Object} Product (possibly invalid, see catalogValidation.js)
+ */
+const rowToProduct = (row, existing) => {
+  const product = { ...existing, id: row.id.trim() };
+  const has = column => row[column] !== undefined;
+
+  ['sku', 'name', 'description', 'image'].forEach((column) => {
+    if (has(column)) {
+      product[column] = row[column].trim();
+    }
+  });
+  if (has('price') || has('currency')) {
+    const currency = (has('currency') && row.currency.trim().toUpperCase()) || existing?.price.currency || DEFAULT_CURRENCY;
+    const amount = has('price') ? parseNumber(row.price) : (existing ? toMajorUnits(existing.price) : NaN);
+    try {
+      product.price = fromMajorUnits(amount, currency);
+    } catch {
+      // Not a number, or not a currency code: left for the validation to report
+      product.price = { amount: NaN, currency };
+    }
+  }
+  if (has('stock')) {
+    product.stock = parseNumber(row.stock);
+  }
+  if (has('popularity')) {
+    product.popularity = row.popularity.trim() === '' ? 0 : parseNumber(row.popularity);
+  }
+  if (has('on_sale')) {
+    product.retired = ['no', 'false', '0'].includes(row.on_sale.trim().toLowerCase());
+  }
+  if (has('care_level')) {
+    product.careLevel = row.care_level.trim();
+  }
+  ['categories', 'attributes', 'gallery'].forEach((column) => {
+    if (has(column)) {
+      product[column] = splitList(row[column]);
+    }
+  });
+
+  // Optional fields are left out rather than stored empty
+  if (!product.retired) {
+    delete product.retired;
+  }
+  if (!product.careLevel) {
+    delete product.careLevel;
+  }
+  if (product.gallery?.length === 0) {
+    delete product.gallery;
+  }
+
+  // New products from a partial file
+  return { attributes: [], popularity: 0, ...product };
+};
+
+/**
+ * Read Catalog File
+ *
+ * @param {string} fileName - Uploaded file name (picks JSON or CSV by extension)
+ * @param {string} text - File contents
+ * @param {Object<string, Object>} existingProducts - Stored products by id
+ * @returns {Array<Object>} Products read from the file
+ * @throws {CatalogFileError} When the file cannot be read as a catalog at all
+ */
+export const readCatalogFile = (fileName, text, existingProducts) => {
+  if (/\.json$/i.test(fileName)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new CatalogFileError('This file is not valid JSON.', { code: 'import.error.notJson' });
+    }
+    const products = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(products)) {
+      throw new CatalogFileError('The JSON file needs a "products" list.', { code: 'import.error.noProducts' });
+    }
+    // Same defaults as rowToProduct; anything that isn't an object is left for the validation to report
+    return products.map(product => (
+      product && typeof product === 'object' ? { attributes: [], popularity: 0, ...product } : product
+    ));
+  }
+
+  if (/\.csv$/i.test(fileName)) {
+    const [header, ...rows] = parseCsv(text);
+    const columns = (header ?? []).map(column => column.trim().toLowerCase());
+    if (!columns.includes('id')) {
+      throw new CatalogFileError('The CSV file needs a header row with at least an "id" column.', {
+        code: 'import.error.noIdColumn',
+      });
+    }
+    const unknown = columns.filter(column => !CSV_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      throw new CatalogFileError(`Unknown CSV columns: ${unknown.join(', ')}.`, {
+        code: 'import.error.unknownColumns',
+        values: { columns: unknown.join(', '), count: unknown.length },
+      });
+    }
+    return rows.map((values) => {
+      const row = Object.fromEntries(columns.map((column, index) => [column, values[index] ?? '']));
+      return rowToProduct(row, existingProducts[row.id.trim()]);
+    });
+  }
+
+  throw new CatalogFileError('Please choose a .json or .csv file.', { code: 'import.error.fileType' });
+};
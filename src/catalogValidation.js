@@ -0,0 +1,153 @@
+/**
+ * Catalog Validation - Pure Validation Rules for Catalog Products
+ *
+ * Used by the admin screens before saving and by the mock API when a
+ * product is saved or imported, so bad data never reaches the shop.
+ * Like checkoutValidation.js, validateProduct returns an errors object
+ * keyed by field name; an empty object means the product is valid.
+ * Errors are message descriptors (see i18n.js), so they can travel
+ * through the API and still be shown in the reader's language.
+ */
+
+import { DEFAULT_CURRENCY } from './money';
+
+/**
+ * Product Id Format
+ *
+ * Lowercase words separated by single hyphens, e.g. "snake-plant";
+ * ids appear in URLs and carts, so they never change once created
+ */
+const PRODUCT_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+export const MAX_NAME_LENGTH = 80;
+export const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * Is Image URL
+ *
+ * @param {string} value - URL to check
+ * @returns {boolean} True for absolute http(s) URLs
+ */
+export const isImageUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Slugify
+ *
+ * Suggests a product id from its name ("Aloe Vera" -> "aloe-vera")
+ *
+ * @param {string} name - Product name
+ * @returns {string} Id in the PRODUCT_ID_PATTERN format
+ */
+export const slugify = (name) =>
+  name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Validate Product
+ *
+ * Rules:
+ * - id uses lowercase letters, digits and hyphens, and is unique on creation
+ * - sku and a name of at most MAX_NAME_LENGTH characters are required
+ * - description is optional, up to MAX_DESCRIPTION_LENGTH characters
+ * - price is a positive whole number of minor units ({ amount, currency }),
+ *   in the catalog currency (DEFAULT_CURRENCY): cart totals can't mix currencies
+ * - image (and any gallery image) is an absolute http(s) URL
+ * - at least one category, and only categories that exist
+ * - stock is a whole number, zero or more
+ * - careLevel and attributes, when given, must exist (attributes is a list)
+ *
+ * @param {Object} product - Product to check
+ * @param {Object} catalog - What the product must fit into
+ * @param {Array<{id: string}>} catalog.categories - Known categories
+ * @param {Array<{id: string}>} [catalog.careLevels] - Known care levels
+ * @param {Array<{id: string}>} [catalog.attributes] - Known attributes
+ * @param {Array<string>} [catalog.takenIds] - Ids already used (checked for new products)
+ * @returns {Object<string, Object>} Error message descriptor per invalid field
+ */
+export const validateProduct = (product, { categories, careLevels = [], attributes = [], takenIds = [] }) => {
+  const errors = {};
+  const text = field => (typeof product[field] === 'string' ? product[field].trim() : '');
+  const has = (list, id) => list.some(item => item.id === id);
+
+  if (!PRODUCT_ID_PATTERN.test(product.id ?? '')) {
+    errors.id = { id: 'catalog.error.idFormat' };
+  } else if (takenIds.includes(product.id)) {
+    errors.id = { id: 'catalog.error.idTaken' };
+  }
+
+  if (!text('sku')) {
+    errors.sku = { id: 'catalog.error.sku' };
+  }
+
+  if (!text('name')) {
+    errors.name = { id: 'catalog.error.nameMissing' };
+  } else if (text('name').length > MAX_NAME_LENGTH) {
+    errors.name = { id: 'catalog.error.nameLength', values: { max: MAX_NAME_LENGTH } };
+  }
+
+  if (text('description').length > MAX_DESCRIPTION_LENGTH) {
+    errors.description = { id: 'catalog.error.descriptionLength', values: { max: MAX_DESCRIPTION_LENGTH } };
+  }
+
+  if (typeof product.price?.currency === 'string' && product.price.currency !== DEFAULT_CURRENCY) {
+    errors.price = { id: 'catalog.error.currency', values: { currency: DEFAULT_CURRENCY } };
+  } else if (!Number.isInteger(product.price?.amount) || product.price.amount <= 0 || !product.price.currency) {
+    errors.price = { id: 'catalog.error.price' };
+  }
+
+  if (!isImageUrl(product.image)) {
+    errors.image = { id: 'catalog.error.image' };
+  } else if ((product.gallery ?? []).some(url => !isImageUrl(url))) {
+    errors.image = { id: 'catalog.error.gallery' };
+  }
+
+  if (!Array.isArray(product.categories) || product.categories.length === 0) {
+    errors.categories = { id: 'catalog.error.categoriesMissing' };
+  } else if (!product.categories.every(id => has(categories, id))) {
+    errors.categories = { id: 'catalog.error.categoriesUnknown' };
+  }
+
+  if (!Number.isInteger(product.stock) || product.stock < 0) {
+    errors.stock = { id: 'catalog.error.stock' };
+  }
+
+  if (product.careLevel && careLevels.length > 0 && !has(careLevels, product.careLevel)) {
+    errors.careLevel = { id: 'catalog.error.careLevel' };
+  }
+
+  if (!Array.isArray(product.attributes ?? [])) {
+    errors.attributes = { id: 'catalog.error.attributes' };
+  } else if ((product.attributes ?? []).some(id => attributes.length > 0 && !has(attributes, id))) {
+    errors.attributes = { id: 'catalog.error.attributes' };
+  }
+
+  return errors;
+};
+
+/**
+ * Validate Import
+ *
+ * Checks every product of an import; ids may repeat existing products
+ * (those are replaced) but not each other
+ *
+ * @param {Array<Object>} products - Products read from a file
+ * @param {Object} catalog - As for validateProduct (takenIds is ignored)
+ * @returns {Array<{index: number, id: string, errors: Object<string, Object>}>} One entry per invalid product
+ */
+export const validateImport = (products, catalog) => products
+  .map((product, index) => ({
+    index,
+    id: product?.id,
+    errors: validateProduct(product ?? {}, {
+      ...catalog,
+      takenIds: products.slice(0, index).map(earlier => earlier?.id),
+    }),
+  }))
+  .filter(problem => Object.keys(problem.errors).length > 0);
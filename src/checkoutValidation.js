@@ -0,0 +1,137 @@
+/**
+ * Checkout Validation - Pure Validation Rules for the Checkout Steps
+ *
+ * Each validator takes the values of one checkout step and returns an
+ * errors object keyed by field name. An empty object means the step is
+ * valid, so components can do:
+ *
+ * const errors = validateShippingAddress(address);
+ * if (Object.keys(errors).length === 0) { ...continue... }
+ *
+ * Errors are message descriptors ({ id }, see i18n.js), shown with t().
+ */
+
+import deliveryMethods from './data/deliveryMethods.json';
+import { DEFAULT_LOCALE, formatRegion } from './i18n';
+
+/**
+ * Countries We Ship To
+ *
+ * ISO 3166-1 alpha-2 code -> English name (other languages name the
+ * countries with formatRegion(), see i18n.js)
+ */
+export const SHIPPING_COUNTRIES = {
+  US: 'United States',
+  CA: 'Canada',
+  GB: 'United Kingdom',
+  FR: 'France',
+  DE: 'Germany',
+};
+
+/**
+ * Postal Code Formats by Country
+ */
+const POSTAL_CODE_PATTERNS = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[A-Za-z]\d[A-Za-z] ?\d[A-Za-z]\d$/,
+  GB: /^[A-Za-z]{1,2}\d[A-Za-z\d]? ?\d[A-Za-z]{2}$/,
+  FR: /^\d{5}$/,
+  DE: /^\d{5}$/,
+};
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,20}$/;
+
+/**
+ * Empty Shipping Address
+ *
+ * Initial values for the shipping form
+ */
+export const EMPTY_SHIPPING_ADDRESS = {
+  fullName: '',
+  email: '',
+  phone: '',
+  line1: '',
+  line2: '',
+  city: '',
+  region: '',
+  postalCode: '',
+  country: 'US',
+};
+
+/**
+ * Format Address
+ *
+ * @param {Object} address - Shipping address
+ * @param {string} [locale] - Locale the country is named in
+ * @returns {Array<string>} Address lines for display
+ */
+export const formatAddress = (address, locale = DEFAULT_LOCALE) => [
+  address.fullName,
+  address.line1,
+  address.line2,
+  [address.city, address.region, address.postalCode].filter(Boolean).join(', '),
+  formatRegion(address.country, locale),
+].filter(Boolean);
+
+/**
+ * Validate Shipping Address
+ *
+ * Rules:
+ * - fullName, email, line1, city, postalCode and country are required
+ * - email must look like an email address
+ * - phone is optional, but must look like a phone number when given
+ * - postalCode must match the format of the selected country
+ *
+ * @param {Object} address - Shipping form values
+ * @returns {Object<string, Object>} Error message per invalid field
+ */
+export const validateShippingAddress = (address) => {
+  const errors = {};
+  const value = field => (address[field] ?? '').trim();
+
+  if (!value('fullName')) {
+    errors.fullName = { id: 'address.error.fullName' };
+  }
+
+  if (!value('email')) {
+    errors.email = { id: 'address.error.emailMissing' };
+  } else if (!EMAIL_PATTERN.test(value('email'))) {
+    errors.email = { id: 'address.error.emailInvalid' };
+  }
+
+  if (value('phone') && !PHONE_PATTERN.test(value('phone'))) {
+    errors.phone = { id: 'address.error.phone' };
+  }
+
+  if (!value('line1')) {
+    errors.line1 = { id: 'address.error.line1' };
+  }
+
+  if (!value('city')) {
+    errors.city = { id: 'address.error.city' };
+  }
+
+  if (!SHIPPING_COUNTRIES[address.country]) {
+    errors.country = { id: 'address.error.country' };
+  }
+
+  if (!value('postalCode')) {
+    errors.postalCode = { id: 'address.error.postalCodeMissing' };
+  } else if (POSTAL_CODE_PATTERNS[address.country] && !POSTAL_CODE_PATTERNS[address.country].test(value('postalCode'))) {
+    errors.postalCode = { id: 'address.error.postalCodeInvalid' };
+  }
+
+  return errors;
+};
+
+/**
+ * Validate Delivery Method
+ *
+ * @param {string} deliveryMethodId - Selected delivery method id
+ * @returns {Object<string, Object>} Error message for deliveryMethod when invalid
+ */
+export const validateDeliveryMethod = (deliveryMethodId) =>
+  deliveryMethods.some(method => method.id === deliveryMethodId)
+    ? {}
+    : { deliveryMethod: { id: 'checkout.error.deliveryMethod' } };
@@ -0,0 +1,229 @@
+/**
+ * Discount Engine - Promotions and Promo Codes Applied to Cart Totals
+ *
+ * Pure functions with no Redux or React dependencies: everything they
+ * need (cart lines, catalog products, promotions, the current time) is
+ * passed in. The promotions themselves live in data/promotions.json.
+ *
+ * Promotion Types:
+ * - percentage:  `percent` off the whole order
+ * - fixed:       `amount` off the whole order (never more than the order)
+ * - buy-x-get-y: for every `buy` units of `productId`, `get` more are free
+ * - category:    `percent` off every line whose product is in `categoryId`
+ *
+ * Common Fields:
+ * - id, label: identify and describe the promotion in the breakdown
+ *   (catalogues may translate the label as "promotion.<id>", see i18n.js)
+ * - code: promo code that unlocks it (no code = applied automatically)
+ * - minSpend: { amount, currency } the subtotal must reach
+ * - startsAt / expiresAt: ISO timestamps bounding when it applies
+ *
+ * Order of Application:
+ * 1. Product and category offers, line by line
+ * 2. Order-wide percentage and fixed discounts, on what is left
+ * Minimum spend is always checked against the subtotal before discounts.
+ *
+ * Labels and promo code errors are message descriptors ({ id, values },
+ * see i18n.js), translated when they are shown.
+ */
+
+import { createMoney, multiplyMoney, sumMoney } from './money';
+
+/**
+ * Promotion Types Applied per Cart Line
+ */
+const LINE_PROMOTION_TYPES = ['buy-x-get-y', 'category'];
+
+/**
+ * Normalize a Promo Code
+ *
+ * Codes are matched case-insensitively and ignore surrounding spaces
+ *
+ * @param {string} code - Code as typed
+ * @returns {string} Upper-case, trimmed code
+ */
+export const normalizePromoCode = (code) => code.trim().toUpperCase();
+
+/**
+ * Is Promotion Active
+ *
+ * @param {Object} promotion - Promotion rule
+ * @param {Date} now - Current time
+ * @returns {boolean} True between startsAt and expiresAt (when set)
+ */
+export const isPromotionActive = (promotion, now) =>
+  (!promotion.startsAt || now >= new Date(promotion.startsAt))
+  && (!promotion.expiresAt || now <= new Date(promotion.expiresAt));
+
+/**
+ * Meets Minimum Spend
+ *
+ * @param {Object} promotion - Promotion rule
+ * @param {{amount: number, currency: string}} subtotal - Cart subtotal before discounts
+ * @returns {boolean} True when there is no minimum or the subtotal reaches it
+ */
+export const meetsMinimumSpend = (promotion, subtotal) =>
+  !promotion.minSpend || subtotal.amount >= promotion.minSpend.amount;
+
+/**
+ * Line Discount
+ *
+ * @param {Object} promotion - buy-x-get-y or category promotion
+ * @param {Object} item - Cart line
+ * @param {Object} [product] - Catalog product behind the line
+ * @param {number} remaining - Line amount left after earlier offers (minor units)
+ * @returns {number} Discount on this line in minor units
+ */
+const getLineDiscount = (promotion, item, product, remaining) => {
+  let discount = 0;
+
+  if (promotion.type === 'buy-x-get-y' && item.id === promotion.productId) {
+    const freeUnits = Math.floor(item.quantity / (promotion.buy + promotion.get)) * promotion.get;
+    discount = multiplyMoney(item.price, freeUnits).amount;
+  }
+
+  if (promotion.type === 'category' && product?.categories.includes(promotion.categoryId)) {
+    discount = multiplyMoney(createMoney(remaining, item.price.currency), promotion.percent / 100).amount;
+  }
+
+  return Math.min(discount, remaining);
+};
+
+/**
+ * Order Discount
+ *
+ * @param {Object} promotion - percentage or fixed promotion
+ * @param {{amount: number, currency: string}} remaining - Order amount left after earlier offers
+ * @returns {number} Discount in minor units
+ */
+const getOrderDiscount = (promotion, remaining) => {
+  const discount = promotion.type === 'percentage'
+    ? multiplyMoney(remaining, promotion.percent / 100).amount
+    : promotion.amount.amount;
+
+  return Math.min(discount, remaining.amount);
+};
+
+/**
+ * Promotion Label
+ *
+ * @param {Object} promotion - Promotion rule
+ * @returns {Object} Message descriptor for the breakdown (the data's label by default)
+ */
+const promotionLabel = promotion => ({
+  id: `promotion.${promotion.id}`,
+  defaultMessage: promotion.label,
+  values: {
+    rate: promotion.percent === undefined ? undefined : promotion.percent / 100,
+    amount: promotion.amount,
+    minSpend: promotion.minSpend,
+    buy: promotion.buy,
+    get: promotion.get,
+  },
+});
+
+/**
+ * Get Promotion Error
+ *
+ * Explains why a promo code cannot be used right now
+ *
+ * @param {Object} [promotion] - Promotion found for the code
+ * @param {{amount: number, currency: string}} subtotal - Cart subtotal before discounts
+ * @param {Date} now - Current time
+ * @returns {Object|null} Message descriptor for the shopper, or null when the code is usable
+ */
+const getPromotionError = (promotion, subtotal, now) => {
+  if (!promotion) {
+    return { id: 'promo.invalid' };
+  }
+  if (promotion.startsAt && now < new Date(promotion.startsAt)) {
+    return { id: 'promo.notActive' };
+  }
+  if (promotion.expiresAt && now > new Date(promotion.expiresAt)) {
+    return { id: 'promo.expired' };
+  }
+  if (!meetsMinimumSpend(promotion, subtotal)) {
+    return { id: 'promo.minSpend', values: { minSpend: promotion.minSpend } };
+  }
+  return null;
+};
+
+/**
+ * Calculate Discounts
+ *
+ * @param {Object} cart - Everything the calculation depends on
+ * @param {Array<Object>} cart.items - Cart lines ({ id, price, quantity, ... })
+ * @param {Object<string, Object>} cart.products - Catalog products by id (for categories)
+ * @param {Array<Object>} cart.promotions - Promotion rules
+ * @param {string|null} [cart.promoCode] - Promo code entered by the shopper
+ * @param {Date} cart.now - Current time
+ * @returns {{
+ *   subtotal: {amount: number, currency: string},
+ *   discounts: Array<{id: string, label: Object, code: (string|undefined), amount: {amount: number, currency: string}}>,
+ *   discountTotal: {amount: number, currency: string},
+ *   total: {amount: number, currency: string},
+ *   promoCodeError: Object|null
+ * }} Itemised discounts and totals
+ */
+export const calculateDiscounts = ({ items, products, promotions, promoCode = null, now }) => {
+  const subtotal = sumMoney(items.map(item => multiplyMoney(item.price, item.quantity)));
+  const { currency } = subtotal;
+  const code = promoCode ? normalizePromoCode(promoCode) : null;
+
+  const applicable = promotions.filter(promotion =>
+    (!promotion.code || promotion.code === code)
+    && isPromotionActive(promotion, now)
+    && meetsMinimumSpend(promotion, subtotal));
+
+  // 1. Product and category offers, line by line
+  const remainingByLine = new Map(items.map(item => [item.id, multiplyMoney(item.price, item.quantity).amount]));
+  const discounts = [];
+
+  applicable
+    .filter(promotion => LINE_PROMOTION_TYPES.includes(promotion.type))
+    .forEach(promotion => {
+      const amount = items.reduce((total, item) => {
+        const remaining = remainingByLine.get(item.id);
+        const discount = getLineDiscount(promotion, item, products[item.id], remaining);
+        remainingByLine.set(item.id, remaining - discount);
+        return total + discount;
+      }, 0);
+
+      if (amount > 0) {
+        discounts.push({ id: promotion.id, label: promotionLabel(promotion), code: promotion.code, amount: createMoney(amount, currency) });
+      }
+    });
+
+  // 2. Order-wide discounts on what is left
+  let remaining = createMoney([...remainingByLine.values()].reduce((total, amount) => total + amount, 0), currency);
+
+  applicable
+    .filter(promotion => !LINE_PROMOTION_TYPES.includes(promotion.type))
+    .forEach(promotion => {
+      const amount = getOrderDiscount(promotion, remaining);
+      if (amount > 0) {
+        remaining = createMoney(remaining.amount - amount, currency);
+        discounts.push({ id: promotion.id, label: promotionLabel(promotion), code: promotion.code, amount: createMoney(amount, currency) });
+      }
+    });
+
+  // Explain a promo code that did not end up taking anything off
+  let promoCodeError = null;
+  if (code) {
+    const promotion = promotions.find(candidate => candidate.code === code);
+    promoCodeError = getPromotionError(promotion, subtotal, now)
+      ?? (discounts.some(discount => discount.id === promotion.id)
+        ? null
+        : { id: 'promo.notApplicable' });
+  }
+
+  const discountTotal = sumMoney(discounts.map(discount => discount.amount), currency);
+
+  return {
+    subtotal,
+    discounts,
+    discountTotal,
+    total: createMoney(subtotal.amount - discountTotal.amount, currency),
+    promoCodeError,
+  };
+};
@@ -0,0 +1,217 @@
+/**
+ * Product Filters - Faceted Filtering and Sorting for the Plant Grid
+ *
+ * Filters combine across facets (AND) and within a facet as follows:
+ * - categories: product is in ANY selected category
+ * - careLevels: product has ANY selected care level
+ * - attributes: product has ALL selected attributes (low light AND pet-safe)
+ * - price: product price is within [minPrice, maxPrice] (minor units)
+ *
+ * Filter state lives in the URL so it can be bookmarked and shared:
+ *
+ *   /plants/medicinal?min=10&max=20&attr=pet-safe&sort=price-asc
+ *   /plants?cat=medicinal,aromatic-fragrant&care=easy
+ *
+ * A single selected category uses the /plants/:category path;
+ * several use the `cat` query parameter. Prices in the URL are whole
+ * currency units (dollars), prices in filter objects are minor units.
+ */
+
+import { fromMajorUnits, toMajorUnits } from './money';
+
+/**
+ * Sort Options
+ *
+ * 'featured' keeps catalog order (and the grouped-by-category view)
+ */
+export const SORT_OPTIONS = [
+  { id: 'featured', label: 'Featured' },
+  { id: 'popularity', label: 'Most popular' },
+  { id: 'price-asc', label: 'Price: low to high' },
+  { id: 'price-desc', label: 'Price: high to low' },
+  { id: 'name-asc', label: 'Name: A to Z' },
+  { id: 'name-desc', label: 'Name: Z to A' },
+];
+
+/**
+ * Empty Filters
+ */
+export const EMPTY_FILTERS = {
+  categories: [],
+  careLevels: [],
+  attributes: [],
+  minPrice: null,
+  maxPrice: null,
+  sort: 'featured',
+};
+
+/**
+ * Read a comma-separated list parameter
+ */
+const readList = (params, name) => (params.get(name) ?? '').split(',').filter(Boolean);
+
+/**
+ * Read a whole-unit price parameter as minor units
+ */
+const readPrice = (params, name, currency) => {
+  const value = Number.parseFloat(params.get(name));
+  return Number.isFinite(value) && value >= 0 ? fromMajorUnits(value, currency).amount : null;
+};
+
+/**
+ * Parse Filters from the URL
+ *
+ * @param {URLSearchParams} params - Query string parameters
+ * @param {string} [pathCategory] - Category id from /plants/:category
+ * @param {string} [currency='USD'] - Currency of catalog prices
+ * @returns {Object} Filters (same shape as EMPTY_FILTERS)
+ */
+export const parseFilters = (params, pathCategory, currency = 'USD') => {
+  const categories = readList(params, 'cat');
+  if (pathCategory && !categories.includes(pathCategory)) {
+    categories.unshift(pathCategory);
+  }
+
+  const sort = params.get('sort');
+  return {
+    categories,
+    careLevels: readList(params, 'care'),
+    attributes: readList(params, 'attr'),
+    minPrice: readPrice(params, 'min', currency),
+    maxPrice: readPrice(params, 'max', currency),
+    sort: SORT_OPTIONS.some(option => option.id === sort) ? sort : 'featured',
+  };
+};
+
+/**
+ * Serialize Filters to a URL
+ *
+ * Other query parameters (not owned by the filters) are preserved.
+ *
+ * @param {Object} filters - Filters to write
+ * @param {URLSearchParams} [currentParams] - Current query string
+ * @param {string} [currency='USD'] - Currency of catalog prices
+ * @returns {{pathname: string, search: string}} Location to navigate to
+ */
+export const serializeFilters = (filters, currentParams = new URLSearchParams(), currency = 'USD') => {
+  const params = new URLSearchParams(currentParams);
+  ['cat', 'care', 'attr', 'min', 'max', 'sort'].forEach(name => params.delete(name));
+
+  const [singleCategory] = filters.categories;
+  const pathname = filters.categories.length === 1 ? `/plants/${singleCategory}` : '/plants';
+
+  if (filters.categories.length > 1) params.set('cat', filters.categories.join(','));
+  if (filters.careLevels.length > 0) params.set('care', filters.careLevels.join(','));
+  if (filters.attributes.length > 0) params.set('attr', filters.attributes.join(','));
+  if (filters.minPrice !== null) params.set('min', String(toMajorUnits({ amount: filters.minPrice, currency })));
+  if (filters.maxPrice !== null) params.set('max', String(toMajorUnits({ amount: filters.maxPrice, currency })));
+  if (filters.sort !== 'featured') params.set('sort', filters.sort);
+
+  // Commas are valid in a query string; keep lists readable (cat=a,b)
+  const search = params.toString().replace(/%2C/g, ',');
+  return { pathname, search: search ? `?${search}` : '' };
+};
+
+/**
+ * Facet Predicates
+ *
+ * Each returns true when the product passes that facet's filter
+ */
+const FACETS = {
+  categories: (product, filters) =>
+    filters.categories.length === 0 || filters.categories.some(id => product.categories.includes(id)),
+  careLevels: (product, filters) =>
+    filters.careLevels.length === 0 || filters.careLevels.includes(product.careLevel),
+  attributes: (product, filters) =>
+    filters.attributes.every(id => (product.attributes ?? []).includes(id)),
+  price: (product, filters) =>
+    (filters.minPrice === null || product.price.amount >= filters.minPrice)
+    && (filters.maxPrice === null || product.price.amount <= filters.maxPrice),
+};
+
+/**
+ * Apply Filters
+ *
+ * @param {Array<Object>} products - Products to filter
+ * @param {Object} filters - Active filters
+ * @param {string} [exceptFacet] - Facet to ignore (used for facet counts)
+ * @returns {Array<Object>} Products that pass every (other) facet
+ */
+export const applyFilters = (products, filters, exceptFacet) =>
+  products.filter(product => Object.entries(FACETS)
+    .every(([facet, passes]) => facet === exceptFacet || passes(product, filters)));
+
+/**
+ * Compute Facet Counts
+ *
+ * For every facet value, how many products would match if that value were
+ * selected, given all the other active filters. Counts therefore update
+ * live as other facets change.
+ *
+ * @param {Array<Object>} products - Products before filtering
+ * @param {Object} filters - Active filters
+ * @param {Object} facetValues - { categories, careLevels, attributes } lists of { id }
+ * @returns {{categories: Object<string, number>, careLevels: Object<string, number>, attributes: Object<string, number>}}
+ */
+export const computeFacetCounts = (products, filters, facetValues) => {
+  const countBy = (facet, matches) => {
+    const candidates = applyFilters(products, filters, facet);
+    return Object.fromEntries(facetValues[facet].map(({ id }) => [
+      id,
+      candidates.filter(product => matches(product, id)).length,
+    ]));
+  };
+
+  return {
+    categories: countBy('categories', (product, id) => product.categories.includes(id)),
+    careLevels: countBy('careLevels', (product, id) => product.careLevel === id),
+    // Attributes combine with AND, so a count adds this attribute to the selected ones
+    attributes: countBy('attributes', (product, id) =>
+      [...filters.attributes, id].every(attribute => (product.attributes ?? []).includes(attribute))),
+  };
+};
+
+/**
+ * Get Price Bounds
+ *
+ * @param {Array<Object>} products - Catalog products
+ * @returns {{min: number, max: number}} Lowest and highest price in minor units
+ */
+export const getPriceBounds = (products) => {
+  const amounts = products.map(product => product.price.amount);
+  return amounts.length === 0
+    ? { min: 0, max: 0 }
+    : { min: Math.min(...amounts), max: Math.max(...amounts) };
+};
+
+/**
+ * Sort Products
+ *
+ * Returns a new array; the input is not modified. Ties keep their
+ * original (catalog or relevance) order.
+ *
+ * @param {Array<Object>} products - Products to sort
+ * @param {string} sort - Id from SORT_OPTIONS
+ * @returns {Array<Object>} Sorted products
+ */
+export const sortProducts = (products, sort) => {
+  const compare = {
+    popularity: (a, b) => (b.popularity ?? 0) - (a.popularity ?? 0),
+    'price-asc': (a, b) => a.price.amount - b.price.amount,
+    'price-desc': (a, b) => b.price.amount - a.price.amount,
+    'name-asc': (a, b) => a.name.localeCompare(b.name),
+    'name-desc': (a, b) => b.name.localeCompare(a.name),
+  }[sort];
+
+  return compare ? [...products].sort(compare) : [...products];
+};
+
+/**
+ * Count Active Filters
+ *
+ * @param {Object} filters - Active filters
+ * @returns {number} Number of selected facet values (a price range counts as one)
+ */
+export const countActiveFilters = (filters) =>
+  filters.categories.length + filters.careLevels.length + filters.attributes.length
+  + (filters.minPrice !== null || filters.maxPrice !== null ? 1 : 0);
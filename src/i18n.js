@@ -0,0 +1,439 @@
+/**
+ * i18n - Message Catalogues, Plurals and Locale-Aware Formatting
+ *
+ * Every piece of UI text lives in a message catalogue per language
+ * (data/locales/*.json), looked up by a stable id such as "cart.title".
+ * Messages use a subset of the ICU MessageFormat syntax:
+ *
+ * - Arguments:  "Added {name} to your cart."
+ * - Numbers:    "{count, number}", "{rate, number, percent}"
+ * - Money:      "{price}" when the value is { amount, currency } (see money.js)
+ * - Messages:   "{name}" when the value is itself a descriptor (translated too)
+ * - Dates:      "{placedAt, date, medium}" (short, medium, long or full)
+ * - Plurals:    "{count, plural, =0 {no plants} one {# plant} other {# plants}}"
+ *               (the categories come from Intl.PluralRules, so Arabic can
+ *               use zero, one, two, few, many and other)
+ * - Selects:    "{type, select, admin {Staff} other {Customer}}"
+ * - Quoting:    '{' and '}' are literal braces, '' is an apostrophe
+ *
+ * Numbers, money and dates are always formatted for the active locale,
+ * so "1,234.50" in English becomes "1.234,50" in Spanish.
+ *
+ * Text kept in Redux state (toasts, form errors) is stored as a message
+ * descriptor, { id, values }, and translated when it is shown, so it
+ * follows a language switch. Text that comes from the server is wrapped
+ * with serverMessage() and shown as sent.
+ *
+ * Components use the useI18n() hook (useI18n.js); other code calls
+ * translate(locale, descriptor).
+ */
+
+import en from './data/locales/en.json';
+import es from './data/locales/es.json';
+import ar from './data/locales/ar.json';
+import { DEFAULT_LOCALE, formatMoney } from './money';
+
+/**
+ * Supported Locales
+ *
+ * `name` is the language's own name, shown in the language switcher.
+ * `dir` is the text direction the page switches to.
+ */
+export const LOCALES = [
+  { id: 'en-US', name: 'English', dir: 'ltr', messages: en },
+  { id: 'es-ES', name: 'Español', dir: 'ltr', messages: es },
+  { id: 'ar-EG', name: 'العربية', dir: 'rtl', messages: ar },
+];
+
+export { DEFAULT_LOCALE };
+
+/**
+ * Get Locale Info
+ *
+ * @param {string} locale - Locale id, e.g. "es-ES"
+ * @returns {Object} The supported locale, or the default one
+ */
+export const getLocaleInfo = locale =>
+  LOCALES.find(candidate => candidate.id === locale)
+  ?? LOCALES.find(candidate => candidate.id === DEFAULT_LOCALE);
+
+/**
+ * Is Supported Locale
+ *
+ * @param {string} locale - Locale id
+ * @returns {boolean} True when there is a catalogue for it
+ */
+export const isSupportedLocale = locale => LOCALES.some(candidate => candidate.id === locale);
+
+/**
+ * Match Locale
+ *
+ * Picks the best supported locale for the browser's preferred languages:
+ * an exact match ("es-ES") first, then the same language ("es-MX" -> "es-ES")
+ *
+ * @param {Array<string>} preferred - Language tags, most preferred first
+ * @returns {string|null} Supported locale id, or null when none fits
+ */
+export const matchLocale = (preferred) => {
+  for (const tag of preferred) {
+    const exact = LOCALES.find(candidate => candidate.id.toLowerCase() === tag.toLowerCase());
+    const language = tag.split('-')[0].toLowerCase();
+    const sameLanguage = LOCALES.find(candidate => candidate.id.split('-')[0] === language);
+    if (exact ?? sameLanguage) {
+      return (exact ?? sameLanguage).id;
+    }
+  }
+  return null;
+};
+
+/**
+ * Server Message
+ *
+ * Wraps text that was not written for a catalogue (e.g. an API error)
+ * so it can be stored and shown like any other message
+ *
+ * @param {string} text - Text as sent by the server
+ * @returns {{id: string, values: Object}} Message descriptor
+ */
+export const serverMessage = text => ({ id: 'common.serverMessage', values: { message: String(text ?? '') } });
+
+/**
+ * Name Message
+ *
+ * Category, attribute, care level and delivery method names come with
+ * the data; a catalogue may translate them as "<kind>.<id>", otherwise
+ * the name from the data is used
+ *
+ * @param {string} kind - e.g. "category"
+ * @param {{id: string, name: string}} item - Named item from the data
+ * @returns {Object} Message descriptor
+ */
+export const nameMessage = (kind, item) => ({ id: `${kind}.${item.id}`, defaultMessage: item.name });
+
+/**
+ * Cached Intl Objects
+ *
+ * Created once per locale (and options), like the money formatters
+ */
+const intlCache = new Map();
+
+const getIntl = (Type, locale, options = {}) => {
+  const key = `${Type.name}|${locale}|${JSON.stringify(options)}`;
+  if (!intlCache.has(key)) {
+    intlCache.set(key, new Type(locale, options));
+  }
+  return intlCache.get(key);
+};
+
+/**
+ * Format Number
+ *
+ * @param {number} value - Number to format
+ * @param {string} locale - Locale id
+ * @param {Object} [options] - Intl.NumberFormat options
+ * @returns {string} Localized number, e.g. "1,234" or "١٬٢٣٤"
+ */
+export const formatNumber = (value, locale, options) => getIntl(Intl.NumberFormat, locale, options).format(value);
+
+/**
+ * Format Date
+ *
+ * @param {Date|string} value - Date or ISO timestamp
+ * @param {string} locale - Locale id
+ * @param {Object} [options={ dateStyle: 'medium' }] - Intl.DateTimeFormat options
+ * @returns {string} Localized date
+ */
+export const formatDate = (value, locale, options = { dateStyle: 'medium' }) =>
+  getIntl(Intl.DateTimeFormat, locale, options).format(new Date(value));
+
+/**
+ * Format Region
+ *
+ * @param {string} code - ISO 3166 country code, e.g. "DE"
+ * @param {string} locale - Locale id
+ * @returns {string} The country's name in the locale's language, e.g. "Alemania"
+ */
+export const formatRegion = (code, locale) => {
+  try {
+    return getIntl(Intl.DisplayNames, locale, { type: 'region' }).of(code) ?? code;
+  } catch {
+    return code;
+  }
+};
+
+/**
+ * Parse Message
+ *
+ * Turns an ICU message into a list of nodes: strings, arguments,
+ * plural/select branches and "#" (the plural number)
+ *
+ * @param {string} message - ICU message
+ * @returns {Array<string|Object>} Parsed nodes
+ * @throws {SyntaxError} On unbalanced braces or a plural without "other"
+ */
+export const parseMessage = (message) => {
+  let index = 0;
+
+  const skipSpace = () => {
+    while (/\s/.test(message[index] ?? '')) {
+      index += 1;
+    }
+  };
+
+  const readUntil = (stops) => {
+    const start = index;
+    while (index < message.length && !stops.includes(message[index])) {
+      index += 1;
+    }
+    return message.slice(start, index).trim();
+  };
+
+  const expect = (char) => {
+    if (message[index] !== char) {
+      throw new SyntaxError(`Expected "${char}" at ${index} in message: ${message}`);
+    }
+    index += 1;
+  };
+
+  const parseNodes = (inPlural) => {
+    const nodes = [];
+    let text = '';
+
+    while (index < message.length && message[index] !== '}') {
+      const char = message[index];
+      const next = message[index + 1];
+
+      if (char === '{') {
+        if (text) {
+          nodes.push(text);
+          text = '';
+        }
+        nodes.push(parseArgument(inPlural));
+      } else if (char === '#' && inPlural) {
+        if (text) {
+          nodes.push(text);
+          text = '';
+        }
+        nodes.push({ type: 'pound' });
+        index += 1;
+      } else if (char === '\'' && next === '\'') {
+        text += '\'';
+        index += 2;
+      } else if (char === '\'' && (next === '{' || next === '}' || (next === '#' && inPlural))) {
+        const end = message.indexOf('\'', index + 1);
+        const close = end === -1 ? message.length : end;
+        text += message.slice(index + 1, close);
+        index = close + 1;
+      } else {
+        text += char;
+        index += 1;
+      }
+    }
+
+    if (text) {
+      nodes.push(text);
+    }
+    return nodes;
+  };
+
+  const parseArgument = (inPlural) => {
+    expect('{');
+    const name = readUntil(',}');
+    if (message[index] === '}') {
+      index += 1;
+      return { type: 'argument', name };
+    }
+
+    expect(',');
+    const format = readUntil(',}');
+
+    if (format === 'plural' || format === 'selectordinal' || format === 'select') {
+      expect(',');
+      const options = {};
+      let offset = 0;
+      skipSpace();
+      while (index < message.length && message[index] !== '}') {
+        const key = readUntil('{ \t\n');
+        if (key.startsWith('offset:')) {
+          offset = Number(key.slice('offset:'.length));
+          skipSpace();
+          continue;
+        }
+        skipSpace();
+        expect('{');
+        options[key] = parseNodes(format === 'select' ? inPlural : true);
+        expect('}');
+        skipSpace();
+      }
+      expect('}');
+      if (!options.other) {
+        throw new SyntaxError(`The ${format} of "${name}" needs an "other" case in message: ${message}`);
+      }
+      return { type: format, name, offset, options };
+    }
+
+    let style = null;
+    if (message[index] === ',') {
+      index += 1;
+      style = readUntil('}');
+    }
+    expect('}');
+    return { type: 'argument', name, format, style };
+  };
+
+  const nodes = parseNodes(false);
+  if (index < message.length) {
+    throw new SyntaxError(`Unexpected "}" at ${index} in message: ${message}`);
+  }
+  return nodes;
+};
+
+/**
+ * Is Money
+ *
+ * @param {*} value - Message argument
+ * @returns {boolean} True for { amount, currency } values
+ */
+const isMoney = value =>
+  value !== null && typeof value === 'object' && Number.isInteger(value.amount) && typeof value.currency === 'string';
+
+/**
+ * Is Message Descriptor
+ *
+ * @param {*} value - Message argument
+ * @returns {boolean} True for { id } values (other than React elements)
+ */
+const isDescriptor = value =>
+  value !== null && typeof value === 'object' && typeof value.id === 'string' && !value.$$typeof;
+
+/**
+ * Format Argument
+ *
+ * @param {*} value - Argument value
+ * @param {Object} node - Argument node (format and style)
+ * @param {string} locale - Locale id
+ * @returns {*} Text, or the value itself (e.g. a React element)
+ */
+const formatArgument = (value, { name, format, style }, locale) => {
+  if (value === undefined || value === null) {
+    return `{${name}}`;
+  }
+  if (isMoney(value)) {
+    return formatMoney(value, locale);
+  }
+  if (isDescriptor(value)) {
+    return translate(locale, value);
+  }
+  if (format === 'date') {
+    return formatDate(value, locale, { dateStyle: style ?? 'medium' });
+  }
+  if (format === 'number' && style === 'percent') {
+    return formatNumber(value, locale, { style: 'percent', maximumFractionDigits: 3 });
+  }
+  if (typeof value === 'number') {
+    return formatNumber(value, locale);
+  }
+  return typeof value === 'object' ? value : String(value);
+};
+
+/**
+ * Format Nodes
+ *
+ * @param {Array<string|Object>} nodes - Parsed message
+ * @param {string} locale - Locale id
+ * @param {Object} values - Argument values
+ * @param {number} [pluralValue] - What "#" stands for
+ * @returns {Array<*>} Text and non-text parts, in order
+ */
+const formatNodes = (nodes, locale, values, pluralValue) => nodes.flatMap((node) => {
+  if (typeof node === 'string') {
+    return [node];
+  }
+  if (node.type === 'pound') {
+    return [formatNumber(pluralValue, locale)];
+  }
+
+  const value = values[node.name];
+  if (node.type === 'plural' || node.type === 'selectordinal') {
+    const number = Number(value) - node.offset;
+    const rules = getIntl(Intl.PluralRules, locale, { type: node.type === 'plural' ? 'cardinal' : 'ordinal' });
+    const branch = node.options[`=${Number(value)}`] ?? node.options[rules.select(number)] ?? node.options.other;
+    return formatNodes(branch, locale, values, number);
+  }
+  if (node.type === 'select') {
+    return formatNodes(node.options[String(value)] ?? node.options.other, locale, values, pluralValue);
+  }
+  return [formatArgument(value, node, locale)];
+});
+
+/**
+ * Parsed Messages
+ *
+ * Cached by text, since the same messages render over and over
+ */
+const parsedMessages = new Map();
+
+const getParsedMessage = (text) => {
+  if (!parsedMessages.has(text)) {
+    parsedMessages.set(text, parseMessage(text));
+  }
+  return parsedMessages.get(text);
+};
+
+/**
+ * Find Message Text
+ *
+ * Falls back to the default locale's catalogue, then to the
+ * descriptor's defaultMessage
+ *
+ * @param {string} locale - Locale id
+ * @param {Object} descriptor - { id, defaultMessage }
+ * @returns {string|undefined} ICU message, or undefined when there is none
+ */
+const findMessageText = (locale, { id, defaultMessage }) =>
+  getLocaleInfo(locale).messages[id]
+  ?? getLocaleInfo(DEFAULT_LOCALE).messages[id]
+  ?? defaultMessage;
+
+/**
+ * Format Message
+ *
+ * @param {string} locale - Locale id
+ * @param {string|Object} descriptor - Message id, or { id, values, defaultMessage }
+ * @param {Object} [values] - Argument values (merged over the descriptor's)
+ * @returns {Array<*>} Message parts: strings, plus any non-text values passed in
+ */
+export const formatMessage = (locale, descriptor, values = {}) => {
+  if (!descriptor) {
+    return [];
+  }
+  const message = typeof descriptor === 'string' ? { id: descriptor } : descriptor;
+  const text = findMessageText(locale, message);
+  if (text === undefined) {
+    // Not a catalogue id (e.g. plain text from an older saved state): shown as it is
+    return [message.id];
+  }
+  const parts = formatNodes(getParsedMessage(text), locale, { ...message.values, ...values });
+
+  // Join neighbouring strings
+  return parts.reduce((joined, part) => {
+    if (typeof part === 'string' && typeof joined[joined.length - 1] === 'string') {
+      joined[joined.length - 1] += part;
+    } else {
+      joined.push(part);
+    }
+    return joined;
+  }, []);
+};
+
+/**
+ * Translate
+ *
+ * For code outside components (listeners, thunks): the message as text
+ *
+ * @param {string} locale - Locale id
+ * @param {string|Object} descriptor - Message id or descriptor
+ * @param {Object} [values] - Argument values
+ * @returns {string} Translated text
+ */
+export const translate = (locale, descriptor, values) => formatMessage(locale, descriptor, values).join('');
@@ -0,0 +1,109 @@
+/**
+ * Image Sources - Smaller Versions of Plant Photos
+ *
+ * The catalog stores one full-size URL per photo (usually 1280px wide).
+ * Both photo CDNs the catalog uses can serve the same photo at other
+ * widths, so PlantImage offers the browser a srcset to pick from and
+ * shows a tiny, blurred version while the real one loads:
+ *
+ * - Pixabay: the width is part of the file name, "..._1280.jpg",
+ *   "..._640.jpg", and "..._150.jpg" for the preview
+ * - Unsplash: any width through the "w" query parameter
+ *
+ * Any other URL (e.g. one typed into the admin catalog) is used as it is.
+ *
+ * Example:
+ * getImageSources('https://cdn.pixabay.com/photo/.../snake-plant-5939187_1280.jpg')
+ * // {
+ * //   src: '.../snake-plant-5939187_1280.jpg',
+ * //   srcSet: '.../snake-plant-5939187_640.jpg 640w, .../snake-plant-5939187_1280.jpg 1280w',
+ * //   placeholder: '.../snake-plant-5939187_150.jpg'
+ * // }
+ */
+
+/**
+ * Pixabay Widths
+ *
+ * The sizes Pixabay documents for every photo; others may not exist
+ */
+const PIXABAY_WIDTHS = [640, 1280];
+const PIXABAY_PREVIEW_WIDTH = 150;
+
+/**
+ * Pixabay File Name Size Suffix, e.g. "_1280.jpg"
+ */
+const PIXABAY_SIZE = /_\d+(\.\w+)$/;
+
+/**
+ * Unsplash Widths
+ */
+const UNSPLASH_WIDTHS = [320, 640, 960, 1280];
+const UNSPLASH_PREVIEW_WIDTH = 24;
+
+/**
+ * Pixabay Sources
+ *
+ * @param {URL} url - Parsed photo URL
+ * @returns {{src: string, srcSet: string, placeholder: string}|null} Sources,
+ *   or null when the file name has no size suffix
+ */
+const getPixabaySources = (url) => {
+  if (!PIXABAY_SIZE.test(url.pathname)) {
+    return null;
+  }
+  const atWidth = (width) => {
+    const resized = new URL(url);
+    resized.pathname = url.pathname.replace(PIXABAY_SIZE, `_${width}$1`);
+    return resized.href;
+  };
+  return {
+    src: url.href,
+    srcSet: PIXABAY_WIDTHS.map(width => `${atWidth(width)} ${width}w`).join(', '),
+    placeholder: atWidth(PIXABAY_PREVIEW_WIDTH),
+  };
+};
+
+/**
+ * Unsplash Sources
+ *
+ * @param {URL} url - Parsed photo URL
+ * @returns {{src: string, srcSet: string, placeholder: string}} Sources
+ */
+const getUnsplashSources = (url) => {
+  const atWidth = (width) => {
+    const resized = new URL(url);
+    resized.searchParams.set('w', width);
+    return resized.href;
+  };
+  return {
+    src: url.href,
+    srcSet: UNSPLASH_WIDTHS.map(width => `${atWidth(width)} ${width}w`).join(', '),
+    placeholder: atWidth(UNSPLASH_PREVIEW_WIDTH),
+  };
+};
+
+/**
+ * Get Image Sources
+ *
+ * @param {string} src - Full-size photo URL
+ * @returns {{src: string, srcSet: (string|undefined), placeholder: (string|null)}}
+ *   The photo, the widths it is available at (for the srcset attribute)
+ *   and a tiny version to blur while it loads; srcSet and placeholder are
+ *   missing for photos from other hosts
+ */
+export const getImageSources = (src) => {
+  let url;
+  try {
+    url = new URL(src);
+  } catch {
+    return { src, srcSet: undefined, placeholder: null };
+  }
+
+  const sources = url.hostname === 'cdn.pixabay.com'
+    ? getPixabaySources(url)
+    : url.hostname === 'images.unsplash.com'
+      ? getUnsplashSources(url)
+      : null;
+
+  return sources ?? { src, srcSet: undefined, placeholder: null };
+};
@@ -0,0 +1,86 @@
+/**
+ * Locale Persistence - Remember the Chosen Language
+ *
+ * Saves the locale picked in the language switcher to localStorage and
+ * restores it on the next visit. Visitors who never picked one get the
+ * best match for their browser languages. Also keeps the page's `lang`
+ * and `dir` attributes in step with the locale, so screen readers use
+ * the right voice and right-to-left languages are laid out mirrored.
+ *
+ * Schema Versions:
+ * - v1: { locale: string }
+ *
+ * Usage (see store.js):
+ * const store = configureStore({ reducer, preloadedState: { locale: loadLocale() } });
+ * watchLocale(store);
+ */
+
+import { createPersistedStorage, watchSlice } from './persistence';
+import { DEFAULT_LOCALE, getLocaleInfo, isSupportedLocale, matchLocale } from './i18n';
+import { selectLocale, setLocale } from './LocaleSlice';
+
+/**
+ * Current Locale Schema Version
+ */
+export const LOCALE_SCHEMA_VERSION = 1;
+
+/**
+ * Locale Storage
+ */
+const localeStorage = createPersistedStorage({
+  key: 'paradise-nursery:locale',
+  version: LOCALE_SCHEMA_VERSION,
+  throttleMs: 0,
+  validate: data => isSupportedLocale(data?.locale),
+});
+
+/**
+ * Load Locale
+ *
+ * @returns {{current: string}} Locale state: the saved locale, else the
+ *   browser's preferred one, else the default
+ */
+export const loadLocale = () => {
+  const saved = localeStorage.load()?.locale;
+  const preferred = globalThis.navigator?.languages ?? [];
+  return { current: saved ?? matchLocale(preferred) ?? DEFAULT_LOCALE };
+};
+
+/**
+ * Apply Locale to the Document
+ *
+ * @param {string} locale - Locale id
+ */
+const applyToDocument = (locale) => {
+  if (typeof document === 'undefined' || document.documentElement.lang === locale) {
+    return;
+  }
+  document.documentElement.lang = locale;
+  document.documentElement.dir = getLocaleInfo(locale).dir;
+};
+
+/**
+ * Watch Locale
+ *
+ * Saves the locale when it changes, applies it to the document and
+ * follows changes made in other tabs
+ *
+ * @param {Object} store - Redux store with a `locale` slice
+ * @returns {Function} Function that disconnects the store from storage
+ */
+export const watchLocale = (store) => {
+  applyToDocument(selectLocale(store.getState()));
+  const unsubscribeDocument = store.subscribe(() => applyToDocument(selectLocale(store.getState())));
+
+  const unwatch = watchSlice(store, {
+    storage: localeStorage,
+    select: selectLocale,
+    toData: locale => ({ locale }),
+    hydrate: data => (data?.locale ? setLocale(data.locale) : null),
+  });
+
+  return () => {
+    unsubscribeDocument();
+    unwatch();
+  };
+};
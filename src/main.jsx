@@ -9,6 +9,8 @@
  * - ReactDOM.createRoot(): Modern React 18 way to render apps
  * - React.StrictMode: Development tool that helps find problems
  * - Provider: Makes Redux store available to all components
+ * - Router: Keeps the UI in sync with the URL (React Router)
+ * - ThemeProvider: Applies the light, dark or high-contrast colour theme
  */
 
 import React from 'react'
@@ -17,6 +19,8 @@ import App from './App.jsx'
 import './index.css'
 import { Provider } from 'react-redux'
 import store from './store.js'
+import AppRouter from './AppRouter.jsx'
+import ThemeProvider from './ThemeProvider.jsx'
 
 /**
  * Application Initialization
@@ -28,10 +32,14 @@ import store from './store.js'
  * Component Hierarchy:
  * React.StrictMode
  *   └── Provider (Redux)
- *       └── App
- *           ├── AboutUs
- *           └── ProductList
- *               └── CartItem
+ *       └── ThemeProvider (colour theme)
+ *           └── AppRouter (browser or hash router)
+ *               └── App
+ *                   ├── AboutUs
+ *                   ├── Navbar
+ *                   ├── ProductList   (/plants, /plants/:category)
+ *                   ├── ProductDetail (/plant/:id)
+ *                   └── CartItem      (/cart)
  */
 ReactDOM.createRoot(document.getElementById('root')).render(
   /**
@@ -57,13 +65,23 @@ ReactDOM.createRoot(document.getElementById('root')).render(
      */}
     <Provider store={store}>
       {/**
-       * Root App Component
+       * Theme Provider
        * 
-       * Our main application component that manages:
-       * - Navigation between landing page and product list
-       * - Overall application layout and structure
+       * Sets the design tokens (colours, fonts, shadows) for the theme the
+       * visitor chose, or the one their operating system asks for
        */}
-      <App />
+      <ThemeProvider>
+        <AppRouter>
+          {/**
+           * Root App Component
+           * 
+           * Our main application component that manages:
+           * - URL routes for the landing page, plants, plant details and cart
+           * - Overall application layout and structure
+           */}
+          <App />
+        </AppRouter>
+      </ThemeProvider>
     </Provider>
   </React.StrictMode>,
 )
@@ -0,0 +1,117 @@
+/**
+ * Mock Server - Stand-in REST Backend for Development
+ *
+ * A Vite plugin that serves the mock API (api.js) over HTTP at <base>/api
+ * from `npm run dev` and `npm run preview`, so the HTTP adapter can be
+ * used without a real backend:
+ *
+ *   VITE_API_MODE=http npm run dev
+ *
+ * Data lives in memory and is reset when the server restarts.
+ * This file runs in Node (from vite.config.js) and is never bundled
+ * into the app.
+ *
+ * Routes (see the interface in api.js):
+ *   GET  /catalog
+ *   GET  /carts/:id
+ *   PUT  /carts/:id     body { items, version }
+ *   GET  /orders?userId=
+ *   POST /orders        body Order (lowers the stock of the ordered products)
+ *   POST   /products          body Product
+ *   PUT    /products/:id      body Product
+ *   DELETE /products/:id
+ *   POST   /products/import   body Array<Product>
+ */
+
+import { ApiError, createMockApi } from './api';
+
+/**
+ * Read JSON Body
+ *
+ * @param {IncomingMessage} req - Node request
+ * @returns {Promise<*>} Parsed body (undefined when empty)
+ */
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(body ? JSON.parse(body) : undefined);
+    } catch {
+      reject(new ApiError('The request body is not valid JSON.', { status: 400 }));
+    }
+  });
+  req.on('error', reject);
+});
+
+/**
+ * Send JSON
+ *
+ * @param {ServerResponse} res - Node response
+ * @param {number} status - HTTP status
+ * @param {*} data - Response body
+ */
+const sendJson = (res, status, data) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(data));
+};
+
+/**
+ * Create Mock API Middleware
+ *
+ * @param {Object} [api] - API to serve (a fresh mock by default)
+ * @returns {Function} Connect middleware, mounted at the API base path
+ */
+export const createMockApiMiddleware = (api = createMockApi()) => async (req, res, next) => {
+  const [path, query = ''] = req.url.split('?');
+  const cartMatch = path.match(/^\/carts\/([^/]+)$/);
+  const productMatch = path.match(/^\/products\/([^/]+)$/);
+
+  try {
+    if (req.method === 'GET' && path === '/catalog') {
+      sendJson(res, 200, await api.fetchCatalog());
+    } else if (req.method === 'GET' && cartMatch) {
+      sendJson(res, 200, await api.fetchCart(decodeURIComponent(cartMatch[1])));
+    } else if (req.method === 'PUT' && cartMatch) {
+      sendJson(res, 200, await api.saveCart(decodeURIComponent(cartMatch[1]), await readJsonBody(req) ?? {}));
+    } else if (req.method === 'GET' && path === '/orders') {
+      sendJson(res, 200, await api.fetchOrders(new URLSearchParams(query).get('userId')));
+    } else if (req.method === 'POST' && path === '/orders') {
+      sendJson(res, 201, await api.createOrder(await readJsonBody(req)));
+    } else if (req.method === 'POST' && path === '/products/import') {
+      sendJson(res, 200, await api.importProducts(await readJsonBody(req)));
+    } else if (req.method === 'POST' && path === '/products') {
+      sendJson(res, 201, await api.createProduct(await readJsonBody(req)));
+    } else if (req.method === 'PUT' && productMatch) {
+      sendJson(res, 200, await api.updateProduct(decodeURIComponent(productMatch[1]), await readJsonBody(req) ?? {}));
+    } else if (req.method === 'DELETE' && productMatch) {
+      sendJson(res, 200, await api.deleteProduct(decodeURIComponent(productMatch[1])));
+    } else {
+      next();
+    }
+  } catch (error) {
+    const status = error instanceof ApiError && error.status ? error.status : 500;
+    sendJson(res, status, { error: error.message, details: error.details ?? undefined });
+  }
+};
+
+/**
+ * Mock API Vite Plugin
+ *
+ * @returns {Object} Vite plugin serving the mock API at <base>/api
+ */
+export const mockApiServer = () => {
+  const middleware = createMockApiMiddleware();
+
+  return {
+    name: 'paradise-nursery-mock-api',
+    configureServer(server) {
+      server.middlewares.use(`${server.config.base}api`, middleware);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(`${server.config.base}api`, middleware);
+    },
+  };
+};
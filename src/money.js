@@ -0,0 +1,182 @@
+/**
+ * Money Utilities - Prices as Integer Minor Units
+ *
+ * Prices are stored as { amount, currency } where amount is an integer
+ * number of minor units (cents for USD, yen for JPY) and currency is an
+ * ISO 4217 code. Keeping amounts as integers means sums and quantities
+ * never pick up floating-point errors such as 0.1 + 0.2 = 0.30000000000000004.
+ *
+ * Conversions to and from decimal "major" units and all display go through
+ * Intl.NumberFormat, which knows how many fraction digits each currency uses.
+ *
+ * Example:
+ * const price = createMoney(1500, 'USD');   // $15.00
+ * formatMoney(multiplyMoney(price, 3));     // "$45.00"
+ */
+
+/**
+ * Currency used when a price or total does not name one
+ */
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Locale used for display when none is given
+ */
+export const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Cache of Intl.NumberFormat instances
+ *
+ * Creating a formatter is comparatively expensive, and the same
+ * locale/currency pair is formatted many times per render
+ */
+const formatters = new Map();
+
+const getFormatter = (locale, currency) => {
+  const key = `${locale}|${currency}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency }));
+  }
+  return formatters.get(key);
+};
+
+/**
+ * Round Half Away From Zero
+ *
+ * Commercial rounding: 2.5 -> 3 and -2.5 -> -3. Math.round alone
+ * would round -2.5 to -2.
+ *
+ * @param {number} value - Value to round
+ * @returns {number} Nearest integer
+ */
+export const roundHalfAwayFromZero = (value) => Math.sign(value) * Math.round(Math.abs(value));
+
+/**
+ * Get Minor Unit Digits
+ *
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Number of fraction digits the currency uses (2 for USD, 0 for JPY)
+ */
+export const getMinorUnitDigits = (currency) =>
+  getFormatter(DEFAULT_LOCALE, currency).resolvedOptions().maximumFractionDigits;
+
+/**
+ * Create Money
+ *
+ * @param {number} amount - Integer amount in minor units
+ * @param {string} [currency=DEFAULT_CURRENCY] - ISO 4217 currency code
+ * @returns {{amount: number, currency: string}} Money value
+ * @throws {TypeError} If amount is not an integer
+ */
+export const createMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  if (!Number.isInteger(amount)) {
+    throw new TypeError(`Money amount must be an integer number of minor units, got ${amount}`);
+  }
+  return { amount, currency };
+};
+
+/**
+ * Create Money from Major Units
+ *
+ * @param {number} value - Decimal amount in major units (e.g. 15.99)
+ * @param {string} [currency=DEFAULT_CURRENCY] - ISO 4217 currency code
+ * @returns {{amount: number, currency: string}} Money value rounded to the nearest minor unit
+ */
+export const fromMajorUnits = (value, currency = DEFAULT_CURRENCY) =>
+  createMoney(roundHalfAwayFromZero(value * 10 ** getMinorUnitDigits(currency)), currency);
+
+/**
+ * Convert Money to Major Units
+ *
+ * @param {{amount: number, currency: string}} money - Money value
+ * @returns {number} Decimal amount in major units
+ */
+export const toMajorUnits = (money) => money.amount / 10 ** getMinorUnitDigits(money.currency);
+
+/**
+ * Parse a Legacy Cost String
+ *
+ * Older data stored prices as strings such as "$15" or "$12.50".
+ * Those were always US dollars.
+ *
+ * @param {string} cost - Cost string
+ * @returns {{amount: number, currency: string}} Money value in USD
+ */
+export const parseMoney = (cost) => fromMajorUnits(parseFloat(String(cost).replace(/[^0-9.-]/g, '')) || 0, 'USD');
+
+/**
+ * Assert Same Currency
+ *
+ * Arithmetic across currencies needs an exchange rate, which we do not have,
+ * so mixing currencies is treated as a programming error.
+ */
+const assertSameCurrency = (a, b) => {
+  if (a.currency !== b.currency) {
+    throw new Error(`Cannot combine ${a.currency} and ${b.currency} amounts`);
+  }
+};
+
+/**
+ * Add Two Money Values
+ *
+ * @returns {{amount: number, currency: string}} a + b
+ */
+export const addMoney = (a, b) => {
+  assertSameCurrency(a, b);
+  return createMoney(a.amount + b.amount, a.currency);
+};
+
+/**
+ * Subtract Two Money Values
+ *
+ * @returns {{amount: number, currency: string}} a - b
+ */
+export const subtractMoney = (a, b) => {
+  assertSameCurrency(a, b);
+  return createMoney(a.amount - b.amount, a.currency);
+};
+
+/**
+ * Multiply Money by a Factor
+ *
+ * Used for line totals (price × quantity) and rates. The result is
+ * rounded back to a whole minor unit.
+ *
+ * @param {{amount: number, currency: string}} money - Money value
+ * @param {number} factor - Multiplier (quantity, rate, ...)
+ * @returns {{amount: number, currency: string}} money × factor
+ */
+export const multiplyMoney = (money, factor) =>
+  createMoney(roundHalfAwayFromZero(money.amount * factor), money.currency);
+
+/**
+ * Sum a List of Money Values
+ *
+ * @param {Array<{amount: number, currency: string}>} values - Values to add up
+ * @param {string} [currency=DEFAULT_CURRENCY] - Currency of the result when the list is empty
+ * @returns {{amount: number, currency: string}} Total
+ */
+export const sumMoney = (values, currency = DEFAULT_CURRENCY) =>
+  values.reduce(addMoney, createMoney(0, values[0]?.currency ?? currency));
+
+/**
+ * Format Money for Display
+ *
+ * @param {{amount: number, currency: string}} money - Money value
+ * @param {string} [locale=DEFAULT_LOCALE] - BCP 47 locale
+ * @returns {string} Localized currency string, e.g. "$15.00" or "15,00 €"
+ */
+export const formatMoney = (money, locale = DEFAULT_LOCALE) =>
+  getFormatter(locale, money.currency).format(toMajorUnits(money));
+
+/**
+ * Format a Rate as a Percentage
+ *
+ * Used for tax rates: 0.0725 -> "7.25%", 0.2 -> "20%"
+ *
+ * @param {number} rate - Rate as a fraction
+ * @param {string} [locale=DEFAULT_LOCALE] - BCP 47 locale
+ * @returns {string} Localized percentage
+ */
+export const formatPercent = (rate, locale = DEFAULT_LOCALE) =>
+  new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 3 }).format(rate);
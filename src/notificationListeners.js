@@ -0,0 +1,302 @@
+/**
+ * Notification Listeners - Report Cart, Stock and Checkout Events
+ *
+ * Listener middleware that watches for cart and checkout actions and
+ * shows a notification for each, so components do not have to:
+ * - Adding to the cart: "Added Snake Plant to your cart" (or why it
+ *   could not all be added, when stock runs out)
+ * - Quantities lowered to the stock available
+ * - Other quantity changes, undo and redo: the new cart size and total,
+ *   for screen readers only (see NotificationsSlice)
+ * - Removing a line: "Removed ..." with an Undo button
+ * - "Save for later": a link to the wishlist
+ * - Saved carts reduced because of stock, and checkout failures
+ * - Catalog changes saved from the admin screens
+ *
+ * Messages and link/button labels are message descriptors ({ id, values },
+ * see i18n.js), so a toast follows a language switch while it is shown.
+ *
+ * Usage (see store.js):
+ * configureStore({ reducer, middleware: getDefault => getDefault().prepend(notificationListeners.middleware) });
+ */
+
+import { createListenerMiddleware, isAnyOf } from '@reduxjs/toolkit';
+import {
+  addItem,
+  clearCart,
+  getMaxLineQuantity,
+  hydrateCart,
+  rebaseCart,
+  reconcileStock,
+  redoCartChange,
+  removeItem,
+  selectCartItemCount,
+  selectCartItems,
+  selectCartQuantities,
+  selectCartTotal,
+  selectStockWarnings,
+  undoCartChange,
+  updateQuantity,
+} from './CartSlice';
+import {
+  createProduct,
+  deleteProduct,
+  fetchCatalog,
+  importProducts,
+  setProductRetired,
+  updateProduct,
+} from './CatalogSlice';
+import { placeOrder } from './CheckoutSlice';
+import { NOTIFICATION_KEYS, dismissNotificationsByKey, notify } from './NotificationsSlice';
+import { serverMessage } from './i18n';
+
+/**
+ * Notification Listener Middleware
+ */
+export const notificationListeners = createListenerMiddleware();
+
+const startListening = notificationListeners.startListening;
+
+/**
+ * Added to Cart
+ *
+ * Compares the line before and after, since the cart only takes as
+ * many as are in stock
+ */
+startListening({
+  actionCreator: addItem,
+  effect: (action, { dispatch, getState, getOriginalState }) => {
+    const { id, name, quantity: requested = 1, stock } = action.payload;
+    const before = selectCartQuantities(getOriginalState())[id] ?? 0;
+    const added = (selectCartQuantities(getState())[id] ?? 0) - before;
+
+    if (added === requested) {
+      dispatch(notify({
+        type: 'success',
+        message: { id: 'toast.added', values: { count: added, name } },
+        key: NOTIFICATION_KEYS.cartAdd,
+        link: { label: { id: 'toast.viewCart' }, to: '/cart' },
+      }));
+    } else if (stock === 0) {
+      dispatch(notify({
+        type: 'warning',
+        message: { id: 'toast.outOfStock', values: { name } },
+        key: NOTIFICATION_KEYS.cartAdd,
+      }));
+    } else if (added > 0) {
+      dispatch(notify({
+        type: 'warning',
+        message: { id: 'toast.addedSome', values: { available: getMaxLineQuantity(stock), name, added } },
+        key: NOTIFICATION_KEYS.cartAdd,
+        link: { label: { id: 'toast.viewCart' }, to: '/cart' },
+      }));
+    } else {
+      dispatch(notify({
+        type: 'warning',
+        message: { id: 'toast.allInCart', values: { count: before, name } },
+        key: NOTIFICATION_KEYS.cartAdd,
+      }));
+    }
+  },
+});
+
+/**
+ * Quantity Changed (or Lowered to the Stock)
+ */
+startListening({
+  actionCreator: updateQuantity,
+  effect: (action, { dispatch, getState }) => {
+    const { id, quantity: requested } = action.payload;
+    const line = selectCartItems(getState()).find(item => item.id === id);
+
+    if (line && line.quantity < requested) {
+      dispatch(notify({
+        type: 'warning',
+        message: { id: 'toast.stockLimit', values: { count: line.quantity, name: line.name } },
+        key: `stock-limit:${id}`,
+      }));
+    } else if (line) {
+      const values = {
+        name: line.name,
+        quantity: line.quantity,
+        count: selectCartItemCount(getState()),
+        total: selectCartTotal(getState()),
+      };
+      dispatch(notify({
+        message: { id: 'a11y.cartQuantity', values },
+        key: NOTIFICATION_KEYS.cartAnnounce,
+        announce: true,
+      }));
+    }
+  },
+});
+
+/**
+ * Undo / Redo
+ *
+ * No toast follows them, so screen readers are told what the cart holds now
+ */
+startListening({
+  matcher: isAnyOf(undoCartChange, redoCartChange),
+  effect: (action, { dispatch, getState }) => {
+    const count = selectCartItemCount(getState());
+    dispatch(notify({
+      message: count === 0
+        ? { id: 'a11y.cartEmpty' }
+        : { id: 'a11y.cartSummary', values: { count, total: selectCartTotal(getState()) } },
+      key: NOTIFICATION_KEYS.cartAnnounce,
+      announce: true,
+    }));
+  },
+});
+
+/**
+ * Undo Offer Expired
+ *
+ * Once the cart changes again, "Undo" would no longer undo the removal.
+ * Registered before "Line Removed", so another removal closes the old
+ * offer first and then shows its own. Saving for later and everything
+ * that forgets the undo history (see CartSlice) close it for good.
+ */
+startListening({
+  matcher: isAnyOf(
+    addItem,
+    updateQuantity,
+    removeItem,
+    undoCartChange,
+    redoCartChange,
+    hydrateCart,
+    rebaseCart,
+    clearCart,
+    reconcileStock,
+    fetchCatalog.fulfilled,
+  ),
+  effect: (action, { dispatch }) => {
+    dispatch(dismissNotificationsByKey(NOTIFICATION_KEYS.cartUndo));
+  },
+});
+
+/**
+ * Line Removed (or Saved for Later)
+ */
+startListening({
+  actionCreator: removeItem,
+  effect: (action, { dispatch, getOriginalState }) => {
+    const line = selectCartItems(getOriginalState()).find(item => item.id === action.payload);
+    if (!line) {
+      return;
+    }
+
+    if (action.meta.reason === 'saved-for-later') {
+      dispatch(notify({
+        type: 'success',
+        message: { id: 'toast.savedForLater', values: { name: line.name } },
+        link: { label: { id: 'toast.viewWishlist' }, to: '/wishlist' },
+      }));
+      return;
+    }
+
+    dispatch(notify({
+      type: 'info',
+      message: { id: 'toast.removed', values: { name: line.name } },
+      key: NOTIFICATION_KEYS.cartUndo,
+      action: { label: { id: 'cart.undo' }, onAction: undoCartChange() },
+    }));
+  },
+});
+
+/**
+ * Saved Cart Reduced Because of Stock
+ */
+startListening({
+  matcher: isAnyOf(reconcileStock, fetchCatalog.fulfilled),
+  effect: (action, { dispatch, getState, getOriginalState }) => {
+    if (selectStockWarnings(getState()) !== selectStockWarnings(getOriginalState())) {
+      dispatch(notify({
+        type: 'warning',
+        message: { id: 'toast.stockReduced' },
+        link: { label: { id: 'toast.reviewCart' }, to: '/cart' },
+      }));
+    }
+  },
+});
+
+/**
+ * Checkout Results
+ */
+startListening({
+  actionCreator: placeOrder.rejected,
+  effect: (action, { dispatch }) => {
+    dispatch(notify({
+      type: 'error',
+      message: { id: 'toast.orderFailed', values: { reason: action.payload ?? serverMessage(action.error.message) } },
+      key: NOTIFICATION_KEYS.checkoutError,
+    }));
+  },
+});
+
+startListening({
+  actionCreator: placeOrder.fulfilled,
+  effect: (action, { dispatch }) => {
+    dispatch(dismissNotificationsByKey(NOTIFICATION_KEYS.checkoutError));
+    dispatch(notify({
+      type: 'success',
+      message: { id: 'toast.orderPlaced', values: { orderNumber: action.payload.orderNumber } },
+    }));
+  },
+});
+
+/**
+ * Catalog Changes Saved
+ *
+ * Failures are shown next to the form fields instead (see ProductForm.jsx)
+ */
+startListening({
+  matcher: isAnyOf(createProduct.fulfilled, updateProduct.fulfilled, deleteProduct.fulfilled, importProducts.fulfilled),
+  effect: (action, { dispatch, getOriginalState }) => {
+    let message;
+    if (createProduct.fulfilled.match(action)) {
+      message = { id: 'toast.productCreated', values: { name: action.payload.name } };
+    } else if (deleteProduct.fulfilled.match(action)) {
+      const product = getOriginalState().catalog.entities[action.meta.arg];
+      message = { id: 'toast.productDeleted', values: { name: product?.name ?? action.meta.arg } };
+    } else if (importProducts.fulfilled.match(action)) {
+      message = { id: 'toast.productsImported', values: { count: action.meta.arg.length } };
+    } else {
+      message = { id: 'toast.productSaved', values: { name: action.payload.name } };
+    }
+    dispatch(notify({ type: 'success', message }));
+  },
+});
+
+startListening({
+  actionCreator: setProductRetired.fulfilled,
+  effect: (action, { dispatch }) => {
+    dispatch(notify({
+      type: 'success',
+      message: {
+        id: action.payload.retired ? 'toast.productRetired' : 'toast.productRestored',
+        values: { name: action.payload.name },
+      },
+    }));
+  },
+});
+
+/**
+ * Catalog List Actions Failed
+ *
+ * Retiring and deleting happen from the product list, which has no form
+ * to show the error in
+ */
+startListening({
+  matcher: isAnyOf(setProductRetired.rejected, deleteProduct.rejected),
+  effect: (action, { dispatch }) => {
+    dispatch(notify({
+      type: 'error',
+      message: {
+        id: 'toast.catalogUpdateFailed',
+        values: { reason: serverMessage(action.payload?.message ?? action.error.message) },
+      },
+    }));
+  },
+});
@@ -0,0 +1,115 @@
+/**
+ * Order Persistence - Keep Each Account's Order History Across Sessions and Tabs
+ *
+ * Saves the `orders` slice to localStorage under the signed-in
+ * account's own key and restores it when they sign in, using the
+ * versioned storage helper from persistence.js (the same way
+ * cartPersistence.js handles the cart). Guests have no order history.
+ *
+ * Schema Versions:
+ * - v1: { items: Array<Order> } (orders as created by placeOrder)
+ *
+ * Usage (see store.js):
+ * watchOrders(store);
+ */
+
+import { createPersistedStorage, watchSlice } from './persistence';
+import { selectCurrentUser } from './AuthSlice';
+import { hydrateOrders, selectOrders, switchAccountOrders } from './OrdersSlice';
+
+/**
+ * Current Orders Schema Version
+ */
+export const ORDERS_SCHEMA_VERSION = 1;
+
+/**
+ * Is Valid Order
+ *
+ * @param {Object} order - Saved order
+ * @returns {boolean} True when the order has everything the history shows
+ */
+const isValidOrder = (order) =>
+  order !== null
+  && typeof order === 'object'
+  && typeof order.orderNumber === 'string'
+  && typeof order.placedAt === 'string'
+  && Array.isArray(order.items)
+  && Number.isInteger(order.totals?.total?.amount);
+
+/**
+ * Create Order Storage
+ *
+ * Every account has its own key, so one person's history is never shown
+ * to someone else signing in on the same device. Orders hold full line
+ * snapshots, so the size limit is raised.
+ *
+ * @param {string} userId - Account the orders belong to
+ * @returns {Object} Storage from createPersistedStorage()
+ */
+const createOrderStorage = (userId) => createPersistedStorage({
+  key: `paradise-nursery:orders:${userId}`,
+  version: ORDERS_SCHEMA_VERSION,
+  maxBytes: 500 * 1024,
+  validate: data => Array.isArray(data?.items) && data.items.every(isValidOrder),
+});
+
+/**
+ * Forget Device-Wide History
+ *
+ * Before orders were kept per account, every order placed on the device
+ * shared one key. Those orders can't be told apart by account, so they
+ * are removed rather than shown to whoever signs in next.
+ */
+const clearSharedHistory = () => {
+  createPersistedStorage({ key: 'paradise-nursery:orders', version: ORDERS_SCHEMA_VERSION }).clear();
+};
+
+/**
+ * Watch Orders
+ *
+ * Follows the signed-in account: loads its saved history when someone
+ * signs in (here or in another tab), then saves it whenever an order is
+ * added and applies orders the same account places in other tabs. When
+ * they sign out the history is emptied.
+ *
+ * @param {Object} store - Redux store with `orders` and `auth` slices
+ * @returns {Function} Function that disconnects the store from storage
+ */
+export const watchOrders = (store) => {
+  let userId;
+  let unwatch = () => {};
+
+  clearSharedHistory();
+
+  const followUser = () => {
+    const currentUserId = selectCurrentUser(store.getState())?.id ?? null;
+    if (currentUserId === userId) {
+      return;
+    }
+    userId = currentUserId;
+    unwatch();
+
+    if (!userId) {
+      unwatch = () => {};
+      store.dispatch(switchAccountOrders([]));
+      return;
+    }
+
+    const storage = createOrderStorage(userId);
+    store.dispatch(switchAccountOrders(storage.load()?.items ?? []));
+    unwatch = watchSlice(store, {
+      storage,
+      select: selectOrders,
+      toData: items => ({ items }),
+      hydrate: data => hydrateOrders(data?.items ?? []),
+    });
+  };
+
+  followUser();
+  const unsubscribeStore = store.subscribe(followUser);
+
+  return () => {
+    unsubscribeStore();
+    unwatch();
+  };
+};
@@ -0,0 +1,142 @@
+/**
+ * Order Summary - Subtotal, Discounts, Shipping and Tax
+ *
+ * Pure functions that turn cart lines and a destination into the
+ * figures shown in the cart and at checkout:
+ *
+ *   subtotal - discounts + shipping + tax = total
+ *
+ * Shipping (per delivery method, data/deliveryMethods.json):
+ * - `price` for the first item plus `perAdditionalItem` for every other one
+ * - free when the order (after discounts) reaches `freeShippingThreshold`
+ *
+ * Tax (per destination, data/taxRates.json):
+ * - a country `rate`, replaced by a region rate when one is listed for
+ *   the address's region (e.g. a US state or Canadian province code)
+ * - applied to the order after discounts, and to shipping where the
+ *   country sets `taxShipping`
+ */
+
+import { calculateDiscounts } from './discounts';
+import { addMoney, createMoney, multiplyMoney, subtractMoney } from './money';
+
+/**
+ * Count Items
+ *
+ * @param {Array<Object>} items - Cart lines
+ * @returns {number} Total quantity across all lines
+ */
+const countItems = (items) => items.reduce((total, item) => total + item.quantity, 0);
+
+/**
+ * Calculate Shipping
+ *
+ * @param {Object} deliveryMethod - Delivery method from data/deliveryMethods.json
+ * @param {Array<Object>} items - Cart lines
+ * @param {{amount: number, currency: string}} merchandiseTotal - Order total after discounts
+ * @returns {{amount: number, currency: string}} Shipping cost
+ */
+export const calculateShipping = (deliveryMethod, items, merchandiseTotal) => {
+  const itemCount = countItems(items);
+  const { price, perAdditionalItem, freeShippingThreshold } = deliveryMethod;
+
+  if (itemCount === 0 || (freeShippingThreshold && merchandiseTotal.amount >= freeShippingThreshold.amount)) {
+    return createMoney(0, price.currency);
+  }
+
+  return perAdditionalItem
+    ? addMoney(price, multiplyMoney(perAdditionalItem, itemCount - 1))
+    : price;
+};
+
+/**
+ * Get Amount Left for Free Shipping
+ *
+ * @param {Object} deliveryMethod - Delivery method
+ * @param {{amount: number, currency: string}} merchandiseTotal - Order total after discounts
+ * @returns {{amount: number, currency: string}|null} How much more to spend,
+ *   or null when the method has no threshold or it has been reached
+ */
+export const getFreeShippingRemaining = (deliveryMethod, merchandiseTotal) => {
+  const { freeShippingThreshold } = deliveryMethod;
+  if (!freeShippingThreshold || merchandiseTotal.amount >= freeShippingThreshold.amount) {
+    return null;
+  }
+  return subtractMoney(freeShippingThreshold, merchandiseTotal);
+};
+
+/**
+ * Get Tax Rate
+ *
+ * @param {Object<string, Object>} taxRates - Rates by country code (data/taxRates.json)
+ * @param {{country: string, region?: string}} destination - Where the order ships
+ * @returns {{rate: number, taxShipping: boolean}} Rate as a fraction (0.0725 = 7.25%)
+ */
+export const getTaxRate = (taxRates, destination) => {
+  const country = taxRates[destination.country];
+  if (!country) {
+    return { rate: 0, taxShipping: false };
+  }
+
+  const region = destination.region?.trim().toUpperCase();
+  return {
+    rate: country.regions?.[region] ?? country.rate,
+    taxShipping: Boolean(country.taxShipping),
+  };
+};
+
+/**
+ * Calculate Order Summary
+ *
+ * @param {Object} order - Everything the summary depends on
+ * @param {Array<Object>} order.items - Cart lines
+ * @param {Object<string, Object>} order.products - Catalog products by id
+ * @param {Array<Object>} order.promotions - Promotion rules (see discounts.js)
+ * @param {string|null} [order.promoCode] - Promo code entered by the shopper
+ * @param {Object} order.deliveryMethod - Chosen delivery method
+ * @param {{country: string, region?: string}} order.destination - Shipping destination
+ * @param {Object<string, Object>} order.taxRates - Tax rates by country
+ * @param {Date} order.now - Current time (for promotion dates)
+ * @returns {{
+ *   subtotal: Object, discounts: Array<Object>, discountTotal: Object,
+ *   promoCodeError: Object|null, itemCount: number,
+ *   shipping: Object, freeShippingRemaining: Object|null,
+ *   taxRate: number, tax: Object, total: Object
+ * }} Order summary (money values are { amount, currency } in minor units)
+ */
+export const calculateOrderSummary = ({
+  items,
+  products,
+  promotions,
+  promoCode = null,
+  deliveryMethod,
+  destination,
+  taxRates,
+  now,
+}) => {
+  const { subtotal, discounts, discountTotal, total: merchandiseTotal, promoCodeError } = calculateDiscounts({
+    items,
+    products,
+    promotions,
+    promoCode,
+    now,
+  });
+
+  const shipping = calculateShipping(deliveryMethod, items, merchandiseTotal);
+  const { rate, taxShipping } = getTaxRate(taxRates, destination);
+  const taxable = taxShipping ? addMoney(merchandiseTotal, shipping) : merchandiseTotal;
+  const tax = multiplyMoney(taxable, rate);
+
+  return {
+    subtotal,
+    discounts,
+    discountTotal,
+    promoCodeError,
+    itemCount: countItems(items),
+    shipping,
+    freeShippingRemaining: items.length > 0 ? getFreeShippingRemaining(deliveryMethod, merchandiseTotal) : null,
+    taxRate: rate,
+    tax,
+    total: addMoney(addMoney(merchandiseTotal, shipping), tax),
+  };
+};
@@ -0,0 +1,314 @@
+/**
+ * Persistence Utilities - Versioned localStorage Storage
+ *
+ * Wraps a single localStorage key in a small, defensive API:
+ * - Every saved value is stored in an envelope: { version, data }
+ * - Older versions are upgraded step by step through migration functions
+ * - Data that is corrupt, too large, from a newer app version, or that
+ *   fails validation is discarded instead of crashing the app
+ * - Writes are throttled so rapid state changes cause one write, not many
+ * - Changes made in other browser tabs are reported through the `storage` event
+ *
+ * Example:
+ * const storage = createPersistedStorage({
+ *   key: 'paradise-nursery:cart',
+ *   version: 2,
+ *   migrations: { 2: data => upgradeFromV1(data) },
+ *   validate: data => Array.isArray(data.items),
+ * });
+ * const saved = storage.load();       // undefined when nothing usable is stored
+ * storage.save({ items: [] });        // throttled write
+ *
+ * watchSlice() then keeps part of the Redux store and the storage in step:
+ * const stop = watchSlice(store, {
+ *   storage,
+ *   select: selectCartItems,
+ *   toData: items => ({ items }),
+ *   hydrate: data => hydrateCart(data?.items ?? []),
+ * });
+ */
+
+/**
+ * Default Size Limit
+ *
+ * localStorage quotas are usually around 5 MB per origin; a single key
+ * should never come close to that
+ */
+const DEFAULT_MAX_BYTES = 100 * 1024;
+
+/**
+ * Default Write Throttle (milliseconds)
+ */
+const DEFAULT_THROTTLE_MS = 500;
+
+/**
+ * Get Browser Storage
+ *
+ * localStorage can be missing (server rendering) or throw on access
+ * (some privacy modes), so it is looked up defensively
+ *
+ * @returns {Storage|null} window.localStorage or null when unavailable
+ */
+const getBrowserStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Throttle
+ *
+ * Calls fn at most once per `wait` milliseconds. The last call made
+ * during the wait is always run once the wait is over (trailing call),
+ * so the final state is never lost.
+ *
+ * @param {Function} fn - Function to throttle
+ * @param {number} wait - Minimum time between calls in milliseconds
+ * @returns {Function} Throttled function with a flush() method that runs a pending call immediately
+ */
+export const throttle = (fn, wait) => {
+  let lastRun = 0;
+  let timer = null;
+  let pendingArgs = null;
+
+  const run = () => {
+    clearTimeout(timer);
+    timer = null;
+    lastRun = Date.now();
+    const args = pendingArgs;
+    pendingArgs = null;
+    fn(...args);
+  };
+
+  const throttled = (...args) => {
+    pendingArgs = args;
+    const remaining = wait - (Date.now() - lastRun);
+    if (remaining <= 0) {
+      run();
+    } else if (!timer) {
+      timer = setTimeout(run, remaining);
+    }
+  };
+
+  throttled.flush = () => {
+    if (pendingArgs) {
+      run();
+    }
+  };
+
+  return throttled;
+};
+
+/**
+ * Create Persisted Storage
+ *
+ * @param {Object} options - Storage options
+ * @param {string} options.key - localStorage key
+ * @param {number} options.version - Current schema version (positive integer)
+ * @param {Object<number, Function>} [options.migrations] - Map of version -> function that
+ *   upgrades data from (version - 1) to that version
+ * @param {Function} [options.validate] - Returns true when migrated data is usable
+ * @param {number} [options.unversionedAs=1] - Version assumed for values saved without an envelope
+ * @param {number} [options.maxBytes] - Largest stored value that will be read or written
+ * @param {number} [options.throttleMs] - Minimum time between writes
+ * @param {Storage} [options.storage] - Storage implementation (defaults to localStorage)
+ * @returns {{load: Function, save: Function, flush: Function, clear: Function, subscribe: Function}}
+ */
+export const createPersistedStorage = ({
+  key,
+  version,
+  migrations = {},
+  validate = () => true,
+  unversionedAs = 1,
+  maxBytes = DEFAULT_MAX_BYTES,
+  throttleMs = DEFAULT_THROTTLE_MS,
+  storage = getBrowserStorage(),
+}) => {
+  // Last value written or read, used to skip redundant writes
+  let lastSerialized = null;
+
+  /**
+   * Parse and Upgrade a Raw Stored Value
+   *
+   * @param {string|null} raw - Raw string from storage
+   * @returns {*} Data at the current version, or undefined when unusable
+   */
+  const decode = (raw) => {
+    if (raw === null || raw.length > maxBytes) {
+      return undefined;
+    }
+
+    try {
+      const parsed = JSON.parse(raw);
+      const isEnvelope = parsed !== null && typeof parsed === 'object' && Number.isInteger(parsed.version) && 'data' in parsed;
+      let storedVersion = isEnvelope ? parsed.version : unversionedAs;
+      let data = isEnvelope ? parsed.data : parsed;
+
+      // Saved by a newer version of the app: we cannot know its shape
+      if (storedVersion > version) {
+        return undefined;
+      }
+
+      while (storedVersion < version) {
+        storedVersion += 1;
+        const migrate = migrations[storedVersion];
+        if (migrate) {
+          data = migrate(data);
+        }
+      }
+
+      return validate(data) ? data : undefined;
+    } catch {
+      // Corrupt JSON or a migration that could not handle the data
+      return undefined;
+    }
+  };
+
+  /**
+   * Load Saved Data
+   *
+   * Unusable data is removed so it is not read again on the next start
+   *
+   * @returns {*} Saved data at the current version, or undefined
+   */
+  const load = () => {
+    if (!storage) {
+      return undefined;
+    }
+
+    try {
+      const raw = storage.getItem(key);
+      const data = decode(raw);
+      if (raw !== null && data === undefined) {
+        storage.removeItem(key);
+      }
+      lastSerialized = data === undefined ? null : raw;
+      return data;
+    } catch {
+      return undefined;
+    }
+  };
+
+  /**
+   * Write Data Immediately
+   */
+  const write = (data) => {
+    if (!storage) {
+      return;
+    }
+
+    const serialized = JSON.stringify({ version, data });
+    if (serialized === lastSerialized || serialized.length > maxBytes) {
+      return;
+    }
+
+    try {
+      storage.setItem(key, serialized);
+      lastSerialized = serialized;
+    } catch {
+      // Quota exceeded or storage disabled: keep working in memory only
+    }
+  };
+
+  const save = throttle(write, throttleMs);
+
+  /**
+   * Remove Saved Data
+   */
+  const clear = () => {
+    lastSerialized = null;
+    try {
+      storage?.removeItem(key);
+    } catch {
+      // Storage unavailable: nothing to clear
+    }
+  };
+
+  /**
+   * Subscribe to Changes from Other Tabs
+   *
+   * The browser fires `storage` only in tabs other than the one that wrote
+   * the value. The callback receives the decoded data, or undefined when
+   * the other tab cleared the key or wrote something unusable.
+   *
+   * @param {Function} callback - Called with the new data
+   * @returns {Function} Unsubscribe function
+   */
+  const subscribe = (callback) => {
+    if (typeof window === 'undefined') {
+      return () => {};
+    }
+
+    const handleStorage = (event) => {
+      if (event.key !== key && event.key !== null) {
+        return;
+      }
+      const raw = event.key === null ? null : event.newValue;
+      lastSerialized = raw;
+      callback(decode(raw));
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  };
+
+  return { load, save, flush: save.flush, clear, subscribe };
+};
+
+/**
+ * Watch Slice
+ *
+ * Connects part of a Redux store to a persisted storage:
+ * 1. Saves the selected value (throttled) whenever it changes
+ * 2. Flushes a pending save when the page is being hidden or closed
+ * 3. Applies values saved by other tabs
+ *
+ * Values are compared by reference, so `select` must return the same
+ * value while nothing changed (a slice field or a memoized selector).
+ *
+ * @param {Object} store - Redux store
+ * @param {Object} options - What to save and how to apply it
+ * @param {Object} options.storage - Storage from createPersistedStorage()
+ * @param {Function} options.select - Selects the value to save from the state
+ * @param {Function} options.toData - Turns the value into the data to save
+ * @param {Function} options.hydrate - Turns data saved by another tab (undefined
+ *   when it was cleared or unusable) into an action, or null to ignore it
+ * @returns {Function} Function that disconnects the store from storage
+ */
+export const watchSlice = (store, { storage, select, toData, hydrate }) => {
+  let lastValue = select(store.getState());
+  // Redux still notifies listeners removed during a dispatch, so a
+  // disconnected watcher must not save (e.g. another account's data)
+  let active = true;
+
+  const unsubscribeStore = store.subscribe(() => {
+    const value = select(store.getState());
+    if (active && value !== lastValue) {
+      lastValue = value;
+      storage.save(toData(value));
+    }
+  });
+
+  const unsubscribeTabs = storage.subscribe((data) => {
+    const action = hydrate(data);
+    if (action) {
+      store.dispatch(action);
+    }
+  });
+
+  const handlePageHide = () => storage.flush();
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', handlePageHide);
+  }
+
+  return () => {
+    active = false;
+    unsubscribeStore();
+    unsubscribeTabs();
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', handlePageHide);
+    }
+  };
+};
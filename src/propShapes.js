@@ -0,0 +1,55 @@
+/**
+ * Prop Shapes - PropTypes for Data Passed Between Components
+ *
+ * Several components receive the same catalog and message data as
+ * props; their shapes are described once here and used in each
+ * component's propTypes:
+ *
+ * PlantCard.propTypes = {
+ *   plant: productShape.isRequired,
+ * };
+ *
+ * The data itself is described in CatalogSlice.js (products), money.js
+ * (prices) and i18n.js (message descriptors).
+ */
+
+import PropTypes from 'prop-types';
+
+/**
+ * Money: an integer amount in minor units and its currency
+ */
+export const moneyShape = PropTypes.shape({
+  amount: PropTypes.number.isRequired,
+  currency: PropTypes.string.isRequired,
+});
+
+/**
+ * Catalog Product
+ */
+export const productShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+  image: PropTypes.string,
+  description: PropTypes.string,
+  price: moneyShape.isRequired,
+  stock: PropTypes.number,
+  categories: PropTypes.arrayOf(PropTypes.string),
+  attributes: PropTypes.arrayOf(PropTypes.string),
+});
+
+/**
+ * Catalog Option: a category, attribute or care level
+ */
+export const optionShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+});
+
+/**
+ * Message Descriptor: { id, values }, translated when shown
+ */
+export const messageShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  values: PropTypes.object,
+  defaultMessage: PropTypes.string,
+});
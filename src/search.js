@@ -0,0 +1,294 @@
+/**
+ * Search Utilities - Typo-Tolerant Full-Text Plant Search
+ *
+ * Runs entirely in memory against the catalog:
+ * 1. buildSearchIndex() tokenizes every product's name, category names
+ *    (as in the data and in the shopper's language) and description once
+ * 2. searchProducts() matches query words against those tokens, allowing
+ *    small typos, and ranks products by a weighted relevance score
+ * 3. suggestQueries() proposes close alternatives (plant and category
+ *    names) when nothing matches
+ * 4. highlightText() splits text into matched/unmatched segments for display
+ *
+ * Matching Rules (per query word):
+ * - exact token match            -> 1.0
+ * - token starts with the word   -> 0.8 (so results appear while typing)
+ * - within the allowed typo distance -> 0.6 minus 0.15 per edit
+ * Every query word must match somewhere for a product to be a result.
+ */
+
+/**
+ * Field Weights
+ *
+ * A match in the name counts more than one in a category name,
+ * which counts more than one in the description
+ */
+const FIELD_WEIGHTS = {
+  name: 3,
+  categories: 2,
+  description: 1,
+};
+
+/**
+ * Shortest Suggested Word
+ *
+ * Shorter words are too easily "close" to any query
+ */
+const MIN_SUGGESTION_LENGTH = 3;
+
+/**
+ * Normalize Text
+ *
+ * Lowercases and strips accents and other combining marks in any script,
+ * so "Géranium" matches "geranium" and "نَبات" matches "نبات"
+ *
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export const normalize = (text) =>
+  text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Tokenize Text
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Normalized words (letters and digits of any script)
+ */
+export const tokenize = (text) => normalize(text).match(/[\p{L}\p{N}]+/gu) ?? [];
+
+/**
+ * Edit Distance (Optimal String Alignment)
+ *
+ * Levenshtein distance that also counts swapping two neighbouring
+ * letters ("lavedner" -> "lavender") as a single edit. Stops early
+ * and returns max + 1 once the distance is known to exceed `max`.
+ *
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Edit distance, capped at max + 1
+ */
+export const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousPrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Allowed Typos for a Query Word
+ *
+ * Short words must match exactly, otherwise "ivy" would match "iris"
+ *
+ * @param {string} word - Query word
+ * @returns {number} Maximum edit distance
+ */
+const allowedTypos = (word) => {
+  if (word.length <= 3) return 0;
+  if (word.length <= 6) return 1;
+  return 2;
+};
+
+/**
+ * Score a Query Word Against a Token
+ *
+ * @param {string} word - Normalized query word
+ * @param {string} token - Normalized indexed word
+ * @returns {number} Match score between 0 (no match) and 1 (exact)
+ */
+const scoreToken = (word, token) => {
+  if (token === word) return 1;
+  if (word.length >= 2 && token.startsWith(word)) return 0.8;
+
+  const max = allowedTypos(word);
+  if (max === 0) return 0;
+
+  // Compare against the token's prefix too, so a typo while still typing matches
+  const distance = Math.min(
+    editDistance(word, token, max),
+    token.length > word.length ? editDistance(word, token.slice(0, word.length), max) : max + 1
+  );
+  return distance <= max ? 0.6 - 0.15 * distance : 0;
+};
+
+/**
+ * Build Search Index
+ *
+ * Descriptions are searched, but only words from plant and category names
+ * go into the vocabulary suggestions are taken from. A category is found
+ * by its name in the data and by its translated name, so "medicinales"
+ * finds the same plants as "medicinal".
+ *
+ * @param {Array<Object>} products - Catalog products
+ * @param {Array<{id: string, name: string}>} categories - Catalog categories
+ * @param {Function} [translateCategory] - (category) => its name in the shopper's language
+ * @returns {{documents: Array<Object>, vocabulary: Array<string>}} Search index
+ */
+export const buildSearchIndex = (products, categories, translateCategory = category => category.name) => {
+  const categoryNames = new Map(categories.map(category => [
+    category.id,
+    [...new Set([category.name, translateCategory(category)])].join(' '),
+  ]));
+  const vocabulary = new Set();
+
+  const documents = products.map(product => {
+    const fields = {
+      name: tokenize(product.name),
+      categories: product.categories.flatMap(id => tokenize(categoryNames.get(id) ?? '')),
+      description: tokenize(product.description),
+    };
+    [...fields.name, ...fields.categories]
+      .filter(token => token.length >= MIN_SUGGESTION_LENGTH)
+      .forEach(token => vocabulary.add(token));
+    return { product, fields };
+  });
+
+  return { documents, vocabulary: [...vocabulary] };
+};
+
+/**
+ * Search Products
+ *
+ * @param {Object} index - Index from buildSearchIndex()
+ * @param {string} query - What the user typed
+ * @returns {Array<{product: Object, score: number, matchedTokens: Array<string>}>}
+ *   Matching products, most relevant first. matchedTokens lists the
+ *   indexed words that matched, for highlighting.
+ */
+export const searchProducts = (index, query) => {
+  const words = tokenize(query);
+  if (words.length === 0) {
+    return [];
+  }
+
+  const results = [];
+
+  index.documents.forEach(({ product, fields }) => {
+    let score = 0;
+    const matchedTokens = new Set();
+
+    const allWordsMatch = words.every(word => {
+      let bestForWord = 0;
+
+      Object.entries(fields).forEach(([field, tokens]) => {
+        tokens.forEach(token => {
+          const tokenScore = scoreToken(word, token);
+          if (tokenScore > 0) {
+            matchedTokens.add(token);
+            bestForWord = Math.max(bestForWord, tokenScore * FIELD_WEIGHTS[field]);
+          }
+        });
+      });
+
+      score += bestForWord;
+      return bestForWord > 0;
+    });
+
+    if (allWordsMatch) {
+      results.push({ product, score, matchedTokens: [...matchedTokens] });
+    }
+  });
+
+  return results.sort((a, b) => b.score - a.score || a.product.name.localeCompare(b.product.name));
+};
+
+/**
+ * Suggest Queries
+ *
+ * For a query with no results, replaces each query word with the closest
+ * indexed word (within a generous distance) and returns the alternatives
+ * that do produce results. When no combination of words matches, the
+ * closest word for each query word is suggested on its own.
+ *
+ * @param {Object} index - Index from buildSearchIndex()
+ * @param {string} query - Query that had no results
+ * @param {number} [limit=3] - Maximum number of suggestions
+ * @returns {Array<string>} Suggested queries
+ */
+export const suggestQueries = (index, query, limit = 3) => {
+  const words = tokenize(query);
+  if (words.length === 0) {
+    return [];
+  }
+
+  // Closest vocabulary words for each query word, best first
+  const candidatesPerWord = words.map(word => {
+    const max = Math.max(2, Math.ceil(word.length / 2));
+    return index.vocabulary
+      .map(token => ({ token, distance: editDistance(word, token, max) }))
+      .filter(({ distance }) => distance <= max)
+      .sort((a, b) => a.distance - b.distance || a.token.localeCompare(b.token))
+      .slice(0, limit)
+      .map(({ token }) => token);
+  });
+
+  const suggestions = [];
+  for (let rank = 0; rank < limit; rank += 1) {
+    const suggestion = candidatesPerWord
+      .map((candidates, i) => candidates[rank] ?? candidates[0] ?? words[i])
+      .join(' ');
+
+    if (!suggestions.includes(suggestion) && searchProducts(index, suggestion).length > 0) {
+      suggestions.push(suggestion);
+    }
+  }
+
+  // No combination works: suggest the closest match for each word on its own
+  if (words.length > 1) {
+    candidatesPerWord.forEach((candidates, i) => {
+      const suggestion = candidates[0] ?? words[i];
+      if (suggestions.length < limit && !suggestions.includes(suggestion)
+        && searchProducts(index, suggestion).length > 0) {
+        suggestions.push(suggestion);
+      }
+    });
+  }
+
+  return suggestions;
+};
+
+/**
+ * Highlight Text
+ *
+ * Splits text into segments, marking the words whose normalized form is
+ * one of the matched tokens. Original spelling and punctuation are kept.
+ *
+ * @param {string} text - Text to display
+ * @param {Array<string>} matchedTokens - Normalized tokens to highlight
+ * @returns {Array<{text: string, match: boolean}>} Segments in order
+ */
+export const highlightText = (text, matchedTokens = []) => {
+  if (matchedTokens.length === 0) {
+    return [{ text, match: false }];
+  }
+
+  const tokens = new Set(matchedTokens);
+  return text
+    .split(/([\p{L}\p{M}\p{N}]+)/u)
+    .filter(part => part !== '')
+    .map(part => ({ text: part, match: tokens.has(normalize(part)) }));
+};
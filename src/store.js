@@ -18,6 +18,39 @@
 
 import { configureStore } from '@reduxjs/toolkit';
 import cartReducer from './CartSlice';
+import catalogReducer, { fetchCatalog } from './CatalogSlice';
+import checkoutReducer from './CheckoutSlice';
+import wishlistReducer from './WishlistSlice';
+import notificationsReducer from './NotificationsSlice';
+import ordersReducer from './OrdersSlice';
+import cartSyncReducer from './CartSyncSlice';
+import authReducer from './AuthSlice';
+import localeReducer from './LocaleSlice';
+import themeReducer from './ThemeSlice';
+import { notificationListeners } from './notificationListeners';
+import { createCartSyncMiddleware } from './cartSync';
+import { createApi } from './api';
+import { createAuthProvider } from './auth';
+import { loadCart, watchCart } from './cartPersistence';
+import { loadWishlist, watchWishlist } from './wishlistPersistence';
+import { watchOrders } from './orderPersistence';
+import { loadSession, watchSession } from './authPersistence';
+import { loadLocale, watchLocale } from './localePersistence';
+import { loadTheme, watchTheme } from './themePersistence';
+
+/**
+ * Data Access Layer
+ * 
+ * One instance shared by the thunks and the cart sync middleware
+ */
+const api = createApi();
+
+/**
+ * Auth Provider
+ * 
+ * Accounts and sessions (see auth.js)
+ */
+const auth = createAuthProvider();
 
 /**
  * Configure Redux Store
@@ -28,9 +61,30 @@ import cartReducer from './CartSlice';
  * - Enables Redux Toolkit's serializable state checks
  * 
  * The reducer object defines the shape of our state:
- * - cart: managed by cartReducer (from CartSlice.jsx)
+ * - cart: managed by cartReducer (from CartSlice.js)
+ * - catalog: managed by catalogReducer (from CatalogSlice.js)
+ * - checkout: managed by checkoutReducer (from CheckoutSlice.js)
+ * - wishlist: managed by wishlistReducer (from WishlistSlice.js)
+ * - notifications: managed by notificationsReducer (from NotificationsSlice.js)
+ * - orders: managed by ordersReducer (from OrdersSlice.js)
+ * - cartSync: managed by cartSyncReducer (from CartSyncSlice.js)
+ * - auth: managed by authReducer (from AuthSlice.js)
+ * - locale: managed by localeReducer (from LocaleSlice.js)
+ * - theme: managed by themeReducer (from ThemeSlice.js)
  * 
- * Final state shape will be: { cart: { items: [] } }
+ * Final state shape will be:
+ * {
+ *   cart: { past: [], present: { items: [], stockWarnings: [], promoCode: null }, future: [] },
+ *   catalog: { ids: [], entities: {}, categories: [], attributes: [], careLevels: [], status, error },
+ *   checkout: { step, shippingAddress, deliveryMethodId, status, error, order },
+ *   wishlist: { items: [] },
+ *   notifications: { items: [] },
+ *   orders: { items: [], status, error, requestId },
+ *   cartSync: { cartId, status, version, error },
+ *   auth: { user, token, restoring, status, error },
+ *   locale: { current },
+ *   theme: { preference }
+ * }
  */
 const store = configureStore({
     reducer: {
@@ -40,11 +94,159 @@ const store = configureStore({
          * - items: array of products added to cart
          * - quantities: how many of each item
          * - total calculations: price totals
+         * - undo/redo history of cart changes (past and future)
          */
         cart: cartReducer,
+
+        /**
+         * Catalog Reducer
+         * Holds the plant catalog loaded through the API (see api.js):
+         * - products: normalized by stable product id
+         * - categories: the category list used for filtering
+         */
+        catalog: catalogReducer,
+
+        /**
+         * Checkout Reducer
+         * Tracks the multi-step checkout flow:
+         * - step: shipping, delivery, review or confirmation
+         * - shipping address and delivery method entered so far
+         * - the placed order shown on the confirmation step
+         */
+        checkout: checkoutReducer,
+
+        /**
+         * Wishlist Reducer
+         * Plants saved for later:
+         * - hearted from a plant card
+         * - or moved out of the cart with "Save for later"
+         */
+        wishlist: wishlistReducer,
+
+        /**
+         * Notifications Reducer
+         * Toast messages shown by ToastContainer
+         */
+        notifications: notificationsReducer,
+
+        /**
+         * Orders Reducer
+         * Order history of the signed-in account: every order they
+         * placed, as it was at the time
+         */
+        orders: ordersReducer,
+
+        /**
+         * Cart Sync Reducer
+         * Whether the cart is mirrored to the server, and whether the
+         * latest change has been saved there (see cartSync.js)
+         */
+        cartSync: cartSyncReducer,
+
+        /**
+         * Auth Reducer
+         * The signed-in user, their profile and saved addresses
+         */
+        auth: authReducer,
+
+        /**
+         * Locale Reducer
+         * The language, number and date formats the shop is shown in
+         */
+        locale: localeReducer,
+
+        /**
+         * Theme Reducer
+         * The colour theme chosen with the theme toggle, or "system"
+         */
+        theme: themeReducer,
+    },
+
+    /**
+     * Middleware
+     * 
+     * - Thunks receive the data access layer and the auth provider as
+     *   their extra argument ({ extra: { api, auth } }), so the backend
+     *   can be swapped (mock or HTTP, see api.js and auth.js) without
+     *   touching slices or components
+     * - The notification listeners turn cart, stock and checkout actions
+     *   into toast messages (see notificationListeners.js). Notification
+     *   action buttons hold a plain Redux action, which is serializable.
+     * - The cart sync middleware saves cart changes to the server once
+     *   startCartSync(cartId) has been dispatched, rolling them back if
+     *   the server rejects them (see cartSync.js)
+     */
+    middleware: getDefaultMiddleware => getDefaultMiddleware({
+        thunk: { extraArgument: { api, auth } },
+    })
+        .prepend(notificationListeners.middleware)
+        .concat(createCartSyncMiddleware({ api })),
+
+    /**
+     * Preloaded State
+     * 
+     * Restores the cart, wishlist, session, language and theme saved in
+     * localStorage by a previous visit (order history is loaded once the
+     * session is confirmed, see orderPersistence.js). The loaders return undefined when nothing
+     * usable is saved, in which case that slice starts empty. Without a saved
+     * language, the one that best matches the browser's languages is used; without
+     * a saved theme, the operating system's is followed.
+     */
+    preloadedState: {
+        cart: loadCart(),
+        wishlist: loadWishlist(),
+        auth: loadSession(),
+        locale: loadLocale(),
+        theme: loadTheme(),
     },
 });
 
+/**
+ * Cart, Wishlist and Order Persistence
+ * 
+ * Saves the cart, wishlist and the signed-in account's order history
+ * whenever they change and picks up changes made in other open tabs
+ * (see cartPersistence.js, wishlistPersistence.js and orderPersistence.js)
+ */
+watchCart(store);
+watchWishlist(store);
+watchOrders(store);
+
+/**
+ * Session
+ * 
+ * Checks a saved session and stays signed in (or out) in step with
+ * other tabs (see authPersistence.js)
+ */
+watchSession(store);
+
+/**
+ * Language
+ * 
+ * Saves the chosen language and sets the page's lang and dir
+ * attributes, so right-to-left languages are laid out mirrored
+ * (see localePersistence.js)
+ */
+watchLocale(store);
+
+/**
+ * Theme
+ * 
+ * Saves the chosen theme and follows changes made in other tabs
+ * (see themePersistence.js; ThemeProvider.jsx applies it)
+ */
+watchTheme(store);
+
+/**
+ * Load the Catalog
+ * 
+ * The views show a loading message until it arrives (see CatalogGate.jsx).
+ * A saved cart may ask for more than is in stock today; once the
+ * catalog has loaded such lines are reduced to the stock available,
+ * and the cart shows a warning (see CartSlice.js).
+ */
+store.dispatch(fetchCatalog());
+
 /**
  * Export the store so it can be:
  * 1. Provided to the app via <Provider> in main.jsx
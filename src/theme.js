@@ -0,0 +1,96 @@
+/**
+ * Theme - Colour Themes and the System Preference
+ *
+ * The shop's colours are design tokens (CSS custom properties, see
+ * ThemeProvider.css). A theme sets them all at once:
+ * - light: the original green-on-white look
+ * - dark: dark surfaces for dim rooms and dark system settings
+ * - high-contrast: black and white with yellow accents
+ *
+ * Visitors pick a theme with the theme toggle in the navbar, or leave it
+ * on "system", which follows the operating system's settings: high
+ * contrast when it asks for more contrast, else dark or light as it
+ * prefers (the prefers-contrast and prefers-color-scheme media queries).
+ */
+
+/**
+ * Themes
+ *
+ * `colorScheme` tells the browser how to draw form controls and scrollbars
+ */
+export const THEMES = [
+  { id: 'light', colorScheme: 'light' },
+  { id: 'dark', colorScheme: 'dark' },
+  { id: 'high-contrast', colorScheme: 'dark' },
+];
+
+/**
+ * System Preference
+ *
+ * Follows the operating system instead of a fixed theme
+ */
+export const SYSTEM_THEME = 'system';
+
+/**
+ * Theme Preferences
+ *
+ * Everything the theme toggle offers: "system", then each theme
+ */
+export const THEME_PREFERENCES = [SYSTEM_THEME, ...THEMES.map(theme => theme.id)];
+
+/**
+ * Is Theme Preference
+ *
+ * @param {string} value - Value to check
+ * @returns {boolean} True for "system" or a theme id
+ */
+export const isThemePreference = value => THEME_PREFERENCES.includes(value);
+
+/**
+ * System Media Queries
+ */
+const CONTRAST_QUERY = '(prefers-contrast: more)';
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * Get System Theme
+ *
+ * @returns {string} Theme id matching the operating system's settings
+ *   ("light" where they cannot be read, e.g. outside a browser)
+ */
+export const getSystemTheme = () => {
+  const matches = query => Boolean(globalThis.matchMedia?.(query).matches);
+  if (matches(CONTRAST_QUERY)) {
+    return 'high-contrast';
+  }
+  return matches(DARK_QUERY) ? 'dark' : 'light';
+};
+
+/**
+ * Watch System Theme
+ *
+ * @param {Function} onChange - Called with the new system theme id when
+ *   the operating system's settings change
+ * @returns {Function} Function that stops watching
+ */
+export const watchSystemTheme = (onChange) => {
+  if (!globalThis.matchMedia) {
+    return () => {};
+  }
+  const queries = [CONTRAST_QUERY, DARK_QUERY].map(query => globalThis.matchMedia(query));
+  const handleChange = () => onChange(getSystemTheme());
+  queries.forEach(query => query.addEventListener('change', handleChange));
+  return () => queries.forEach(query => query.removeEventListener('change', handleChange));
+};
+
+/**
+ * Resolve Theme
+ *
+ * @param {string} preference - "system" or a theme id
+ * @param {string} systemTheme - Theme the operating system asks for
+ * @returns {Object} The theme to show (from THEMES)
+ */
+export const resolveTheme = (preference, systemTheme) => {
+  const id = preference === SYSTEM_THEME ? systemTheme : preference;
+  return THEMES.find(theme => theme.id === id) ?? THEMES[0];
+};
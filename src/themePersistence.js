@@ -0,0 +1,56 @@
+/**
+ * Theme Persistence - Remember the Chosen Theme
+ *
+ * Saves the theme picked with the theme toggle to localStorage and
+ * restores it on the next visit. Visitors who never picked one follow
+ * their operating system ("system").
+ *
+ * Schema Versions:
+ * - v1: { preference: string }
+ *
+ * Usage (see store.js):
+ * const store = configureStore({ reducer, preloadedState: { theme: loadTheme() } });
+ * watchTheme(store);
+ */
+
+import { createPersistedStorage, watchSlice } from './persistence';
+import { SYSTEM_THEME, isThemePreference } from './theme';
+import { selectThemePreference, setThemePreference } from './ThemeSlice';
+
+/**
+ * Current Theme Schema Version
+ */
+export const THEME_SCHEMA_VERSION = 1;
+
+/**
+ * Theme Storage
+ */
+const themeStorage = createPersistedStorage({
+  key: 'paradise-nursery:theme',
+  version: THEME_SCHEMA_VERSION,
+  throttleMs: 0,
+  validate: data => isThemePreference(data?.preference),
+});
+
+/**
+ * Load Theme
+ *
+ * @returns {{preference: string}} Theme state: the saved preference, else "system"
+ */
+export const loadTheme = () => ({ preference: themeStorage.load()?.preference ?? SYSTEM_THEME });
+
+/**
+ * Watch Theme
+ *
+ * Saves the preference when it changes and follows changes made in
+ * other tabs
+ *
+ * @param {Object} store - Redux store with a `theme` slice
+ * @returns {Function} Function that disconnects the store from storage
+ */
+export const watchTheme = (store) => watchSlice(store, {
+  storage: themeStorage,
+  select: selectThemePreference,
+  toData: preference => ({ preference }),
+  hydrate: data => (data?.preference ? setThemePreference(data.preference) : null),
+});
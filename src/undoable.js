@@ -0,0 +1,114 @@
+/**
+ * Undoable - Undo/Redo History for a Reducer
+ *
+ * Wraps a slice reducer so its state keeps a history of snapshots:
+ *
+ *   { past: Array<snapshot>, present: state, future: Array<snapshot> }
+ *
+ * - Actions accepted by `filter` record the previous snapshot in `past`
+ *   (and forget the redo `future`) whenever they change the snapshot
+ * - `undoType` / `redoType` actions step back and forth through the history
+ * - `clearTypes` actions (or actions accepted by `clear`) forget the
+ *   history, e.g. when the state is replaced by data from somewhere else
+ * - All other actions update `present` without touching the history
+ *
+ * By default the whole state is the snapshot. `snapshot`/`restore` narrow
+ * it to the part worth undoing, so unrelated fields (like a promo code
+ * entered after a removal) are not reverted by an undo.
+ *
+ * Example:
+ * const reducer = undoable(CartSlice.reducer, {
+ *   undoType: 'cart/undo',
+ *   redoType: 'cart/redo',
+ *   filter: action => action.type === 'cart/removeItem',
+ *   snapshot: state => state.items,
+ *   restore: (state, items) => ({ ...state, items }),
+ * });
+ */
+
+/**
+ * Default Number of Undo Steps Kept
+ */
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Create History
+ *
+ * @param {Object} present - Current state of the wrapped reducer
+ * @returns {{past: Array, present: Object, future: Array}} State with an empty history
+ */
+export const createHistory = (present) => ({ past: [], present, future: [] });
+
+/**
+ * Undoable
+ *
+ * @param {Function} reducer - Reducer to wrap
+ * @param {Object} options - History options
+ * @param {string} options.undoType - Action type that steps back
+ * @param {string} options.redoType - Action type that steps forward again
+ * @param {Function} [options.filter] - (action) => true for actions that create an undo step
+ * @param {Array<string>} [options.clearTypes] - Action types that forget the history
+ * @param {Function} [options.clear] - (action) => true for other actions that forget the history
+ * @param {number} [options.limit=20] - Most undo steps kept
+ * @param {Function} [options.snapshot] - (state) => the part of the state kept in the history
+ * @param {Function} [options.restore] - (state, snapshot) => state with the snapshot put back
+ * @returns {Function} Reducer whose state is { past, present, future }
+ */
+export const undoable = (reducer, {
+  undoType,
+  redoType,
+  filter = () => true,
+  clearTypes = [],
+  clear = () => false,
+  limit = DEFAULT_LIMIT,
+  snapshot = state => state,
+  restore = (state, saved) => saved,
+}) => (state, action) => {
+  if (state === undefined) {
+    return createHistory(reducer(undefined, action));
+  }
+
+  const { past, present, future } = state;
+
+  if (action.type === undoType) {
+    if (past.length === 0) {
+      return state;
+    }
+    return {
+      past: past.slice(0, -1),
+      present: restore(present, past[past.length - 1]),
+      future: [snapshot(present), ...future],
+    };
+  }
+
+  if (action.type === redoType) {
+    if (future.length === 0) {
+      return state;
+    }
+    return {
+      past: [...past, snapshot(present)],
+      present: restore(present, future[0]),
+      future: future.slice(1),
+    };
+  }
+
+  const nextPresent = reducer(present, action);
+
+  if (clearTypes.includes(action.type) || clear(action)) {
+    return createHistory(nextPresent);
+  }
+
+  if (nextPresent === present) {
+    return state;
+  }
+
+  if (!filter(action) || snapshot(nextPresent) === snapshot(present)) {
+    return { past, present: nextPresent, future };
+  }
+
+  return {
+    past: [...past, snapshot(present)].slice(-limit),
+    present: nextPresent,
+    future: [],
+  };
+};
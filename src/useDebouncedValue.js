@@ -0,0 +1,29 @@
+/**
+ * useDebouncedValue Hook
+ *
+ * Returns `value`, but only after it has stopped changing for `delay`
+ * milliseconds. Used to run the plant search once the user pauses typing
+ * instead of on every keystroke.
+ *
+ * Example:
+ * const [query, setQuery] = useState('');
+ * const debouncedQuery = useDebouncedValue(query, 250);
+ */
+
+import { useEffect, useState } from 'react';
+
+/**
+ * @param {*} value - Value that changes often (e.g. an input's text)
+ * @param {number} [delay=250] - Quiet period in milliseconds
+ * @returns {*} The last value that stayed unchanged for `delay` ms
+ */
+export const useDebouncedValue = (value, delay = 250) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
+};
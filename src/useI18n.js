@@ -0,0 +1,65 @@
+/**
+ * useI18n Hook
+ *
+ * Everything a component needs to show text in the active language:
+ * `t` looks up catalogue messages, and the format helpers render
+ * numbers, prices, percentages, dates and country names for the locale.
+ * Components re-render when the locale changes.
+ *
+ * Example:
+ * const { t, formatMoney } = useI18n();
+ * <h2>{t('cart.title')}</h2>
+ * <span>{t('filters.resultCount', { count: plants.length })}</span>
+ * <span>{formatMoney(plant.price)}</span>
+ *
+ * Values may be React elements, e.g. t('checkout.orderNumber', { number: <strong>{n}</strong> }).
+ */
+
+import { Fragment, createElement, useMemo } from 'react';
+import { useSelector } from 'react-redux';
+import { selectLocale } from './LocaleSlice';
+import { formatDate, formatMessage, formatNumber, formatRegion, getLocaleInfo } from './i18n';
+import { formatMoney, formatPercent } from './money';
+
+/**
+ * @returns {{
+ *   locale: string,
+ *   dir: 'ltr' | 'rtl',
+ *   t: Function,
+ *   formatMoney: Function,
+ *   formatPercent: Function,
+ *   formatNumber: Function,
+ *   formatDate: Function,
+ *   formatRegion: Function
+ * }} Translation and formatting helpers for the active locale
+ */
+export const useI18n = () => {
+  const locale = useSelector(selectLocale);
+
+  return useMemo(() => {
+    /**
+     * Translate
+     *
+     * @param {string|Object} descriptor - Message id, or { id, values, defaultMessage }
+     * @param {Object} [values] - Argument values
+     * @returns {string|JSX.Element} Text, or a fragment when a value is an element
+     */
+    const t = (descriptor, values) => {
+      const parts = formatMessage(locale, descriptor, values);
+      return parts.every(part => typeof part === 'string')
+        ? parts.join('')
+        : createElement(Fragment, null, ...parts);
+    };
+
+    return {
+      locale,
+      dir: getLocaleInfo(locale).dir,
+      t,
+      formatMoney: money => formatMoney(money, locale),
+      formatPercent: rate => formatPercent(rate, locale),
+      formatNumber: (value, options) => formatNumber(value, locale, options),
+      formatDate: (value, options) => formatDate(value, locale, options),
+      formatRegion: code => formatRegion(code, locale),
+    };
+  }, [locale]);
+};
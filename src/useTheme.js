@@ -0,0 +1,31 @@
+/**
+ * useTheme Hook
+ *
+ * The theme the visitor chose, the theme actually shown (they differ
+ * when the preference is "system") and the theme the operating system
+ * asks for. Provided by ThemeProvider.jsx.
+ *
+ * Example:
+ * const { preference, theme } = useTheme();
+ * <span>{preference === 'system' ? `System (${theme.id})` : theme.id}</span>
+ */
+
+import { createContext, useContext } from 'react';
+import { SYSTEM_THEME, THEMES } from './theme';
+
+/**
+ * Theme Context
+ *
+ * The default (light, following the system) is used outside a ThemeProvider
+ */
+export const ThemeContext = createContext({
+  preference: SYSTEM_THEME,
+  theme: THEMES[0],
+  systemTheme: THEMES[0].id,
+});
+
+/**
+ * @returns {{preference: string, theme: {id: string, colorScheme: string}, systemTheme: string}}
+ *   The saved preference, the theme shown and the system's theme id
+ */
+export const useTheme = () => useContext(ThemeContext);
@@ -0,0 +1,69 @@
+/**
+ * Wishlist Persistence - Keep the Wishlist Across Sessions and Tabs
+ *
+ * Saves the `wishlist` slice to localStorage and restores it when the
+ * app starts, using the versioned storage helper from persistence.js
+ * (the same way cartPersistence.js handles the cart).
+ *
+ * Schema Versions:
+ * - v1: { items: Array<{ id, quantity, savedAt }> }
+ *
+ * Usage (see store.js):
+ * const store = configureStore({ reducer, preloadedState: { wishlist: loadWishlist() } });
+ * watchWishlist(store);
+ */
+
+import { createPersistedStorage, watchSlice } from './persistence';
+import { hydrateWishlist, selectWishlistItems } from './WishlistSlice';
+
+/**
+ * Current Wishlist Schema Version
+ */
+export const WISHLIST_SCHEMA_VERSION = 1;
+
+/**
+ * Is Valid Wishlist Entry
+ *
+ * @param {Object} item - Saved entry
+ * @returns {boolean} True when the entry can be shown
+ */
+const isValidWishlistEntry = (item) =>
+  item !== null
+  && typeof item === 'object'
+  && typeof item.id === 'string'
+  && Number.isInteger(item.quantity)
+  && item.quantity > 0
+  && typeof item.savedAt === 'string';
+
+/**
+ * Wishlist Storage
+ */
+const wishlistStorage = createPersistedStorage({
+  key: 'paradise-nursery:wishlist',
+  version: WISHLIST_SCHEMA_VERSION,
+  validate: data => Array.isArray(data?.items) && data.items.every(isValidWishlistEntry),
+});
+
+/**
+ * Load Wishlist
+ *
+ * @returns {{items: Array<Object>}|undefined} Saved wishlist state, or undefined
+ *   (the slice's empty initial state is used) when nothing usable is stored
+ */
+export const loadWishlist = () => wishlistStorage.load();
+
+/**
+ * Watch Wishlist
+ *
+ * Saves the wishlist (throttled) whenever it changes, flushes a pending
+ * save when the page is hidden and applies changes made in other tabs
+ *
+ * @param {Object} store - Redux store with a `wishlist` slice
+ * @returns {Function} Function that disconnects the store from storage
+ */
+export const watchWishlist = (store) => watchSlice(store, {
+  storage: wishlistStorage,
+  select: selectWishlistItems,
+  toData: items => ({ items }),
+  hydrate: data => hydrateWishlist(data?.items ?? []),
+});
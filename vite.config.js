@@ -1,8 +1,10 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { mockApiServer } from './src/mockServer.js'
 
 // https://vitejs.dev/config/
 export default defineConfig({
   base: "/e-plantShopping/",
-  plugins: [react()],
+  // mockApiServer: stand-in REST backend at /e-plantShopping/api (see src/api.js)
+  plugins: [react(), mockApiServer()],
 })